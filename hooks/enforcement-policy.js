@@ -0,0 +1,527 @@
+/**
+ * Enforcement gate policy: which URLs to route away from general tools, and
+ * which paths are never enforced
+ * Usage:
+ *   var enforcementPolicy = require('./enforcement-policy');
+ *   var policy = enforcementPolicy.load(cwd);           // { skip_paths, domains, errors, files }
+ *   enforcementPolicy.skipPath(policy, filePath)        // -> matching skip path or null
+ *   enforcementPolicy.matchDomain(policy, 'WebFetch', url)  // -> { entry, action } or null
+ *   enforcementPolicy.requestTargets('Bash', toolInput)     // -> URLs the call would request
+ *   enforcementPolicy.dismissMarker('Bash', toolInput)      // -> ids named by SM_DISMISS=<id,...>
+ *   enforcementPolicy.secretAllowedPath(policy, filePath, cwd) // -> secret_guard allow_paths glob or null
+ *
+ * Layers, in order (entries replace earlier ones with the same id):
+ *   DEFAULT_POLICY                                           built-in, always applied
+ *   ~/.claude/super-manager/config/enforcement-policy.json
+ *   <cwd>/.claude/enforcement-policy.json
+ * A file only needs the keys it changes; `disable` drops earlier entries.
+ *
+ * {
+ *   "skip_paths": [".claude/plans/", ".planning/"],          substrings, / or \ separators
+ *   "domains": [
+ *     { "id": "jira", "pattern": "atlassian\\.net|jira",      regex, case-insensitive
+ *       "actions": { "WebFetch": "block", "WebSearch": "warn", "*": "log" },
+ *       "use": { "skill": "wiki-api" } }                      or { "mcp": "<server>" }
+ *   ],
+ *   "protected_paths": [
+ *     { "id": "servers-yaml", "path": "~/mcp/mcp-manager/servers.yaml",   glob, ~ = home
+ *       "manager": "mcp-manager", "action": "block",
+ *       "content": "\"hooks\"",                               optional: only edits whose text matches
+ *       "tools": ["Edit", "Write", "Bash"] }                  default: Edit, Write, MultiEdit, NotebookEdit, Bash
+ *   ],
+ *   "escalation": { "remind_after": 3, "block_after": 5 },  ignored suggestions, see below
+ *   "secret_guard": { "action": "block",                      raw secrets in Write/Edit/Bash (secret-guard.js)
+ *     "allow_paths": ["~/src/demo-data/**"],                  globs, ~ = home: only registered values checked
+ *     "allow_values": ["example|dummy"],                      regex, case-insensitive: matches ignored
+ *     "min_entropy": 4, "min_length": 24 },                   high-entropy strings (min_entropy 0: off)
+ *   "disable": ["trello"]                                    drop built-in/user entries by id (either list)
+ * }
+ * Actions: block (tool call denied), warn (message shown to Claude), log
+ * (enforcement log only). An entry without `use` only applies while skill/MCP
+ * suggestions are pending -- the suggestions are then the alternative.
+ * Protected paths route raw edits to their manager. Bash counts when it writes
+ * (rm, mv, cp target, sed -i, redirection, ...). Overrides: a Bash command
+ * carrying SM_MANAGER=<manager>, or the manager's skill invoked in this session
+ * within UNLOCK_TTL_MS (recorded by sm-posttooluse via unlock()).
+ * Escalation: sm-userpromptsubmit copies the thresholds into the pending
+ * suggestions state. After remind_after tool calls with a suggestion still
+ * unused the gate reminds Claude on every call; after block_after more it blocks
+ * non-read tools until the suggestion is used or dismissed (SM_DISMISS=<id>|all).
+ * Secret guard: allow lists add up across files; action, min_entropy and
+ * min_length are replaced. Values of registered credentials are blocked even
+ * in allowed paths.
+ * Invalid files and entries are skipped and listed in `errors`.
+ */
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+var conditions = require('./rule-conditions');
+
+var ACTIONS = ['block', 'warn', 'log'];
+
+var DEFAULT_POLICY = {
+  skip_paths: [
+    '.claude/plans/', '.planning/', 'status-line-cache', 'super-manager-pending-suggestions',
+    'super-manager-enforcement', 'super-manager/state/', 'super-manager/logs/'
+  ],
+  domains: [
+    { id: 'atlassian', pattern: 'atlassian\\.net|confluence|jira', actions: { WebFetch: 'block', WebSearch: 'block', Bash: 'block' } },
+    { id: 'trello', pattern: 'trello\\.com', actions: { WebFetch: 'block', WebSearch: 'block', Bash: 'block' } },
+    { id: 'trendmicro-portal', pattern: 'portal(\\.xdr)?\\.trendmicro\\.com', actions: { WebFetch: 'block', WebSearch: 'block', Bash: 'block' } }
+  ],
+  protected_paths: [
+    { id: 'settings-hooks', path: '~/.claude/settings.json', content: '"hooks"|\\.claude[/\\\\]hooks', manager: 'hook-manager', action: 'block' },
+    { id: 'hook-files', path: '~/.claude/hooks/**', manager: 'hook-manager', action: 'block' },
+    { id: 'skill-md', path: '~/.claude/skills/*/SKILL.md', manager: 'skill-manager', action: 'warn' },
+    { id: 'servers-yaml', path: '**/mcp-manager/servers.yaml', manager: 'mcp-manager', action: 'block' }
+  ],
+  escalation: { remind_after: 3, block_after: 5 },
+  secret_guard: {
+    action: 'block',
+    allow_paths: ['**/fixtures/**', '**/__fixtures__/**', '**/testdata/**', '**/*.example'],
+    allow_values: ['example|dummy|fake|placeholder|redacted|x{8,}|\\*{4,}'],
+    min_entropy: 4,
+    min_length: 24
+  }
+};
+var ESCALATION_KEYS = ['remind_after', 'block_after'];
+var EDIT_TOOLS = ['Edit', 'Write', 'MultiEdit', 'NotebookEdit'];
+var UNLOCK_TTL_MS = 30 * 60 * 1000;
+
+function userPolicyFile(home) {
+  return path.join(home || os.homedir(), '.claude', 'super-manager', 'config', 'enforcement-policy.json');
+}
+
+function projectPolicyFile(cwd) {
+  return cwd ? path.join(path.resolve(cwd), '.claude', 'enforcement-policy.json') : null;
+}
+
+function readJson(file, errors) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    var data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+    errors.push(file + ': expected a JSON object');
+  } catch (e) {
+    errors.push(file + ': ' + e.message);
+  }
+  return null;
+}
+
+// Validate one domain entry; returns the compiled entry or null (errors pushed)
+function compileDomain(d, file, index, errors) {
+  var where = file + ' domains[' + index + ']';
+  if (!d || typeof d !== 'object') {
+    errors.push(where + ': expected an object');
+    return null;
+  }
+  var label = where + ' (' + (d.id || d.pattern || '?') + ')';
+  if (!d.pattern || typeof d.pattern !== 'string') {
+    errors.push(label + ': missing pattern');
+    return null;
+  }
+  var re;
+  try { re = new RegExp(d.pattern, 'i'); } catch (e) {
+    errors.push(label + ': bad pattern: ' + e.message);
+    return null;
+  }
+  if (!d.actions || typeof d.actions !== 'object' || Array.isArray(d.actions)) {
+    errors.push(label + ': actions must map tool names to ' + ACTIONS.join('|'));
+    return null;
+  }
+  var bad = Object.keys(d.actions).filter(function(t) { return ACTIONS.indexOf(d.actions[t]) === -1; });
+  if (bad.length > 0) {
+    errors.push(label + ': unknown action for ' + bad.join(', ') + ' (use ' + ACTIONS.join('|') + ')');
+    return null;
+  }
+  var use = null;
+  if (d.use !== undefined) {
+    if (d.use && typeof d.use.skill === 'string') use = { type: 'Skill', id: d.use.skill };
+    else if (d.use && typeof d.use.mcp === 'string') use = { type: 'MCP', id: d.use.mcp };
+    else errors.push(label + ': use must be { "skill": id } or { "mcp": server } -- ignored');
+  }
+  return { id: String(d.id || d.pattern), pattern: d.pattern, re: re, actions: d.actions, use: use, source: file };
+}
+
+// Validate one protected_paths entry; returns the compiled entry or null (errors pushed)
+function compileProtected(p, file, index, home, errors) {
+  var where = file + ' protected_paths[' + index + ']';
+  if (!p || typeof p !== 'object') {
+    errors.push(where + ': expected an object');
+    return null;
+  }
+  var label = where + ' (' + (p.id || p.path || '?') + ')';
+  if (!p.path || typeof p.path !== 'string' || !p.manager || typeof p.manager !== 'string') {
+    errors.push(label + ': path and manager are required');
+    return null;
+  }
+  var action = p.action || 'block';
+  if (ACTIONS.indexOf(action) === -1) {
+    errors.push(label + ': unknown action "' + action + '" (use ' + ACTIONS.join('|') + ')');
+    return null;
+  }
+  if (p.tools !== undefined && !Array.isArray(p.tools)) {
+    errors.push(label + ': tools must be a list');
+    return null;
+  }
+  var content = null;
+  if (p.content) {
+    try { content = new RegExp(p.content, 'i'); } catch (e) {
+      errors.push(label + ': bad content pattern: ' + e.message);
+      return null;
+    }
+  }
+  return {
+    id: String(p.id || p.path), path: p.path, re: conditions.globToRegExp(expandHome(p.path, home)),
+    manager: p.manager, action: action, content: content,
+    tools: p.tools || EDIT_TOOLS.concat(['Bash']), source: file
+  };
+}
+
+function expandHome(p, home) {
+  var h = (home || os.homedir()).replace(/\\/g, '/');
+  return String(p).replace(/\\/g, '/').replace(/^(~|\$HOME|\$\{HOME\}|%USERPROFILE%)(?=\/|$)/i, h);
+}
+
+function addSecretGuard(guard, data, file, home, errors) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(file + ': secret_guard must be an object');
+    return;
+  }
+  if (data.action !== undefined) {
+    if (ACTIONS.indexOf(data.action) !== -1) guard.action = data.action;
+    else errors.push(file + ': secret_guard.action must be ' + ACTIONS.join('|'));
+  }
+  if (data.min_entropy !== undefined) {
+    if (typeof data.min_entropy === 'number' && data.min_entropy >= 0) guard.min_entropy = data.min_entropy;
+    else errors.push(file + ': secret_guard.min_entropy must be a non-negative number');
+  }
+  if (data.min_length !== undefined) {
+    if (typeof data.min_length === 'number' && data.min_length >= 8 && Math.floor(data.min_length) === data.min_length) guard.min_length = data.min_length;
+    else errors.push(file + ': secret_guard.min_length must be an integer >= 8');
+  }
+  if (data.allow_paths !== undefined) {
+    if (!Array.isArray(data.allow_paths)) errors.push(file + ': secret_guard.allow_paths must be a list');
+    else data.allow_paths.forEach(function(p) {
+      if (typeof p === 'string' && p) guard.allow_paths.push({ glob: p, re: conditions.globToRegExp(expandHome(p, home)) });
+    });
+  }
+  if (data.allow_values !== undefined) {
+    if (!Array.isArray(data.allow_values)) errors.push(file + ': secret_guard.allow_values must be a list');
+    else data.allow_values.forEach(function(v) {
+      try { guard.allow_values.push(new RegExp(v, 'i')); } catch (e) {
+        errors.push(file + ': secret_guard.allow_values: bad pattern ' + JSON.stringify(v) + ': ' + e.message);
+      }
+    });
+  }
+}
+
+function addLayer(policy, data, file, errors) {
+  if (data.secret_guard !== undefined) addSecretGuard(policy.secret_guard, data.secret_guard, file, policy.home, errors);
+  if (data.escalation !== undefined) {
+    if (!data.escalation || typeof data.escalation !== 'object' || Array.isArray(data.escalation)) {
+      errors.push(file + ': escalation must be an object');
+    } else {
+      ESCALATION_KEYS.forEach(function(k) {
+        var v = data.escalation[k];
+        if (v === undefined) return;
+        if (typeof v === 'number' && v >= 0 && Math.floor(v) === v) policy.escalation[k] = v;
+        else errors.push(file + ': escalation.' + k + ' must be a non-negative integer');
+      });
+    }
+  }
+  if (data.skip_paths !== undefined) {
+    if (!Array.isArray(data.skip_paths)) errors.push(file + ': skip_paths must be a list');
+    else data.skip_paths.forEach(function(p) { if (typeof p === 'string' && p && policy.skip_paths.indexOf(p) === -1) policy.skip_paths.push(p); });
+  }
+  if (data.disable !== undefined) {
+    if (!Array.isArray(data.disable)) errors.push(file + ': disable must be a list');
+    else {
+      policy.domains = policy.domains.filter(function(d) { return data.disable.indexOf(d.id) === -1; });
+      policy.protected_paths = policy.protected_paths.filter(function(d) { return data.disable.indexOf(d.id) === -1; });
+    }
+  }
+  if (data.protected_paths !== undefined) {
+    if (!Array.isArray(data.protected_paths)) errors.push(file + ': protected_paths must be a list');
+    else data.protected_paths.forEach(function(p, i) {
+      var entry = compileProtected(p, file, i, policy.home, errors);
+      if (!entry) return;
+      policy.protected_paths = policy.protected_paths.filter(function(x) { return x.id !== entry.id; });
+      policy.protected_paths.push(entry);
+    });
+  }
+  if (data.domains !== undefined) {
+    if (!Array.isArray(data.domains)) {
+      errors.push(file + ': domains must be a list');
+      return;
+    }
+    data.domains.forEach(function(d, i) {
+      var entry = compileDomain(d, file, i, errors);
+      if (!entry) return;
+      policy.domains = policy.domains.filter(function(x) { return x.id !== entry.id; });
+      policy.domains.push(entry);
+    });
+  }
+}
+
+/**
+ * Load and validate the user + project policy
+ * @param {string} [cwd] - project directory
+ * @param {string} [home]
+ * @returns {{ skip_paths: string[], domains: object[], protected_paths: object[], escalation: object, secret_guard: object, errors: string[], files: string[] }}
+ */
+function load(cwd, home) {
+  var policy = {
+    skip_paths: [], domains: [], protected_paths: [], errors: [], files: [], home: home || os.homedir(),
+    escalation: Object.assign({}, DEFAULT_POLICY.escalation),
+    secret_guard: {
+      action: DEFAULT_POLICY.secret_guard.action, allow_paths: [], allow_values: [],
+      min_entropy: DEFAULT_POLICY.secret_guard.min_entropy, min_length: DEFAULT_POLICY.secret_guard.min_length
+    }
+  };
+  addLayer(policy, DEFAULT_POLICY, '(built-in)', policy.errors);
+  var userFile = userPolicyFile(home);
+  var user = readJson(userFile, policy.errors);
+  if (user) {
+    policy.files.push(userFile);
+    addLayer(policy, user, userFile, policy.errors);
+  }
+  var projectFile = projectPolicyFile(cwd);
+  if (projectFile && projectFile !== userFile) {
+    var project = readJson(projectFile, policy.errors);
+    if (project) {
+      policy.files.push(projectFile);
+      addLayer(policy, project, projectFile, policy.errors);
+    }
+  }
+  return policy;
+}
+
+function skipPath(policy, target) {
+  var t = String(target || '').replace(/\\/g, '/');
+  if (!t) return null;
+  for (var i = 0; i < policy.skip_paths.length; i++) {
+    if (t.indexOf(policy.skip_paths[i].replace(/\\/g, '/')) !== -1) return policy.skip_paths[i];
+  }
+  return null;
+}
+
+// First domain entry whose pattern matches and that has an action for this tool
+function matchDomain(policy, toolName, text) {
+  if (!text) return null;
+  for (var i = 0; i < policy.domains.length; i++) {
+    var d = policy.domains[i];
+    var action = d.actions[toolName] || d.actions['*'];
+    if (action && d.re.test(text)) return { entry: d, action: action };
+  }
+  return null;
+}
+
+// Bash commands that make HTTP requests: CLI clients, and inline scripts
+// (python -c "requests.get(...)", node -e "fetch(...)", PowerShell cmdlets)
+var HTTP_CLIENT_RE = new RegExp([
+  '(^|[\\s;&|(`$])(curl|wget|http|https|xh|aria2c|invoke-webrequest|invoke-restmethod|iwr|irm)(\\.exe)?(?=\\s)',
+  '\\brequests\\.(get|post|put|patch|delete|head|request|session)\\b',
+  '\\burllib\\b', '\\burlopen\\b', '\\bhttpx\\b', '\\bhttp\\.client\\b',
+  '\\bfetch\\s*\\(', '\\baxios\\b', '\\bhttps?\\.(get|request)\\s*\\('
+].join('|'), 'i');
+var URL_RE = /\bhttps?:\/\/[^\s'"`<>()\\]+/gi;
+// Scheme-less host/path arguments (curl x.atlassian.net/rest/api)
+var CLI_SEGMENT_RE = /(?:^|[\s;&|(])(?:curl|wget|https?|xh)(?:\.exe)?\s+([^;&|\n]*)/gi;
+var BARE_URL_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?\/\S*$/i;
+
+function bashUrls(command) {
+  var cmd = String(command || '');
+  if (!HTTP_CLIENT_RE.test(cmd)) return [];
+  var urls = cmd.match(URL_RE) || [];
+  var seg;
+  CLI_SEGMENT_RE.lastIndex = 0;
+  while ((seg = CLI_SEGMENT_RE.exec(cmd)) !== null) {
+    seg[1].split(/\s+/).forEach(function(tok) {
+      tok = tok.replace(/^['"]|['"]$/g, '');
+      if (tok.charAt(0) !== '-' && BARE_URL_RE.test(tok)) urls.push(tok);
+    });
+  }
+  return urls.filter(function(u, i) { return urls.indexOf(u) === i; });
+}
+
+/**
+ * What a tool call would request, for matchDomain()
+ * @returns {string[]} lowercased URLs (WebFetch, Bash HTTP clients) or the search query
+ */
+function requestTargets(toolName, toolInput) {
+  toolInput = toolInput || {};
+  var targets = [];
+  if (toolName === 'WebFetch') targets = [toolInput.url || ''];
+  else if (toolName === 'WebSearch') targets = [toolInput.query || ''];
+  else if (toolName === 'Bash') targets = bashUrls(toolInput.command);
+  return targets.filter(Boolean).map(function(t) { return t.toLowerCase(); });
+}
+
+// ----- protected paths -----
+
+var WRITE_VERBS = ['rm', 'mv', 'cp', 'tee', 'truncate', 'chmod', 'chown', 'ln', 'install', 'dd', 'unlink', 'rmdir', 'touch',
+  'del', 'erase', 'remove-item', 'move-item', 'copy-item', 'set-content', 'add-content', 'out-file'];
+// Copies only write their last argument
+var LAST_ARG_VERBS = ['cp', 'install', 'ln', 'copy-item'];
+
+function unquote(tok) {
+  return tok.replace(/^['"]+|['"]+$/g, '');
+}
+
+var CD_VERBS = ['cd', 'pushd', 'chdir', 'set-location', 'sl'];
+
+// Relative path under the directory of an earlier cd step (null: the call's cwd)
+function inDir(dir, p) {
+  if (!dir || /^([\/\\]|~|\$HOME|\$\{HOME\}|%USERPROFILE%|[A-Za-z]:)/i.test(p)) return p;
+  return dir.replace(/[\/\\]+$/, '') + '/' + p;
+}
+
+// Paths a Bash command writes or deletes (best effort: whitespace-split words).
+// Relative paths after `cd <dir> &&` are taken inside that directory.
+function bashWriteTargets(command) {
+  var targets = [];
+  var dir = null;
+  String(command || '').split(/&&|\|\||[;|\n]/).forEach(function(seg) {
+    var segTargets = [];
+    var redirect = /(^|[^0-9&<>])>>?\s*([^\s;&|<>]+)/g;
+    var m;
+    while ((m = redirect.exec(seg)) !== null) segTargets.push(unquote(m[2]));
+    var words = seg.trim().split(/\s+/).map(unquote).filter(Boolean);
+    while (words.length > 0 && (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0]) || ['sudo', 'env', 'command', 'exec'].indexOf(words[0]) !== -1)) words.shift();
+    var verb = words.length > 0 ? path.basename(words[0]).toLowerCase().replace(/\.exe$/, '') : '';
+    var args = words.slice(1).filter(function(w) { return w.charAt(0) !== '-' && w.charAt(0) !== '>'; });
+    var inPlace = (verb === 'sed' || verb === 'perl') && words.some(function(w) { return /^-[a-z]*i/.test(w) || w === '--in-place'; });
+    if (CD_VERBS.indexOf(verb) !== -1) dir = inDir(dir, args[0] || '~');
+    else if (inPlace) segTargets = segTargets.concat(args);
+    else if (LAST_ARG_VERBS.indexOf(verb) !== -1) segTargets = segTargets.concat(args.slice(-1));
+    else if (WRITE_VERBS.indexOf(verb) !== -1) segTargets = segTargets.concat(args);
+    segTargets.forEach(function(t) { targets.push(inDir(dir, t)); });
+  });
+  return targets;
+}
+
+function editText(toolName, toolInput) {
+  if (toolName === 'Write') return toolInput.content || '';
+  if (toolName === 'MultiEdit') {
+    return (toolInput.edits || []).map(function(e) { return (e.old_string || '') + '\n' + (e.new_string || ''); }).join('\n');
+  }
+  if (toolName === 'NotebookEdit') return toolInput.new_source || '';
+  return (toolInput.old_string || '') + '\n' + (toolInput.new_string || '');
+}
+
+/**
+ * Protected path a tool call would modify
+ * @param {object} policy - from load()
+ * @param {string} toolName
+ * @param {object} toolInput
+ * @param {string} [cwd] - resolves relative paths
+ * @returns {{ entry: object, target: string }|null}
+ */
+function matchProtected(policy, toolName, toolInput, cwd) {
+  toolInput = toolInput || {};
+  var targets;
+  var text = null;
+  if (EDIT_TOOLS.indexOf(toolName) !== -1) {
+    targets = [toolInput.file_path || toolInput.notebook_path || ''];
+    text = editText(toolName, toolInput);
+  } else if (toolName === 'Bash') {
+    targets = bashWriteTargets(toolInput.command);
+  } else {
+    return null;
+  }
+  var base = cwd || process.cwd();
+  for (var ti = 0; ti < targets.length; ti++) {
+    if (!targets[ti]) continue;
+    var expanded = expandHome(targets[ti], policy.home);
+    var abs = path.resolve(base, expanded).replace(/\\/g, '/');
+    for (var i = 0; i < policy.protected_paths.length; i++) {
+      var p = policy.protected_paths[i];
+      if (p.tools.indexOf(toolName) === -1) continue;
+      if (!p.re.test(abs) && !p.re.test(expanded)) continue;
+      if (p.content && text !== null && !p.content.test(text)) continue;
+      return { entry: p, target: targets[ti] };
+    }
+  }
+  return null;
+}
+
+// secret_guard allow_paths glob matching a file (relative paths resolve against cwd)
+function secretAllowedPath(policy, filePath, cwd) {
+  if (!filePath) return null;
+  var expanded = expandHome(filePath, policy.home);
+  var abs = path.resolve(cwd || process.cwd(), expanded).replace(/\\/g, '/');
+  for (var i = 0; i < policy.secret_guard.allow_paths.length; i++) {
+    var p = policy.secret_guard.allow_paths[i];
+    if (p.re.test(abs) || p.re.test(expanded)) return p.glob;
+  }
+  return null;
+}
+
+// Manager named by an explicit SM_MANAGER=<manager> marker in a Bash command
+function overrideMarker(toolName, toolInput) {
+  if (toolName !== 'Bash') return null;
+  var m = /\bSM_MANAGER=["']?([\w.-]+)/.exec((toolInput && toolInput.command) || '');
+  return m ? m[1] : null;
+}
+
+// Suggestion ids named by an SM_DISMISS=<id>[,<id>...] marker ('all' dismisses every one)
+function dismissMarker(toolName, toolInput) {
+  if (toolName !== 'Bash') return null;
+  var m = /\bSM_DISMISS=["']?([\w.,-]+)/.exec((toolInput && toolInput.command) || '');
+  return m ? m[1].split(',').filter(Boolean) : null;
+}
+
+function unlockFile(home) {
+  return path.join(home || os.homedir(), '.claude', 'super-manager', 'state', 'config-guard-unlock.json');
+}
+
+// Record that a manager skill was invoked in this session (sm-posttooluse)
+function unlock(sessionId, manager, home) {
+  var file = unlockFile(home);
+  var data = {};
+  try { data = JSON.parse(fs.readFileSync(file, 'utf-8')) || {}; } catch (e) {}
+  var now = Date.now();
+  Object.keys(data).forEach(function(sid) {
+    Object.keys(data[sid] || {}).forEach(function(mgr) { if (now - data[sid][mgr] > UNLOCK_TTL_MS) delete data[sid][mgr]; });
+    if (!data[sid] || Object.keys(data[sid]).length === 0) delete data[sid];
+  });
+  var key = sessionId || '_nosession';
+  data[key] = data[key] || {};
+  data[key][manager] = now;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+function isUnlocked(sessionId, manager, home) {
+  try {
+    var data = JSON.parse(fs.readFileSync(unlockFile(home), 'utf-8'));
+    var ts = data[sessionId || '_nosession'] && data[sessionId || '_nosession'][manager];
+    return !!ts && Date.now() - ts <= UNLOCK_TTL_MS;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Managers named by protected_paths (their skill invocations unlock edits)
+function managers(policy) {
+  return policy.protected_paths.map(function(p) { return p.manager; })
+    .filter(function(m, i, arr) { return arr.indexOf(m) === i; });
+}
+
+module.exports = {
+  ACTIONS: ACTIONS,
+  DEFAULT_POLICY: DEFAULT_POLICY,
+  userPolicyFile: userPolicyFile,
+  load: load,
+  skipPath: skipPath,
+  matchDomain: matchDomain,
+  requestTargets: requestTargets,
+  matchProtected: matchProtected,
+  secretAllowedPath: secretAllowedPath,
+  overrideMarker: overrideMarker,
+  dismissMarker: dismissMarker,
+  managers: managers,
+  unlock: unlock,
+  isUnlocked: isUnlocked
+};
@@ -0,0 +1,210 @@
+/**
+ * Shared keyword matcher for super-manager hooks (rules, skills, MCP, Stop)
+ * Usage:
+ *   var matcher = require('./keyword-matcher');
+ *   var text = matcher.prepare(prompt);              // analyze once, match many
+ *   matcher.matchKeyword('deploy*', text)           // -> "deploying" or null
+ *   matcher.matchKeywords(['bash', '"remote desktop"'], text, 'word')
+ *
+ * Per-keyword mode is chosen by notation (Lucene-style):
+ *   deploy          -> default mode of the rule/skill (`match_mode:`, default "word")
+ *   "remote desktop"-> phrase: exact word sequence, no stemming or typo tolerance
+ *   deploy*         -> stem: "deploy" matches "deploys", "deploying", "deployed"
+ *   kubernetes~     -> fuzzy: whole word within one typo (words of 5+ chars)
+ *   *js*            -> substring: legacy raw indexOf (matches inside "json")
+ *
+ * Word-based modes ignore text inside URLs unless the keyword itself looks like
+ * a URL or filename (contains "." "/" or ":"), so "jira" no longer fires on
+ * https://github.com/acme/jira-export while "atlassian.net" still does.
+ */
+var MODES = ['word', 'phrase', 'stem', 'fuzzy', 'substring'];
+var URL_RE = /\b[a-z][a-z0-9+.-]*:\/\/\S+/g;
+var WORD_RE = /[a-z0-9]+/g;
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse keyword notation into { raw, term, mode }
+ * @param {string} raw - keyword as written in frontmatter/registry
+ * @param {string} [defaultMode] - mode for un-annotated keywords (default "word")
+ */
+function parseKeyword(raw, defaultMode) {
+  var term = String(raw || '').trim().toLowerCase();
+  var mode = MODES.indexOf(defaultMode) !== -1 ? defaultMode : 'word';
+  if (term.length > 2 && /^["'].*["']$/.test(term)) {
+    term = term.slice(1, -1);
+    mode = 'phrase';
+  } else if (term.length > 2 && term.charAt(0) === '*' && term.charAt(term.length - 1) === '*') {
+    term = term.slice(1, -1);
+    mode = 'substring';
+  } else if (term.length > 1 && term.charAt(term.length - 1) === '*') {
+    term = term.slice(0, -1);
+    mode = 'stem';
+  } else if (term.length > 1 && term.charAt(term.length - 1) === '~') {
+    term = term.slice(0, -1);
+    mode = 'fuzzy';
+  }
+  // Pure punctuation ("!") has no word boundaries -- fall back to substring
+  if (mode !== 'substring' && !/[a-z0-9]/.test(term)) mode = 'substring';
+  return { raw: raw, term: term, mode: mode };
+}
+
+// Porter step 1 (plurals, -ed/-ing, -y) plus -ment. Applied to both sides, so
+// only consistency matters, not linguistic accuracy.
+function stem(word) {
+  var w = word;
+  if (w.length <= 3) return w;
+  if (/sses$/.test(w)) w = w.slice(0, -2);
+  else if (/ies$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  var m = /^(.+?)(eed|ed|ing)$/.exec(w);
+  if (m && m[2] === 'eed') {
+    w = w.slice(0, -1);
+  } else if (m && /[aeiouy]/.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (/^[^aeiou]*[aeiou][^aeiouwxy]$/.test(w)) w += 'e';
+  }
+  if (/ments?$/.test(w) && w.length > 7) w = w.replace(/ments?$/, '');
+  if (/[aeiou].*y$/.test(w)) w = w.slice(0, -1) + 'i';
+  return w;
+}
+
+function editDistanceAtMost1(a, b) {
+  if (a === b) return true;
+  var la = a.length, lb = b.length;
+  if (Math.abs(la - lb) > 1) return false;
+  var i = 0;
+  while (i < la && i < lb && a.charAt(i) === b.charAt(i)) i++;
+  if (la === lb) {
+    // substitution, or adjacent transposition
+    if (a.slice(i + 1) === b.slice(i + 1)) return true;
+    return a.charAt(i) === b.charAt(i + 1) && a.charAt(i + 1) === b.charAt(i) && a.slice(i + 2) === b.slice(i + 2);
+  }
+  return la > lb ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+/**
+ * Analyze text once for repeated matching
+ * @param {string|object} text - raw text, or an already prepared object
+ */
+function prepare(text) {
+  if (text && typeof text === 'object' && text.prepared) return text;
+  var lower = String(text || '').toLowerCase();
+  var noUrl = lower.replace(URL_RE, ' ');
+  return {
+    prepared: true,
+    lower: lower,
+    noUrl: noUrl,
+    words: noUrl.match(WORD_RE) || [],
+    stems: null
+  };
+}
+
+// Find consecutive words satisfying eq(textWord, keywordWord); returns matched span
+function findSequence(words, kwWords, eq) {
+  for (var i = 0; i + kwWords.length <= words.length; i++) {
+    var ok = true;
+    for (var j = 0; j < kwWords.length; j++) {
+      if (!eq(words[i + j], kwWords[j])) { ok = false; break; }
+    }
+    if (ok) return words.slice(i, i + kwWords.length).join(' ');
+  }
+  return null;
+}
+
+/**
+ * Test one keyword against text
+ * @param {string|object} keyword - raw keyword or result of parseKeyword()
+ * @param {string|object} text - raw text or result of prepare()
+ * @param {string} [defaultMode]
+ * @returns {string|null} the matched text, or null
+ */
+function matchKeyword(keyword, text, defaultMode) {
+  var kw = typeof keyword === 'object' ? keyword : parseKeyword(keyword, defaultMode);
+  var t = prepare(text);
+  if (!kw.term) return null;
+
+  if (kw.mode === 'substring') {
+    return t.lower.indexOf(kw.term) !== -1 ? kw.term : null;
+  }
+
+  var urlish = /[.\/:]/.test(kw.term);
+  var haystack = urlish ? t.lower : t.noUrl;
+
+  if (kw.mode === 'word' || kw.mode === 'phrase' || urlish) {
+    var re = new RegExp('(?:^|[^a-z0-9])(' + escapeRe(kw.term).replace(/\s+/g, '\\s+') + ')(?=$|[^a-z0-9])');
+    var m = re.exec(haystack);
+    return m ? m[1] : null;
+  }
+
+  var kwWords = kw.term.match(WORD_RE) || [];
+  if (kwWords.length === 0) return null;
+
+  if (kw.mode === 'stem') {
+    if (!t.stems) t.stems = t.words.map(stem);
+    var kwStems = kwWords.map(stem);
+    for (var i = 0; i + kwStems.length <= t.stems.length; i++) {
+      var ok = true;
+      for (var j = 0; j < kwStems.length; j++) {
+        if (t.stems[i + j] !== kwStems[j]) { ok = false; break; }
+      }
+      if (ok) return t.words.slice(i, i + kwStems.length).join(' ');
+    }
+    return null;
+  }
+
+  // fuzzy: one edit per word, only for words long enough to survive a typo
+  return findSequence(t.words, kwWords, function(w, k) {
+    return k.length >= 5 ? editDistanceAtMost1(w, k) : w === k;
+  });
+}
+
+/**
+ * Test a keyword list against text
+ * @returns {Array<{ keyword: string, term: string, mode: string, match: string }>} hits
+ */
+function matchKeywords(keywords, text, defaultMode) {
+  var t = prepare(text);
+  var hits = [];
+  for (var i = 0; i < (keywords || []).length; i++) {
+    var kw = parseKeyword(keywords[i], defaultMode);
+    var m = matchKeyword(kw, t);
+    if (m !== null) hits.push({ keyword: keywords[i], term: kw.term, mode: kw.mode, match: m });
+  }
+  return hits;
+}
+
+/**
+ * Check an item's negative keywords and exclusion regex against text.
+ * Works for rule frontmatter, skill-registry.json entries and servers.yaml
+ * entries alike: { exclude_keywords: [...], exclude_pattern: "regex", match_mode }
+ * @returns {string|null} suppression reason, e.g. 'exclude_keywords: "repo"'
+ * @throws {SyntaxError} when exclude_pattern is not a valid regex
+ */
+function exclusionReason(item, text) {
+  var t = prepare(text);
+  var excl = item.exclude_keywords;
+  if (typeof excl === 'string') excl = excl ? [excl] : [];
+  var hits = matchKeywords(excl, t, item.match_mode);
+  if (hits.length > 0) return 'exclude_keywords: "' + hits[0].keyword + '"';
+  if (item.exclude_pattern && typeof item.exclude_pattern === 'string') {
+    var m = new RegExp(item.exclude_pattern, 'i').exec(t.lower);
+    if (m) return 'exclude_pattern: "' + m[0].substring(0, 40) + '"';
+  }
+  return null;
+}
+
+module.exports = {
+  MODES: MODES,
+  parseKeyword: parseKeyword,
+  prepare: prepare,
+  stem: stem,
+  matchKeyword: matchKeyword,
+  matchKeywords: matchKeywords,
+  exclusionReason: exclusionReason
+};
@@ -0,0 +1,95 @@
+/**
+ * Per-session rule state: the UserPromptSubmit loader's dedupe cache and the
+ * Stop checker's block counters
+ * File: ~/.claude/rules/.loaded-cache
+ *   { "sessions": { "<session_id>": { "loaded": [ids], "reported": [keys],
+ *                                     "stop_blocks": { id: n }, "stop_last": [ids], "ts": epoch_ms } } }
+ *
+ * Usage:
+ *   var ruleCache = require('./rule-cache');
+ *   var all = ruleCache.read(file);
+ *   var entry = ruleCache.session(all, hookData.session_id);   // { loaded, reported, stop_blocks, stop_last, ts }
+ *   ruleCache.write(file, all);
+ *   ruleCache.forget(file, sessionId);    // SessionStart compact/resume/clear -> re-inject
+ *
+ * Each concurrent session dedupes independently, so a second terminal still
+ * gets its rules. Sessions idle longer than SESSION_TTL_MS are pruned on write.
+ */
+var fs = require('fs');
+
+var SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+var MAX_SESSIONS = 50;
+// Payloads without session_id (older clients, manual runs) share one entry
+// that keeps the historical 2-hour expiry.
+var NO_SESSION = '_nosession';
+var NO_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+function read(file) {
+  try {
+    var data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    // Pre-session format ({ loaded, sessionTs }) is discarded
+    if (data && data.sessions && typeof data.sessions === 'object') return data;
+  } catch (e) {}
+  return { sessions: {} };
+}
+
+function session(data, sessionId) {
+  var key = sessionId || NO_SESSION;
+  var entry = data.sessions[key];
+  var ttl = key === NO_SESSION ? NO_SESSION_TTL_MS : SESSION_TTL_MS;
+  if (!entry || !entry.ts || (Date.now() - entry.ts) > ttl) {
+    entry = data.sessions[key] = { loaded: [], reported: [], stop_blocks: {}, stop_last: [], ts: Date.now() };
+  }
+  if (!Array.isArray(entry.loaded)) entry.loaded = [];
+  if (!Array.isArray(entry.reported)) entry.reported = [];
+  if (!entry.stop_blocks || typeof entry.stop_blocks !== 'object') entry.stop_blocks = {};
+  if (!Array.isArray(entry.stop_last)) entry.stop_last = [];
+  entry.ts = Date.now();
+  return entry;
+}
+
+function prune(data) {
+  var now = Date.now();
+  var ids = Object.keys(data.sessions).filter(function(id) {
+    var e = data.sessions[id];
+    if (!e || !e.ts || (now - e.ts) > SESSION_TTL_MS) {
+      delete data.sessions[id];
+      return false;
+    }
+    return true;
+  });
+  if (ids.length > MAX_SESSIONS) {
+    ids.sort(function(a, b) { return data.sessions[a].ts - data.sessions[b].ts; });
+    ids.slice(0, ids.length - MAX_SESSIONS).forEach(function(id) { delete data.sessions[id]; });
+  }
+  return data;
+}
+
+function write(file, data) {
+  fs.writeFileSync(file, JSON.stringify(prune(data)));
+}
+
+/**
+ * Forget which rules a session has seen so they are injected again (context
+ * was compacted, resumed or cleared and no longer contains them). Stop block
+ * counters are kept -- max_blocks is per session, not per context window.
+ * @returns {boolean} true when an entry existed
+ */
+function forget(file, sessionId) {
+  var data = read(file);
+  var key = sessionId || NO_SESSION;
+  var entry = data.sessions[key];
+  if (!entry) return false;
+  entry.loaded = [];
+  entry.reported = [];
+  write(file, data);
+  return true;
+}
+
+module.exports = {
+  SESSION_TTL_MS: SESSION_TTL_MS,
+  read: read,
+  session: session,
+  write: write,
+  forget: forget
+};
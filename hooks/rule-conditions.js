@@ -0,0 +1,192 @@
+/**
+ * `when:` conditions for rule frontmatter, evaluated locally (no network, no git process)
+ * Usage:
+ *   var conditions = require('./rule-conditions');
+ *   var ctx = conditions.context(cwd);            // one per hook run, caches git/file lookups
+ *   conditions.evaluate(rule.when, ctx)          // -> null when active, else "files: package.json"
+ *
+ * Frontmatter (all listed conditions must hold; list values mean "any of"):
+ *   when:
+ *     cwd: "**v1-console*"               glob against the working directory
+ *     files: [package.json]              file exists in cwd or a parent up to the repo root
+ *     branch: ^(feature|fix)/            regex against the current git branch
+ *     platform: [win32, darwin]          process.platform (aliases: windows, mac, macos)
+ *     env: [CI, "NODE_ENV=production"]   variable set (non-empty) or equal; "!NAME" = unset
+ */
+var fs = require('fs');
+var path = require('path');
+
+var PLATFORM_ALIASES = { windows: 'win32', win: 'win32', mac: 'darwin', macos: 'darwin', osx: 'darwin' };
+
+function unquote(s) {
+  s = String(s).trim();
+  if (s.length > 1 && /^["'].*["']$/.test(s)) return s.slice(1, -1);
+  return s;
+}
+
+function asList(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return (Array.isArray(v) ? v : [v]).map(unquote).filter(Boolean);
+}
+
+function globToRegExp(glob) {
+  var re = '';
+  for (var i = 0; i < glob.length; i++) {
+    var c = glob.charAt(i);
+    if (c === '*' && glob.charAt(i + 1) === '*') {
+      re += '.*';
+      i++;
+      if (glob.charAt(i + 1) === '/') i++;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + re + '$', process.platform === 'win32' ? 'i' : '');
+}
+
+// Nearest directory containing .git, or null
+function findRepoRoot(dir) {
+  var cur = dir;
+  while (cur) {
+    if (fs.existsSync(path.join(cur, '.git'))) return cur;
+    var parent = path.dirname(cur);
+    if (parent === cur) return null;
+    cur = parent;
+  }
+  return null;
+}
+
+// Read the branch from .git/HEAD (handles worktree .git files); "" when detached
+function readBranch(root) {
+  if (!root) return '';
+  try {
+    var gitDir = path.join(root, '.git');
+    if (fs.statSync(gitDir).isFile()) {
+      var m = /gitdir:\s*(.+)/.exec(fs.readFileSync(gitDir, 'utf-8'));
+      if (!m) return '';
+      gitDir = path.resolve(root, m[1].trim());
+    }
+    var head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf-8').trim();
+    return head.indexOf('ref: refs/heads/') === 0 ? head.slice('ref: refs/heads/'.length) : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Build an evaluation context for one working directory
+ * @param {string} cwd
+ */
+function context(cwd) {
+  var dir = path.resolve(cwd || process.cwd());
+  var ctx = { cwd: dir, platform: process.platform, env: process.env, _files: {} };
+  var root;
+  ctx.repoRoot = function() {
+    if (root === undefined) root = findRepoRoot(dir);
+    return root;
+  };
+  var branch;
+  ctx.branch = function() {
+    if (branch === undefined) branch = readBranch(ctx.repoRoot());
+    return branch;
+  };
+  ctx.hasFile = function(name) {
+    if (ctx._files[name] !== undefined) return ctx._files[name];
+    var stop = ctx.repoRoot() || dir;
+    var cur = dir;
+    var found = false;
+    while (cur) {
+      if (fs.existsSync(path.join(cur, name))) { found = true; break; }
+      if (cur === stop) break;
+      var parent = path.dirname(cur);
+      if (parent === cur) break;
+      cur = parent;
+    }
+    ctx._files[name] = found;
+    return found;
+  };
+  return ctx;
+}
+
+function envHolds(spec, env) {
+  var negate = spec.charAt(0) === '!';
+  if (negate) spec = spec.slice(1);
+  var eq = spec.indexOf('=');
+  var ok = eq === -1 ? !!env[spec] : env[spec.slice(0, eq)] === spec.slice(eq + 1);
+  return negate ? !ok : ok;
+}
+
+var CHECKS = {
+  cwd: function(values, ctx) {
+    var p = ctx.cwd.split(path.sep).join('/');
+    return values.some(function(g) { return globToRegExp(g).test(p); });
+  },
+  files: function(values, ctx) {
+    return values.some(function(f) { return ctx.hasFile(f); });
+  },
+  branch: function(values, ctx) {
+    var b = ctx.branch();
+    return values.some(function(re) { return new RegExp(re).test(b); });
+  },
+  platform: function(values, ctx) {
+    return values.some(function(p) {
+      var v = p.toLowerCase();
+      return (PLATFORM_ALIASES[v] || v) === ctx.platform;
+    });
+  },
+  env: function(values, ctx) {
+    return values.some(function(spec) { return envHolds(spec, ctx.env); });
+  }
+};
+
+/**
+ * Evaluate a rule's `when:` block
+ * @param {object|undefined} when - parsed frontmatter map
+ * @param {object} ctx - from context()
+ * @returns {string|null} the first failing condition ("branch: ^feature/"), or null when active.
+ *   Unknown condition names and invalid regexes fail closed with a reason.
+ */
+function evaluate(when, ctx) {
+  if (!when) return null;
+  if (typeof when !== 'object' || Array.isArray(when)) return 'when: expected a map of conditions';
+  var keys = Object.keys(when);
+  for (var i = 0; i < keys.length; i++) {
+    var values = asList(when[keys[i]]);
+    if (values.length === 0) continue;
+    var check = CHECKS[keys[i]];
+    if (!check) return 'unknown condition "' + keys[i] + '"';
+    try {
+      if (!check(values, ctx)) return keys[i] + ': ' + values.join(', ');
+    } catch (e) {
+      return keys[i] + ': ' + e.message;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split rules into active and dormant for a context
+ * @returns {{ active: object[], dormant: Array<{ rule: object, reason: string }> }}
+ */
+function partition(rules, ctx) {
+  var active = [];
+  var dormant = [];
+  for (var i = 0; i < rules.length; i++) {
+    var reason = evaluate(rules[i].when, ctx);
+    if (reason) dormant.push({ rule: rules[i], reason: reason });
+    else active.push(rules[i]);
+  }
+  return { active: active, dormant: dormant };
+}
+
+module.exports = {
+  CONDITIONS: Object.keys(CHECKS),
+  globToRegExp: globToRegExp,
+  context: context,
+  evaluate: evaluate,
+  partition: partition
+};
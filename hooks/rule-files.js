@@ -0,0 +1,228 @@
+/**
+ * Rule file discovery shared by sm-userpromptsubmit, sm-stop and sm-sessionstart
+ * Usage:
+ *   var ruleFiles = require('./rule-files');
+ *   var res = ruleFiles.resolveRules('UserPromptSubmit', { cwd: hookData.cwd, log: instLog });
+ *   res.rules      -> [meta, ...] each with id, file, scope ('global' | 'mcp' | 'project')
+ *   res.overridden -> [{ id, file, by }]  global/mcp rules replaced by a project rule
+ *   res.disabled   -> [{ id, file, reason }]  `enabled: false`, or the project's disable: list
+ *
+ * Resolution order (later wins on duplicate id):
+ *   1. ~/.claude/rules/<Event>/*.md   (UserPromptSubmit also reads ~/.claude/rules/*.md)
+ *   2. <MCP root>/mcp-<name>/rules/*.md (UserPromptSubmit only, collocated with the MCP server)
+ *   3. <cwd>/.claude/rules/<Event>/*.md
+ * then rules with `enabled: false` and ids listed in
+ * <cwd>/.claude/rules/loader-config.json { "disable": [ids] } are removed.
+ *
+ * severityOf(meta) -> 'block' | 'warn' | 'log' (frontmatter `severity:`, default
+ * 'block'; unknown values also mean 'block' so a typo never silences a rule).
+ */
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+
+var NL = String.fromCharCode(10);
+
+function mcpYamlPaths(home) {
+  return [
+    path.join(home, 'OneDrive - TrendMicro', 'Documents', 'ProjectsCL', 'MCP', 'mcp-manager', 'servers.yaml'),
+    path.join(home, 'mcp', 'mcp-manager', 'servers.yaml')
+  ];
+}
+
+function parseValue(key, val) {
+  if (val.startsWith('[') && val.endsWith(']') && key.indexOf('pattern') === -1) {
+    return val.slice(1, -1).split(',').map(function(s) { return s.trim(); }).filter(Boolean);
+  }
+  return val;
+}
+
+/**
+ * Parse YAML-ish frontmatter: `key: value`, inline `[a, b]` lists, multi-line
+ * `- item` lists and one level of indented `sub: value` maps (e.g. `when:`),
+ * whose values can be multi-line lists too (`files:` then `- package.json`).
+ * Keys containing "pattern" are never split on commas -- regexes use brackets
+ * and {m,n} quantifiers.
+ * @returns {object|null} meta with `body`, or null without frontmatter
+ */
+function parseFrontmatter(content) {
+  content = String(content || '').replace(/\r\n/g, NL);
+  if (!content.startsWith('---')) return null;
+  var endIdx = content.indexOf('---', 3);
+  if (endIdx === -1) return null;
+  var yaml = content.substring(3, endIdx).trim();
+  var meta = {};
+  var lines = yaml.split(NL);
+  var currentListKey = null;
+  var currentSubKey = null;
+  for (var i = 0; i < lines.length; i++) {
+    var trimmed = lines[i].trim();
+    // Multi-line list items (e.g. "  - atlassian.net"), of a nested key when one is open
+    if (trimmed.startsWith('- ') && currentListKey) {
+      var list = currentSubKey ? meta[currentListKey] : meta;
+      var listKey = currentSubKey || currentListKey;
+      if (!Array.isArray(list[listKey])) list[listKey] = [];
+      list[listKey].push(trimmed.slice(2).trim());
+      continue;
+    }
+    // Indented "sub: value" under an empty key -> nested map
+    var subCol = trimmed.indexOf(':');
+    if (currentListKey && /^\s/.test(lines[i]) && subCol > 0) {
+      if (!meta[currentListKey] || typeof meta[currentListKey] !== 'object' || Array.isArray(meta[currentListKey])) {
+        meta[currentListKey] = {};
+      }
+      var subKey = trimmed.substring(0, subCol).trim();
+      var subVal = trimmed.substring(subCol + 1).trim();
+      currentSubKey = subVal === '' ? subKey : null;
+      meta[currentListKey][subKey] = subVal === '' ? [] : parseValue(subKey, subVal);
+      continue;
+    }
+    currentListKey = null;
+    currentSubKey = null;
+    var col = lines[i].indexOf(':');
+    if (col === -1) continue;
+    var key = lines[i].substring(0, col).trim();
+    var val = lines[i].substring(col + 1).trim();
+    if (val === '') {
+      currentListKey = key;
+    } else {
+      meta[key] = parseValue(key, val);
+    }
+  }
+  meta.body = content.substring(endIdx + 3).trim();
+  return meta;
+}
+
+function listMarkdown(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(function(f) { return f.endsWith('.md') && f !== 'README.md'; })
+      .map(function(f) { return path.join(dir, f); });
+  } catch (e) {
+    return [];
+  }
+}
+
+// Project rules live next to the repo; the home directory itself is not a project
+function projectRulesDir(cwd, home) {
+  if (!cwd) return null;
+  var dir = path.resolve(cwd);
+  if (dir === path.resolve(home)) return null;
+  return path.join(dir, '.claude', 'rules');
+}
+
+function readProjectConfig(dir) {
+  try {
+    var cfg = JSON.parse(fs.readFileSync(path.join(dir, 'loader-config.json'), 'utf-8'));
+    return cfg && typeof cfg === 'object' ? cfg : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function mcpRuleFiles(home, log) {
+  var files = [];
+  var mcpYaml = mcpYamlPaths(home).find(function(p) { try { return fs.existsSync(p); } catch (e) { return false; } });
+  if (!mcpYaml) return files;
+  var mcpRoot = path.dirname(path.dirname(mcpYaml)); // up from mcp-manager/ to MCP/
+  try {
+    var mcpDirs = fs.readdirSync(mcpRoot).filter(function(d) { return d.startsWith('mcp-'); });
+    for (var i = 0; i < mcpDirs.length; i++) {
+      var found = listMarkdown(path.join(mcpRoot, mcpDirs[i], 'rules'));
+      if (found.length > 0) log('[MCP-RULES] scanned ' + mcpDirs[i] + '/rules/ -> ' + found.length + ' rules');
+      files = files.concat(found);
+    }
+  } catch (e) {
+    log('[MCP-RULES] scan error: ' + e.message);
+  }
+  return files;
+}
+
+/**
+ * Collect rules for one hook event in resolution order
+ * @param {string} event - 'UserPromptSubmit' | 'Stop'
+ * @param {object} [opts] - { cwd, home, log(msg) }
+ */
+function resolveRules(event, opts) {
+  opts = opts || {};
+  var home = opts.home || os.homedir();
+  var log = opts.log || function() {};
+  var globalDir = path.join(home, '.claude', 'rules');
+  var projectDir = projectRulesDir(opts.cwd, home);
+
+  var sources = [];
+  if (event === 'UserPromptSubmit') {
+    listMarkdown(globalDir).forEach(function(f) { sources.push({ file: f, scope: 'global' }); });
+  }
+  listMarkdown(path.join(globalDir, event)).forEach(function(f) { sources.push({ file: f, scope: 'global' }); });
+  if (event === 'UserPromptSubmit') {
+    mcpRuleFiles(home, log).forEach(function(f) { sources.push({ file: f, scope: 'mcp' }); });
+  }
+  if (projectDir) {
+    listMarkdown(path.join(projectDir, event)).forEach(function(f) { sources.push({ file: f, scope: 'project' }); });
+  }
+
+  var byId = {};
+  var order = [];
+  var overridden = [];
+  for (var i = 0; i < sources.length; i++) {
+    var meta;
+    try { meta = parseFrontmatter(fs.readFileSync(sources[i].file, 'utf-8')); } catch (e) { meta = null; }
+    if (!meta) continue;
+    // Derive id from frontmatter or filename ("confluence-url-routing.md" -> "confluence-url-routing")
+    meta.id = meta.id || path.basename(sources[i].file, '.md');
+    meta.file = sources[i].file;
+    meta.scope = sources[i].scope;
+    var prev = byId[meta.id];
+    if (prev) {
+      if (meta.scope === 'project' && prev.scope !== 'project') {
+        overridden.push({ id: meta.id, file: prev.file, by: meta.file });
+        log('[PROJECT-RULES] ' + meta.id + ': ' + prev.file + ' overridden by ' + meta.file);
+      } else {
+        log('[RULES] duplicate id ' + meta.id + ': ' + meta.file + ' replaces ' + prev.file);
+      }
+    } else {
+      order.push(meta.id);
+    }
+    byId[meta.id] = meta;
+  }
+
+  var disabled = [];
+  Object.keys(byId).forEach(function(id) {
+    if (String(byId[id].enabled).toLowerCase() !== 'false') return;
+    disabled.push({ id: id, file: byId[id].file, reason: 'enabled: false' });
+    delete byId[id];
+  });
+  var disable = projectDir ? readProjectConfig(projectDir).disable : null;
+  if (typeof disable === 'string') disable = [disable];
+  if (Array.isArray(disable)) {
+    disable.forEach(function(id) {
+      if (!byId[id]) return;
+      disabled.push({ id: id, file: byId[id].file, reason: 'disabled by project loader-config.json' });
+      log('[PROJECT-RULES] ' + id + ' disabled by ' + path.join(projectDir, 'loader-config.json'));
+      delete byId[id];
+    });
+  }
+
+  return {
+    rules: order.filter(function(id) { return byId[id]; }).map(function(id) { return byId[id]; }),
+    overridden: overridden,
+    disabled: disabled,
+    projectDir: projectDir
+  };
+}
+
+var SEVERITIES = ['block', 'warn', 'log'];
+
+function severityOf(meta) {
+  var s = String((meta && meta.severity) || '').trim().toLowerCase().replace(/^["']|["']$/g, '');
+  return SEVERITIES.indexOf(s) !== -1 ? s : 'block';
+}
+
+module.exports = {
+  SEVERITIES: SEVERITIES,
+  severityOf: severityOf,
+  parseFrontmatter: parseFrontmatter,
+  resolveRules: resolveRules,
+  projectRulesDir: projectRulesDir
+};
@@ -0,0 +1,238 @@
+/**
+ * Secret-leak scanner for tool inputs: known token formats, high-entropy
+ * strings, and the literal values of registered credentials
+ * Usage:
+ *   var secretGuard = require('./secret-guard');
+ *   secretGuard.inputTexts('Edit', toolInput)      // -> [{ field, text }] (content, new_string, command)
+ *   secretGuard.registeredHashes(home)             // -> { salt, byHash: { <value_hash>: key } } or null
+ *   secretGuard.scan(text, guard, registered)      // -> [{ kind, label, preview, line, key }]
+ *   secretGuard.mask(text, guard)                  // -> text with format/entropy matches as ***
+ *
+ * guard is the enforcement policy's secret_guard section (enforcement-policy.js):
+ *   allow_values  RegExp[] -- format/entropy matches that match one are ignored
+ *   min_entropy   Shannon bits per character for a high-entropy match (0 disables)
+ *   min_length    shortest high-entropy candidate
+ * Registered credentials come from credential-registry.json: each entry's
+ * value_hash is sha256(hash_salt + value), written by credential_manager.py,
+ * so the values themselves are never read. A registered value is reported
+ * even when allow_values matches it. Only long, high-entropy values are hashed
+ * (the salt is in the same file, so a short password's hash could be guessed
+ * offline); shorter registered values are not recognized.
+ * Previews keep the first 4 characters and the length -- never the value.
+ */
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+var crypto = require('crypto');
+
+// Larger inputs are scanned up to this many characters
+var MAX_SCAN_CHARS = 500 * 1024;
+// Longer runs are data (base64 images, bundles), not secrets
+var MAX_ENTROPY_LENGTH = 256;
+// credential_manager.py HASH_MIN_LENGTH: shorter values have no value_hash
+var MIN_CREDENTIAL_LENGTH = 20;
+
+var FORMATS = [
+  { kind: 'github', label: 'GitHub token', re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { kind: 'aws', label: 'AWS access key id', re: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+  // 40-character secret keys are only recognizable next to their name
+  { kind: 'aws', label: 'AWS secret access key', re: /\baws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9\/+=]{40})(?![A-Za-z0-9\/+=])/gi, group: 1 },
+  { kind: 'atlassian', label: 'Atlassian API token', re: /\bAT(?:ATT|CTT)3[A-Za-z0-9_=-]{20,}/g },
+  { kind: 'jwt', label: 'JWT', re: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { kind: 'slack', label: 'Slack token', re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { kind: 'private-key', label: 'private key', re: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/g }
+];
+
+var ENTROPY_CANDIDATE_RE = /[A-Za-z0-9+_-]+=*/g;
+// Inline base64 payloads (data:image/png;base64,...)
+var DATA_URI_RE = /\bdata:[\w.+-]+\/[\w.+-]+(?:;[\w.+-]+=[\w.+-]+)*;base64,[A-Za-z0-9+\/]+=*/gi;
+
+/**
+ * Text a call would write or run, per field
+ * @returns {{ field: string, text: string }[]}
+ */
+function inputTexts(toolName, toolInput) {
+  var input = toolInput || {};
+  if (toolName === 'Write') return [{ field: 'content', text: input.content || '' }];
+  if (toolName === 'Edit') return [{ field: 'new_string', text: input.new_string || '' }];
+  if (toolName === 'MultiEdit') {
+    return (input.edits || []).map(function(e, i) { return { field: 'edits[' + i + '].new_string', text: (e && e.new_string) || '' }; });
+  }
+  if (toolName === 'Bash') return [{ field: 'command', text: input.command || '' }];
+  return [];
+}
+
+function registryFile(home) {
+  return path.join(home || os.homedir(), '.claude', 'super-manager', 'credentials', 'credential-registry.json');
+}
+
+// Salted SHA-256, as credential_manager._value_hash()
+function valueHash(value, salt) {
+  return crypto.createHash('sha256').update(salt + value, 'utf8').digest('hex');
+}
+
+/**
+ * Value hashes of registered credentials
+ * @returns {{ salt: string, byHash: object }|null} null when none are hashed
+ */
+function registeredHashes(home) {
+  var data;
+  try { data = JSON.parse(fs.readFileSync(registryFile(home), 'utf-8')); } catch (e) { return null; }
+  if (!data || typeof data.hash_salt !== 'string' || !Array.isArray(data.credentials)) return null;
+  var byHash = {};
+  var count = 0;
+  data.credentials.forEach(function(c) {
+    if (c && typeof c.value_hash === 'string' && c.key) {
+      byHash[c.value_hash.toLowerCase()] = c.key;
+      count++;
+    }
+  });
+  return count > 0 ? { salt: data.hash_salt, byHash: byHash } : null;
+}
+
+function entropy(s) {
+  var counts = {};
+  for (var i = 0; i < s.length; i++) counts[s.charAt(i)] = (counts[s.charAt(i)] || 0) + 1;
+  var bits = 0;
+  Object.keys(counts).forEach(function(c) {
+    var p = counts[c] / s.length;
+    bits -= p * Math.log(p) / Math.LN2;
+  });
+  return bits;
+}
+
+function dataUriRanges(text) {
+  var ranges = [];
+  DATA_URI_RE.lastIndex = 0;
+  var m;
+  while ((m = DATA_URI_RE.exec(text)) !== null) ranges.push([m.index, m.index + m[0].length]);
+  return ranges;
+}
+
+function inRanges(ranges, index) {
+  return ranges.some(function(r) { return index >= r[0] && index < r[1]; });
+}
+
+function preview(value) {
+  return value.slice(0, 4) + '... (' + value.length + ' chars)';
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function allowed(guard, value) {
+  return (guard.allow_values || []).some(function(re) { return re.test(value); });
+}
+
+// Words and KEY=VALUE / key: value parts a credential value could be
+function credentialCandidates(text) {
+  var seen = {};
+  var out = [];
+  function add(value, index) {
+    if (value.length < MIN_CREDENTIAL_LENGTH || seen[value]) return;
+    seen[value] = true;
+    out.push({ value: value, index: index });
+  }
+  var word = /[^\s"'`]+/g;
+  var m;
+  while ((m = word.exec(text)) !== null) {
+    add(m[0], m.index);
+    var offset = 0;
+    m[0].split(/([=:,;(){}\[\]<>])/).forEach(function(part, i) {
+      if (i % 2 === 0) add(part, m.index + offset);
+      offset += part.length;
+    });
+  }
+  return out;
+}
+
+// Secret values in a text with their offsets, in check order; overlapping matches count once
+function matches(text, guard, registered) {
+  var found = [];
+  var covered = [];
+  function add(kind, label, value, index, key) {
+    for (var i = 0; i < covered.length; i++) {
+      if (index < covered[i][1] && index + value.length > covered[i][0]) return;
+    }
+    covered.push([index, index + value.length]);
+    found.push({ kind: kind, label: label, value: value, index: index, key: key || null });
+  }
+
+  if (registered) {
+    credentialCandidates(text).forEach(function(c) {
+      var key = registered.byHash[valueHash(c.value, registered.salt)];
+      if (key) add('credential', 'value of registered credential', c.value, c.index, key);
+    });
+  }
+
+  FORMATS.forEach(function(f) {
+    f.re.lastIndex = 0;
+    var m;
+    while ((m = f.re.exec(text)) !== null) {
+      var value = f.group ? m[f.group] : m[0];
+      if (!allowed(guard, value)) add(f.kind, f.label, value, m.index + m[0].indexOf(value));
+    }
+  });
+
+  if (guard.min_entropy > 0) {
+    var minLength = guard.min_length || 24;
+    var dataUris = dataUriRanges(text);
+    ENTROPY_CANDIDATE_RE.lastIndex = 0;
+    var c;
+    while ((c = ENTROPY_CANDIDATE_RE.exec(text)) !== null) {
+      var token = c[0];
+      if (token.length < minLength || token.length > MAX_ENTROPY_LENGTH) continue;
+      // Integrity hashes (sha512-..., sha256:...), credential: references and data: URIs are not secrets
+      if (/^sha\d+-/i.test(token) || /(?:sha\d+|credential):$/i.test(text.slice(Math.max(0, c.index - 11), c.index))) continue;
+      if (inRanges(dataUris, c.index)) continue;
+      // Random tokens mix upper, lower and digits; identifiers, words and hex hashes do not
+      if (!/[A-Z]/.test(token) || !/[a-z]/.test(token) || !/[0-9]/.test(token)) continue;
+      if (entropy(token) < guard.min_entropy || allowed(guard, token)) continue;
+      add('entropy', 'high-entropy string', token, c.index);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Secrets in a text
+ * @param {string} text
+ * @param {object} guard - policy.secret_guard
+ * @param {object} [registered] - from registeredHashes()
+ * @returns {{ kind: string, label: string, preview: string, line: number, key: string|null }[]}
+ */
+function scan(text, guard, registered) {
+  text = String(text || '').slice(0, MAX_SCAN_CHARS);
+  var findings = matches(text, guard || {}, registered).map(function(m) {
+    return { kind: m.kind, label: m.label, preview: m.key ? m.key : preview(m.value), line: lineAt(text, m.index), key: m.key };
+  });
+  return findings.sort(function(a, b) { return a.line - b.line; });
+}
+
+/**
+ * Text with every known-format and high-entropy value replaced by *** (for logs)
+ * @param {string} text
+ * @param {object} guard - { min_entropy, min_length, allow_values } as for scan()
+ * @returns {string}
+ */
+function mask(text, guard) {
+  text = String(text || '');
+  var found = matches(text.slice(0, MAX_SCAN_CHARS), guard || {}, null);
+  found.sort(function(a, b) { return b.index - a.index; }).forEach(function(m) {
+    text = text.slice(0, m.index) + '***' + text.slice(m.index + m.value.length);
+  });
+  return text;
+}
+
+module.exports = {
+  FORMATS: FORMATS,
+  inputTexts: inputTexts,
+  registryFile: registryFile,
+  valueHash: valueHash,
+  registeredHashes: registeredHashes,
+  entropy: entropy,
+  scan: scan,
+  mask: mask
+};
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * sm-explain - Why did (or didn't) a rule, skill or MCP server fire?
+ * Runs the real matching code from sm-userpromptsubmit.js / sm-stop.js against
+ * a prompt (or a sample response for Stop rules) without writing caches, logs
+ * or pending suggestions.
+ *
+ * Usage:
+ *   node ~/.claude/hooks/sm-explain.js "write a bash script"        # rules, skills, MCPs
+ *   node ~/.claude/hooks/sm-explain.js --stop "Want me to fix it?"  # Stop rules
+ *   options: --session <id>  cache state and todos of that session (default: most recent)
+ *            --cwd <dir>     project for project-local rules and when: (default: cwd)
+ *            --all           also list rules/skills/MCPs with no hit
+ *            --json          structured output
+ */
+var fs = require('fs');
+var path = require('path');
+var matcher = require('./keyword-matcher');
+var ruleCache = require('./rule-cache');
+var ruleFiles = require('./rule-files');
+var conditions = require('./rule-conditions');
+var ups = require('./sm-userpromptsubmit');
+var stop = require('./sm-stop');
+
+var HOME = process.env.HOME || process.env.USERPROFILE;
+var RULES_DIR = path.join(HOME, '.claude', 'rules');
+var CACHE_FILE = path.join(RULES_DIR, '.loaded-cache');
+
+function parseArgs(argv) {
+  var opts = { text: [], stop: false, session: null, cwd: process.cwd(), all: false, json: false };
+  for (var i = 0; i < argv.length; i++) {
+    if (argv[i] === '--stop') opts.stop = true;
+    else if (argv[i] === '--session') opts.session = argv[++i];
+    else if (argv[i] === '--cwd') opts.cwd = argv[++i];
+    else if (argv[i] === '--all') opts.all = true;
+    else if (argv[i] === '--json') opts.json = true;
+    else opts.text.push(argv[i]);
+  }
+  opts.text = opts.text.join(' ');
+  return opts;
+}
+
+// Session whose dedupe cache decides "cached": the given one, else the most recently active
+function cacheState(sessionId) {
+  var sessions = ruleCache.read(CACHE_FILE).sessions;
+  var id = sessionId;
+  if (!id) {
+    id = Object.keys(sessions).sort(function(a, b) { return (sessions[b].ts || 0) - (sessions[a].ts || 0); })[0] || null;
+  }
+  var entry = id ? sessions[id] : null;
+  return { session: id, loaded: entry && Array.isArray(entry.loaded) ? entry.loaded : [] };
+}
+
+function explainRules(prompt, opts) {
+  var cfg = ups.loadLoaderConfig(RULES_DIR);
+  var cache = cacheState(opts.session);
+  var split = ups.loadPromptRules(opts.cwd);
+  var results = [];
+
+  split.resolved.disabled.forEach(function(d) {
+    results.push({ id: d.id, file: d.file, enabled: d.reason !== 'enabled: false', decision: 'disabled', reason: d.reason });
+  });
+  split.resolved.overridden.forEach(function(o) {
+    results.push({ id: o.id, file: o.file, decision: 'overridden', reason: 'replaced by ' + o.by });
+  });
+  split.dormant.forEach(function(d) {
+    results.push({ id: d.rule.id, file: d.rule.file, scope: d.rule.scope, decision: 'dormant', reason: 'when ' + d.reason });
+  });
+
+  var badPatterns = {};
+  var badExcludes = {};
+  var excluded = {};
+  var candidates = ups.rankRules(split.active, prompt, cfg, {
+    onBadPattern: function(rule, err) { badPatterns[rule.id] = err.message; },
+    onBadExclude: function(rule, msg) { badExcludes[rule.id] = msg; },
+    onExcluded: function(c) { excluded[c.rule.id] = c; }
+  });
+  var byId = {};
+  candidates.forEach(function(c) { byId[c.rule.id] = c; });
+
+  var pending = [];
+  split.active.forEach(function(rule) {
+    var r = { id: rule.id, file: rule.file, scope: rule.scope, enabled: true, priority: rule.priority || '10' };
+    if (badPatterns[rule.id]) r.warning = 'bad pattern: ' + badPatterns[rule.id];
+    else if (badExcludes[rule.id]) r.warning = badExcludes[rule.id];
+    var c = byId[rule.id] || excluded[rule.id];
+    if (!c) {
+      r.decision = 'no hit';
+      results.push(r);
+      return;
+    }
+    r.hits = c.hits;
+    r.score = c.score;
+    r.kw_hits = c.kwHits;
+    if (c.excluded) {
+      r.decision = 'excluded';
+      r.reason = c.excluded;
+    } else {
+      r.min_score = c.minScore;
+      r.min_matches = c.minMatches;
+      if (!c.qualified) {
+        r.decision = 'below threshold';
+        if (rule.pattern) r.reason = 'pattern ' + (c.patternHit ? 'hit' : 'miss') + ', pattern_logic ' + (rule.pattern_logic || 'and');
+      } else if (c.rank > cfg.top_n) {
+        r.rank = c.rank;
+        r.decision = 'outside top ' + cfg.top_n;
+      } else if (cache.loaded.indexOf(rule.id) !== -1) {
+        r.rank = c.rank;
+        r.decision = 'cached';
+        r.reason = 'already injected in session ' + cache.session;
+      } else {
+        r.rank = c.rank;
+        r.decision = 'pending';
+        pending.push(c);
+      }
+    }
+    results.push(r);
+  });
+
+  // Same budget packing as the loader
+  var budget = ups.budgetOf(cfg);
+  ups.packRules(pending, budget).forEach(function(p) {
+    var r = results.find(function(x) { return x.id === p.candidate.rule.id && x.decision === 'pending'; });
+    r.size = p.size + ' ' + budget.unit;
+    if (p.logged) {
+      r.decision = 'logged';
+      r.reason = 'severity: log (recorded, not injected)';
+      delete r.size;
+    } else if (p.dropped) {
+      r.decision = 'dropped';
+      r.reason = 'over budget (' + p.used + '/' + budget.max + ' ' + budget.unit + ' used)';
+    } else if (p.severity === 'warn') {
+      r.decision = 'loaded (reminder)';
+      r.reason = 'severity: warn -- ' + p.body;
+    } else {
+      r.decision = p.shortened ? 'loaded (shortened)' : 'loaded';
+    }
+  });
+
+  return { config: cfg, session: cache.session, rules: results };
+}
+
+function explainItems(prompt) {
+  var text = matcher.prepare(prompt);
+  var skills = [];
+  var mcps = [];
+  var registry = null;
+  try { registry = ups.loadSkillRegistry(); } catch (e) { skills.push({ id: '(skill-registry.json)', decision: 'error', reason: e.message }); }
+  ((registry && registry.skills) || []).forEach(function(skill) {
+    var warning = null;
+    var m = ups.matchItem(skill, text, 'explain', skill.id, function(msg) { warning = msg; });
+    skills.push(itemResult(skill.id, !!skill.enabled, m, warning));
+  });
+  var yamlPath = ups.findServersYaml();
+  if (yamlPath) {
+    var servers = ups.parseServersYaml(fs.readFileSync(yamlPath, 'utf-8'));
+    Object.keys(servers).forEach(function(name) {
+      var warning = null;
+      var m = ups.matchItem(servers[name], text, 'explain', name, function(msg) { warning = msg; });
+      mcps.push(itemResult(name, servers[name].enabled, m, warning));
+    });
+  }
+  return { skills: skills, mcps: mcps, servers_yaml: yamlPath };
+}
+
+function itemResult(id, enabled, m, warning) {
+  var r = { id: id, enabled: enabled, hits: m.hits.map(function(h) { return h.keyword; }) };
+  if (warning) r.warning = warning;
+  if (!enabled) r.decision = 'disabled';
+  else if (m.hits.length === 0) r.decision = 'no hit';
+  else if (m.excluded) { r.decision = 'excluded'; r.reason = m.excluded; }
+  else r.decision = 'matched';
+  return r;
+}
+
+function explainStop(response, opts) {
+  var resolved = ruleFiles.resolveRules('Stop', { cwd: opts.cwd });
+  var split = conditions.partition(resolved.rules, conditions.context(opts.cwd));
+  var text = matcher.prepare(response);
+  var results = [];
+  resolved.disabled.forEach(function(d) { results.push({ id: d.id, file: d.file, decision: 'disabled', reason: d.reason }); });
+  resolved.overridden.forEach(function(o) { results.push({ id: o.id, file: o.file, decision: 'overridden', reason: 'replaced by ' + o.by }); });
+  split.dormant.forEach(function(d) { results.push({ id: d.rule.id, file: d.rule.file, decision: 'dormant', reason: 'when ' + d.reason }); });
+  split.active.forEach(function(rule) {
+    var hit = stop.matchStopRule(rule, response, text, { session_id: opts.session || cacheState(null).session, home: HOME });
+    var r = { id: rule.id, file: rule.file, scope: rule.scope };
+    if (hit && hit.error) r.warning = hit.error;
+    if (hit && hit.trigger) {
+      r.decision = ruleFiles.severityOf(rule);
+      r.reason = hit.detail;
+      if (hit.extra) r.reason += '\n' + hit.extra;
+    } else {
+      r.decision = 'no hit';
+    }
+    results.push(r);
+  });
+  return { rules: results };
+}
+
+// ===== OUTPUT =====
+
+var ORDER = ['loaded', 'loaded (shortened)', 'loaded (reminder)', 'block', 'warn', 'matched', 'cached', 'logged', 'dropped', 'excluded'];
+function rank(decision) {
+  var i = ORDER.indexOf(decision);
+  if (i !== -1) return i;
+  return decision === 'no hit' ? 99 : 50;
+}
+
+function printSection(title, items, all) {
+  var shown = items.filter(function(x) { return all || x.decision !== 'no hit'; })
+    .sort(function(a, b) { return rank(a.decision) - rank(b.decision) || (b.score || 0) - (a.score || 0); });
+  console.log(title + ' (' + items.length + ', ' + (items.length - shown.length) + ' with no hit hidden)');
+  if (shown.length === 0) console.log('  (none)');
+  shown.forEach(function(x) {
+    var parts = [];
+    if (x.hits && x.hits.length) parts.push('hits ' + x.hits.join('+'));
+    if (x.score !== undefined) parts.push('score ' + x.score + (x.min_score !== undefined ? '/' + x.min_score : ''));
+    if (x.kw_hits !== undefined && x.min_matches !== undefined) parts.push('kw ' + x.kw_hits + '/' + x.min_matches);
+    if (x.rank) parts.push('rank ' + x.rank);
+    if (x.size) parts.push(x.size);
+    if (x.scope && x.scope !== 'global') parts.push(x.scope);
+    if (x.enabled === false) parts.push('enabled: false');
+    console.log(('  ' + pad(x.id, 28) + ' ' + pad(x.decision.toUpperCase(), 18) + ' ' + parts.join(', ')).replace(/\s+$/, ''));
+    if (x.reason) console.log('  ' + pad('', 28) + '   ' + x.reason.split('\n').join('\n  ' + pad('', 28) + '   '));
+    if (x.warning) console.log('  ' + pad('', 28) + '   WARNING ' + x.warning);
+  });
+  console.log('');
+}
+
+function pad(s, n) {
+  s = String(s);
+  return s.length >= n ? s : s + new Array(n - s.length + 1).join(' ');
+}
+
+function main() {
+  var opts = parseArgs(process.argv.slice(2));
+  if (!opts.text) {
+    console.log('Usage: node sm-explain.js [--stop] [--session <id>] [--cwd <dir>] [--all] [--json] "<prompt or response>"');
+    process.exit(2);
+  }
+
+  if (opts.stop) {
+    var st = explainStop(opts.text, opts);
+    if (opts.json) { console.log(JSON.stringify(st, null, 2)); return; }
+    console.log('');
+    printSection('STOP RULES', st.rules, opts.all);
+    return;
+  }
+
+  // The hook lowercases the prompt before matching
+  var prompt = opts.text.toLowerCase();
+  var ex = explainRules(prompt, opts);
+  var items = explainItems(prompt);
+  if (opts.json) {
+    console.log(JSON.stringify({ prompt: prompt, config: ex.config, session: ex.session, rules: ex.rules, skills: items.skills, mcps: items.mcps }, null, 2));
+    return;
+  }
+  console.log('');
+  console.log('Prompt:  "' + prompt + '"');
+  console.log('Config:  min_score ' + ex.config.min_score + ', top_n ' + ex.config.top_n + ', budget ' + ups.budgetOf(ex.config).max + ' ' + ups.budgetOf(ex.config).unit);
+  console.log('Session: ' + (ex.session || '(none cached)'));
+  console.log('');
+  printSection('RULES', ex.rules, opts.all);
+  printSection('SKILLS', items.skills, opts.all);
+  printSection('MCP SERVERS' + (items.servers_yaml ? '' : ' (no servers.yaml)'), items.mcps, opts.all);
+}
+
+if (require.main === module) main();
+
+module.exports = { explainRules: explainRules, explainItems: explainItems, explainStop: explainStop };
@@ -2,18 +2,34 @@
 /**
  * @hook sm-posttooluse
  * @event PostToolUse
- * @matcher Skill|Task
+ * @matcher *
  * @description Super-manager PostToolUse entry point. Modules:
- *   1. fulfillment-tracker: marks suggestions as fulfilled when Skill/Task used
+ *   1. fulfillment-tracker: marks suggestions as fulfilled -- skills when Skill/Task
+ *      used, MCP servers when mcpm is called with that server or mcp__<server>__*
  *   2. usage-logger: logs all Skill/Task invocations to JSONL for analytics
+ *   3. blueprint-action-logger: logs Blueprint browser_evaluate/browser_tabs calls
+ *      made through mcpm to v1-action-log.jsonl for recipe mining
+ *   4. manager-unlock: a config manager skill (hook-manager, ...) unlocks its
+ *      protected paths in the PreToolUse config-guard for this session
+ *   5. output-rules: rules/PostToolUse/*.md whose output_pattern / exit_code
+ *      match what a tool returned are fed back to Claude (every tool)
+ *   6. telemetry: logs every call's outcome and duration to tool-calls.jsonl
+ *      (tool-telemetry.js; query with sm-telemetry.js)
  */
 var fs = require('fs');
 var path = require('path');
+var enforcementPolicy = require('./enforcement-policy');
+var suggestionState = require('./suggestion-state');
+var ruleFiles = require('./rule-files');
+var ruleCache = require('./rule-cache');
+var conditions = require('./rule-conditions');
+var toolRules = require('./tool-rules');
+var telemetry = require('./tool-telemetry');
 
 var HOME = process.env.HOME || process.env.USERPROFILE;
 var LOG_FILE = path.join(HOME, '.claude', 'hooks', 'hooks.log');
-var STATE_FILE = path.join(HOME, '.claude', 'super-manager', 'state', 'super-manager-pending-suggestions.json');
 var SKILL_USAGE_LOG = path.join(HOME, '.claude', 'super-manager', 'logs', 'skill-usage.jsonl');
+var RULE_CACHE_FILE = path.join(HOME, '.claude', 'rules', '.loaded-cache');
 
 function log(module, level, msg) {
   var ts = new Date().toISOString();
@@ -23,40 +39,34 @@ function log(module, level, msg) {
 }
 
 // ===== MODULE: fulfillment-tracker =====
-// Marks pending suggestions as fulfilled when the matching Skill/Task is used
+// Marks the current turn's suggestions as fulfilled when they are used:
+// skills by Skill/Task, MCP servers by an mcpm call with that `server` or a
+// native mcp__<server>__<tool> call. Ids must match exactly (a plugin-qualified
+// skill "plugin:wiki-api" fulfills "wiki-api").
 
-function moduleFulfillmentTracker(invokedId) {
-  var state;
-  try {
-    if (!fs.existsSync(STATE_FILE)) return;
-    state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
-  } catch (e) { return; }
-
-  var fulfilled = {};
-  var fulfilledArr = state.fulfilled || [];
-  for (var fi = 0; fi < fulfilledArr.length; fi++) fulfilled[fulfilledArr[fi]] = true;
-
-  var matched = false;
-  var skills = (state.suggestions && state.suggestions.skills) || [];
-  for (var si = 0; si < skills.length; si++) {
-    if (skills[si].id === invokedId || invokedId.indexOf(skills[si].id) !== -1) {
-      fulfilled[skills[si].id] = true;
-      matched = true;
-    }
-  }
-  var mcps = (state.suggestions && state.suggestions.mcps) || [];
-  for (var mi = 0; mi < mcps.length; mi++) {
-    if (mcps[mi].name === invokedId || invokedId.indexOf(mcps[mi].name) !== -1) {
-      fulfilled[mcps[mi].name] = true;
-      matched = true;
-    }
-  }
+function moduleFulfillmentTracker(invoked, sessionId) {
+  var state = suggestionState.read(HOME, sessionId);
+  if (!suggestionState.active(state, sessionId)) return;
 
-  if (matched) {
-    state.fulfilled = Object.keys(fulfilled);
-    try { fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2)); } catch (e) {}
-    log('fulfillment', 'INFO', 'fulfilled: ' + invokedId);
+  var suggestions = state.suggestions || {};
+  var ids = invoked.type === 'MCP'
+    ? (suggestions.mcps || []).map(function(m) { return m.name; })
+    : (suggestions.skills || []).map(function(sk) { return sk.id; });
+  var id = invoked.id;
+  var hit = ids.filter(function(x) { return x === id || x === id.split(':').pop(); })[0];
+  if (!hit) {
+    log('fulfillment', 'DEBUG', 'invoked ' + invoked.type + ' ' + id + ' (no matching suggestion)');
+    return;
   }
+
+  var fulfilled = state.fulfilled || [];
+  if (fulfilled.indexOf(hit) !== -1) return;
+  fulfilled.push(hit);
+  state.fulfilled = fulfilled;
+  try { suggestionState.write(state, HOME); } catch (e) {}
+  suggestionState.logEvent('FULFILLED ' + (invoked.type === 'MCP' ? 'mcp=' : 'skill=') + hit + ' via=' + invoked.via +
+    ' prompt="' + String(state.prompt_snippet || '').replace(/["\r\n]+/g, ' ').slice(0, 60) + '"', HOME);
+  log('fulfillment', 'INFO', 'fulfilled: ' + hit + ' via ' + invoked.via);
 }
 
 // ===== MODULE: usage-logger =====
@@ -78,11 +88,91 @@ function moduleUsageLogger(toolName, invokedId, promptSnippet) {
   log('usage', 'DEBUG', 'logged: ' + toolName + '/' + invokedId);
 }
 
+// ===== MODULE: manager-unlock =====
+// Invoking the manager named by a protected_paths policy entry lets its own
+// steps edit those files (see sm-pretooluse config-guard)
+
+function moduleManagerUnlock(toolName, invokedId, hookData) {
+  if (toolName !== 'Skill') return;
+  try {
+    var policy = enforcementPolicy.load(hookData.cwd || process.cwd());
+    var manager = enforcementPolicy.managers(policy).find(function(m) { return invokedId === m || invokedId.split(':').pop() === m; });
+    if (!manager) return;
+    enforcementPolicy.unlock(hookData.session_id, manager);
+    log('manager-unlock', 'INFO', manager + ' unlocked for session ' + (hookData.session_id || '(none)'));
+  } catch (e) {
+    log('manager-unlock', 'ERROR', e.message);
+  }
+}
+
+// ===== MODULE: output-rules =====
+// rules/PostToolUse/*.md (tool-rules.js): a rule whose output_pattern or
+// exit_code matches what the tool returned is fed back to Claude as the
+// PostToolUse reason, once per session (.loaded-cache, keyed PostToolUse:<id>)
+
+function moduleOutputRules(hookData) {
+  var toolName = hookData.tool_name || '';
+  var cwd = hookData.cwd || process.cwd();
+  try {
+    var resolved = ruleFiles.resolveRules('PostToolUse', { cwd: cwd, home: HOME, log: function(msg) { log('output-rules', 'INFO', msg); } });
+    var rules = conditions.partition(resolved.rules, conditions.context(cwd)).active;
+    if (rules.length === 0) return null;
+
+    var cacheData = ruleCache.read(RULE_CACHE_FILE);
+    var cache = ruleCache.session(cacheData, hookData.session_id);
+    var outputs = [];
+    for (var i = 0; i < rules.length; i++) {
+      var rule = rules[i];
+      var hit = toolRules.matchResult(rule, hookData, { home: HOME, cwd: cwd });
+      if (!hit) continue;
+      if (hit.error) {
+        log('output-rules', 'WARN', rule.id + ': ' + hit.error + ' (' + rule.file + ')');
+        continue;
+      }
+      var key = 'PostToolUse:' + rule.id;
+      if (cache.loaded.indexOf(key) !== -1) {
+        log('output-rules', 'DEBUG', rule.id + ' ' + hit.detail + ' (cached)');
+        continue;
+      }
+      var body = toolRules.bodyOf(rule, HOME);
+      if (!body) {
+        log('output-rules', 'WARN', rule.id + ': body_file not found (' + rule.body_file + ')');
+        continue;
+      }
+      cache.loaded.push(key);
+      log('output-rules', 'INFO', 'injected ' + rule.id + ' after ' + toolName + ' ' + hit.detail);
+      outputs.push('--- RULE: ' + rule.id + ' (' + hit.detail + ') ---');
+      outputs.push(body);
+      outputs.push('--- END RULE ---');
+    }
+    if (outputs.length === 0) return null;
+    ruleCache.write(RULE_CACHE_FILE, cacheData);
+    return outputs.join('\n');
+  } catch (e) {
+    log('output-rules', 'ERROR', e.message);
+    return null;
+  }
+}
+
 // ===== MODULE: blueprint-action-logger =====
 // Logs Blueprint browser_evaluate/browser_tabs calls for V1 recipe pattern discovery
+// (mined offline by `super_manager.py recipes mine`). args keep what a recipe
+// step needs; string values are redacted and capped.
 var BLUEPRINT_ACTION_LOG = path.join(HOME, '.claude', 'hooks', 'data', 'v1-action-log.jsonl');
+var MAX_ARG_CHARS = 2000;
+
+function loggedArgs(args) {
+  var out = {};
+  Object.keys(args).forEach(function(k) {
+    var v = args[k];
+    out[k] = typeof v === 'string' ? telemetry.redact(v).slice(0, MAX_ARG_CHARS) : v;
+  });
+  return out;
+}
 
-function moduleBlueprintLogger(toolName, toolInput, toolOutput) {
+function moduleBlueprintLogger(hookData) {
+  var toolName = hookData.tool_name || '';
+  var toolInput = hookData.tool_input || {};
   // Only process mcpm calls that route to blueprint
   if (toolName !== 'mcp__mcp-manager__mcpm') return;
   var op = toolInput.operation || '';
@@ -111,16 +201,18 @@ function moduleBlueprintLogger(toolName, toolInput, toolOutput) {
     summary = tool + ': ' + JSON.stringify(args).substring(0, 100);
   }
 
-  // Extract URL hash from output if available
+  // Extract URL hash (full route, e.g. #/app/epp/workload-protection) from output if available
   var urlHash = '';
-  var outputStr = (toolOutput || '').substring(0, 2000);
-  var hashMatch = outputStr.match(/#\/app\/[a-z0-9-]+/i);
-  if (hashMatch) urlHash = hashMatch[0];
+  var outputStr = toolRules.outputText(hookData).substring(0, 2000);
+  var hashMatch = outputStr.match(/#\/app\/[a-z0-9_\/-]+/i);
+  if (hashMatch) urlHash = hashMatch[0].replace(/\/+$/, '');
 
   var entry = {
     timestamp: new Date().toISOString(),
+    session_id: hookData.session_id || null,
     tool: tool,
     action_summary: summary,
+    args: loggedArgs(args),
     url_hash: urlHash,
     server: server
   };
@@ -144,10 +236,23 @@ async function main() {
 
   var toolName = hookData.tool_name || '';
   var toolInput = hookData.tool_input || {};
-  var toolOutput = hookData.tool_output || '';
+
+  // Module 6: telemetry (every tool)
+  telemetry.finish(hookData, HOME);
+
+  // Module 5: output rules (every tool) -- the reason is shown to Claude
+  var feedback = moduleOutputRules(hookData);
+  if (feedback) process.stdout.write(JSON.stringify({ decision: 'block', reason: feedback }));
 
   // Module 3: Blueprint action logger (runs for mcpm calls)
-  moduleBlueprintLogger(toolName, toolInput, toolOutput);
+  moduleBlueprintLogger(hookData);
+
+  // MCP calls (mcpm with a server, or mcp__<server>__<tool>) fulfill MCP suggestions only
+  var server = toolName.indexOf('mcp__') === 0 ? toolRules.mcpServer(toolName, toolInput) : '';
+  if (server) {
+    moduleFulfillmentTracker({ type: 'MCP', id: server, via: toolName }, hookData.session_id);
+    process.exit(0);
+  }
 
   // Identify what was invoked (for Skill/Task modules)
   var invokedId = null;
@@ -158,28 +263,26 @@ async function main() {
   }
 
   if (!invokedId) {
-    // mcpm calls don't have an invokedId -- that's fine, blueprint logger handled it
-    if (toolName !== 'mcp__mcp-manager__mcpm') {
-      log('main', 'DEBUG', 'no identifiable skill/mcp in tool_input');
+    // Other tools (Bash, ...) have no invokedId -- output rules handled them
+    if (toolName === 'Skill' || toolName === 'Task') {
+      log('main', 'DEBUG', 'no identifiable skill in tool_input');
     }
     process.exit(0);
   }
 
   // Get prompt snippet from state for logging
-  var promptSnippet = '';
-  try {
-    if (fs.existsSync(STATE_FILE)) {
-      var state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
-      promptSnippet = state.prompt_snippet || '';
-    }
-  } catch (e) {}
+  var state = suggestionState.read(HOME, hookData.session_id);
+  var promptSnippet = (state && state.prompt_snippet) || '';
 
   // Module 1: fulfillment tracker
-  moduleFulfillmentTracker(invokedId);
+  moduleFulfillmentTracker({ type: 'Skill', id: invokedId, via: toolName }, hookData.session_id);
 
   // Module 2: usage logger
   moduleUsageLogger(toolName, invokedId, promptSnippet);
 
+  // Module 4: manager unlock
+  moduleManagerUnlock(toolName, invokedId, hookData);
+
   process.exit(0);
 }
 
@@ -2,22 +2,37 @@
 /**
  * @hook sm-pretooluse
  * @event PreToolUse
- * @matcher Bash|Edit|Write|Read|Glob|Grep|WebFetch|WebSearch|mcp__mcp-manager__mcpm
+ * @matcher *
  * @description Super-manager PreToolUse entry point. Modules:
- *   1. enforcement-gate: hard-blocks auth URL misrouting, soft-warns others
- *   2. rule-guidelines-gate: injects RULE-GUIDELINES.md when editing rules/
- *   3. blueprint-rules-gate: injects Blueprint rules when calling blueprint via mcpm
+ *   1. enforcement-gate: blocks/warns auth URL misrouting (WebFetch, WebSearch,
+ *      Bash HTTP clients) per the enforcement policy (enforcement-policy.js),
+ *      escalates ignored suggestions (log, remind, block non-read tools)
+ *   2. tool-rules: injects rules/PreToolUse/*.md bodies before matching calls
+ *      (tools, path_glob, command_pattern, mcp_server -- see tool-rules.js)
+ *   3. config-guard: routes raw edits of protected config files to their manager
+ *   4. telemetry: records the start of every call for tool-calls.jsonl
+ *      (tool-telemetry.js; sm-posttooluse logs the outcome and duration)
+ *   5. secret-guard: blocks raw secrets in Write/Edit/MultiEdit text and Bash
+ *      commands (secret-guard.js; policy secret_guard)
+ * Telemetry and tool-rules see every tool; the gates only GATED_TOOLS.
  */
 var fs = require('fs');
 var path = require('path');
+var enforcementPolicy = require('./enforcement-policy');
+var suggestionState = require('./suggestion-state');
+var ruleFiles = require('./rule-files');
+var ruleCache = require('./rule-cache');
+var conditions = require('./rule-conditions');
+var toolRules = require('./tool-rules');
+var telemetry = require('./tool-telemetry');
+var secretGuard = require('./secret-guard');
 
 var HOME = process.env.HOME || process.env.USERPROFILE;
 var LOG_FILE = path.join(HOME, '.claude', 'hooks', 'hooks.log');
-var STATE_FILE = path.join(HOME, '.claude', 'super-manager', 'state', 'super-manager-pending-suggestions.json');
 var ENFORCE_LOG = path.join(HOME, '.claude', 'super-manager', 'logs', 'super-manager-enforcement.log');
 var STATUS_CACHE = path.join(HOME, '.claude', 'super-manager', 'state', 'status-line-cache.json');
-var GUIDELINES_PATH = path.join(HOME, '.claude', 'rules', 'UserPromptSubmit', 'RULE-GUIDELINES.md');
-var BLUEPRINT_RULES_PATH = path.join(HOME, '.claude', 'rules', 'UserPromptSubmit', 'blueprint-health-check.md');
+var RULE_CACHE_FILE = path.join(HOME, '.claude', 'rules', '.loaded-cache');
+var GATED_TOOLS = /^(Bash|Edit|MultiEdit|Write|Read|Glob|Grep|WebFetch|WebSearch|mcp__mcp-manager__mcpm)$/;
 
 function log(module, level, msg) {
   var ts = new Date().toISOString();
@@ -41,165 +56,301 @@ function updateStatusCache(enforcement) {
 }
 
 // ===== MODULE: enforcement-gate =====
-// Hard-blocks WebFetch/WebSearch on authenticated URLs.
+// Routes authenticated URLs away from general tools per the enforcement
+// policy (enforcement-policy.js): block, warn or log per tool. Bash is checked
+// for URLs passed to curl/wget/httpie and inline python/node/PowerShell requests.
 // Soft-warns (log-only) for other tool mismatches.
 
-function moduleEnforcementGate(hookData) {
+function policyAlternatives(hit, unfulfilled) {
+  var items = unfulfilled.slice();
+  if (hit && hit.entry.use && !items.some(function(u) { return u.id === hit.entry.use.id; })) items.unshift(hit.entry.use);
+  return items.map(function(u) {
+    return u.type === 'Skill' ? '  SKILL: ' + u.id + ' (invoke via Skill tool)' : '  MCP: ' + u.id + ' (invoke via mcp__mcp-manager tools)';
+  });
+}
+
+// Ignored suggestions escalate per session (thresholds in the state file,
+// copied from the policy's escalation by sm-userpromptsubmit): log only, then a
+// reminder on every call after remind_after, then non-read tools are blocked
+// after block_after more until the suggestion is used or dismissed.
+var ESCALATION_EXEMPT = /^(Read|Glob|Grep|mcp__.*)$/;
+var DISMISS_HINT = 'Not needed? Dismiss with a Bash command containing SM_DISMISS=<id> (SM_DISMISS=all for every suggestion), e.g. echo SM_DISMISS=all';
+
+function writeState(state) {
+  try { suggestionState.write(state, HOME); } catch (e) {
+    log('enforcement', 'ERROR', 'state write failed: ' + e.message);
+  }
+}
+
+function appendEnforceLog(entry) {
+  try {
+    var logDir = path.dirname(ENFORCE_LOG);
+    if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
+    fs.appendFileSync(ENFORCE_LOG, new Date().toISOString() + ' ' + entry + '\n');
+  } catch (e) {}
+}
+
+// Count this call against the turn's unfulfilled suggestions
+function escalationStage(state, unfulfilled) {
+  if (!state || unfulfilled.length === 0) return { stage: 'log', calls: 0 };
+  var limits = Object.assign({}, enforcementPolicy.DEFAULT_POLICY.escalation, state.escalation || {});
+  state.tool_calls = (state.tool_calls || 0) + 1;
+  writeState(state);
+  var calls = state.tool_calls;
+  var blockAt = limits.remind_after + limits.block_after;
+  if (calls > blockAt) return { stage: 'block', calls: calls };
+  if (calls > limits.remind_after) return { stage: 'remind', calls: calls, blockIn: blockAt - calls + 1 };
+  return { stage: 'log', calls: calls };
+}
+
+function moduleEnforcementGate(hookData, policy) {
   var toolInput = hookData.tool_input || {};
   var toolName = hookData.tool_name || '';
   var filePath = toolInput.file_path || toolInput.command || '';
 
-  // Skip enforcement for plan files, GSD artifacts, super-manager state
-  if (filePath.indexOf('.claude/plans/') !== -1 || filePath.indexOf('.claude\\plans\\') !== -1 ||
-      filePath.indexOf('.planning/') !== -1 || filePath.indexOf('.planning\\') !== -1 ||
-      filePath.indexOf('status-line-cache') !== -1 ||
-      filePath.indexOf('super-manager-pending-suggestions') !== -1 ||
-      filePath.indexOf('super-manager-enforcement') !== -1 ||
-      filePath.indexOf('super-manager/state/') !== -1 ||
-      filePath.indexOf('super-manager/logs/') !== -1) {
-    log('enforcement', 'DEBUG', 'skipped - meta artifact');
+  // Skip enforcement for plan files, GSD artifacts, super-manager state (policy skip_paths)
+  var skipped = enforcementPolicy.skipPath(policy, filePath);
+  if (skipped) {
+    log('enforcement', 'DEBUG', 'skipped - meta artifact (' + skipped + ')');
     return null;
   }
 
   // Always-on 2-line reminder
   console.log('Super-manager has sub-managers for hooks, rules, MCP, skills, and credentials. Use the matching skill instead of raw Bash/Edit/Write when managing Claude Code config.');
 
-  // Read pending suggestions
-  var state;
-  try {
-    if (!fs.existsSync(STATE_FILE)) return null;
-    state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
-  } catch (e) { return null; }
-
-  // Auto-expire after 10 minutes
-  if (state.timestamp) {
-    var age = Date.now() - new Date(state.timestamp).getTime();
-    if (age > 10 * 60 * 1000) {
-      log('enforcement', 'DEBUG', 'expired suggestions (' + Math.round(age / 1000) + 's old)');
-      try { fs.unlinkSync(STATE_FILE); } catch (e) {}
-      return null;
-    }
+  // Pending suggestions of this session's current turn (ended turns are not enforced)
+  var state = suggestionState.read(HOME, hookData.session_id);
+  if (!suggestionState.active(state, hookData.session_id)) state = null;
+  var unfulfilled = suggestionState.unfulfilled(state);
+
+  // Explicit dismissals: a Bash command carrying SM_DISMISS=<id>[,<id>] or SM_DISMISS=all
+  var dismissIds = state ? enforcementPolicy.dismissMarker(toolName, toolInput) : null;
+  if (dismissIds) {
+    var dismissed = (state.dismissed || []).slice();
+    unfulfilled.forEach(function(u) {
+      if ((dismissIds.indexOf('all') !== -1 || dismissIds.indexOf(u.id) !== -1) && dismissed.indexOf(u.id) === -1) dismissed.push(u.id);
+    });
+    state.dismissed = dismissed;
+    writeState(state);
+    appendEnforceLog('DISMISSED tool=' + toolName + ' ids=' + dismissIds.join(','));
+    log('enforcement', 'INFO', 'dismissed: ' + dismissIds.join(','));
+    unfulfilled = suggestionState.unfulfilled(state);
   }
 
-  // Check for unfulfilled suggestions
-  var fulfilled = {};
-  var fulfilledArr = state.fulfilled || [];
-  for (var fi = 0; fi < fulfilledArr.length; fi++) fulfilled[fulfilledArr[fi]] = true;
-
-  var unfulfilled = [];
-  var skillSuggestions = (state.suggestions && state.suggestions.skills) || [];
-  for (var si = 0; si < skillSuggestions.length; si++) {
-    if (!fulfilled[skillSuggestions[si].id]) {
-      unfulfilled.push({ type: 'Skill', id: skillSuggestions[si].id, reason: skillSuggestions[si].reason });
-    }
-  }
-  var mcpSuggestions = (state.suggestions && state.suggestions.mcps) || [];
-  for (var mi = 0; mi < mcpSuggestions.length; mi++) {
-    if (!fulfilled[mcpSuggestions[mi].name]) {
-      unfulfilled.push({ type: 'MCP', id: mcpSuggestions[mi].name, reason: mcpSuggestions[mi].reason });
-    }
+  // Check for authenticated URL misrouting. Entries without a `use` alternative
+  // only apply while suggestions are pending.
+  // Bash counts when it runs an HTTP client (curl, wget, httpie, inline scripts).
+  var hit = null;
+  var targets = enforcementPolicy.requestTargets(toolName, toolInput);
+  for (var ti = 0; ti < targets.length && !hit; ti++) {
+    hit = enforcementPolicy.matchDomain(policy, toolName, targets[ti]);
+    if (hit && !hit.entry.use && unfulfilled.length === 0) hit = null;
+    if (hit) hit.target = targets[ti];
   }
 
-  if (unfulfilled.length === 0) return null;
-
-  // Check for authenticated URL misrouting
-  var AUTHENTICATED_DOMAINS = [
-    'atlassian.net', 'confluence', 'jira', 'trello.com',
-    'portal.xdr.trendmicro.com', 'portal.trendmicro.com'
-  ];
-  var authUrlBlock = false;
-  if (toolName === 'WebFetch' || toolName === 'WebSearch') {
-    var url = (toolInput.url || toolInput.query || '').toLowerCase();
-    for (var di = 0; di < AUTHENTICATED_DOMAINS.length; di++) {
-      if (url.indexOf(AUTHENTICATED_DOMAINS[di]) !== -1) {
-        authUrlBlock = true;
-        break;
-      }
-    }
-  }
+  if (!hit && unfulfilled.length === 0) return null;
+
+  var esc = escalationStage(state, unfulfilled);
+  if (esc.stage === 'block' && (dismissIds || ESCALATION_EXEMPT.test(toolName))) esc.stage = 'remind';
 
   // Write enforcement state to status-line-cache
-  var action = authUrlBlock ? 'HARD_BLOCK' : 'SOFT_WARN';
-  updateStatusCache({ pending: unfulfilled.map(function(x) { return x.id; }), action: action, tool: toolName });
+  var policyAction = hit ? hit.action : 'log';
+  var action = policyAction === 'block' || esc.stage === 'block' ? 'HARD_BLOCK' :
+    policyAction === 'warn' || esc.stage === 'remind' ? 'WARN' : 'SOFT_WARN';
+  var pendingIds = unfulfilled.map(function(x) { return x.id; });
+  updateStatusCache({ pending: pendingIds, action: action, tool: toolName, domain: hit ? hit.entry.id : null, escalation: esc.stage });
 
   // Log enforcement
-  var ts = new Date().toISOString();
-  var logAction = authUrlBlock ? 'HARD_BLOCKED' : 'SOFT_WARNED';
-  var logLine = ts + ' ' + logAction + ' tool=' + toolName + ' unfulfilled=' + unfulfilled.map(function(x) { return x.id; }).join(',') + '\n';
-  try {
-    var logDir = path.dirname(ENFORCE_LOG);
-    if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
-    fs.appendFileSync(ENFORCE_LOG, logLine);
-  } catch (e) {}
-
-  if (authUrlBlock) {
+  var logAction = policyAction === 'block' ? 'HARD_BLOCKED' : esc.stage === 'block' ? 'ESCALATION_BLOCKED' :
+    esc.stage === 'remind' ? 'REMINDED' : 'SOFT_WARNED';
+  appendEnforceLog(logAction + ' tool=' + toolName +
+    (pendingIds.length > 0 ? ' unfulfilled=' + pendingIds.join(',') : '') +
+    (hit ? ' domain=' + hit.entry.id + ' action=' + policyAction : '') +
+    (esc.stage !== 'log' ? ' calls=' + esc.calls : ''));
+
+  if (policyAction === 'block') {
     // HARD BLOCK
-    var lines = ['BLOCKED: ' + toolName + ' will fail for this authenticated URL.'];
-    lines.push('Use one of these matched tools instead:');
-    var skillItems = unfulfilled.filter(function(u) { return u.type === 'Skill'; });
-    var mcpItems = unfulfilled.filter(function(u) { return u.type === 'MCP'; });
-    for (var si2 = 0; si2 < skillItems.length; si2++) {
-      lines.push('  SKILL: ' + skillItems[si2].id + ' (invoke via Skill tool)');
-    }
-    for (var mi2 = 0; mi2 < mcpItems.length; mi2++) {
-      lines.push('  MCP: ' + mcpItems[mi2].id + ' (invoke via mcp__mcp-manager tools)');
-    }
-    log('enforcement', 'INFO', 'HARD_BLOCK tool=' + toolName + ' auth_url_detected');
+    var lines = ['BLOCKED: ' + toolName + ' will fail for this authenticated URL' + (toolName === 'Bash' ? ' (' + hit.target.slice(0, 80) + ').' : '.')];
+    var alternatives = policyAlternatives(hit, unfulfilled);
+    if (alternatives.length > 0) lines.push('Use one of these matched tools instead:');
+    lines = lines.concat(alternatives);
+    log('enforcement', 'INFO', 'HARD_BLOCK tool=' + toolName + ' auth_url_detected domain=' + hit.entry.id);
     process.stderr.write(lines.join('\n'));
     return 'BLOCK';
+  } else if (esc.stage === 'block') {
+    var blockLines = ['BLOCKED: suggested tools are still unused after ' + esc.calls + ' tool calls. Use one of them first:']
+      .concat(policyAlternatives(null, unfulfilled))
+      .concat([DISMISS_HINT, 'Read, Glob and Grep stay available.']);
+    log('enforcement', 'INFO', 'ESCALATION_BLOCK tool=' + toolName + ' calls=' + esc.calls + ' unfulfilled=' + pendingIds.join(','));
+    process.stderr.write(blockLines.join('\n'));
+    return 'BLOCK';
+  } else if (policyAction === 'warn') {
+    var warnLines = ['WARNING: ' + toolName + ' is likely to fail for this authenticated URL (' + (toolName === 'Bash' ? hit.target.slice(0, 80) : hit.entry.id) + ').'];
+    var warnAlternatives = policyAlternatives(hit, unfulfilled);
+    if (warnAlternatives.length > 0) warnLines.push('Prefer:');
+    console.log(warnLines.concat(warnAlternatives).join('\n'));
+    log('enforcement', 'INFO', 'WARN tool=' + toolName + ' domain=' + hit.entry.id);
+    return null;
+  } else if (esc.stage === 'remind') {
+    var remindLines = ['REMINDER: suggested for this prompt and not used yet (' + esc.calls + ' tool calls so far):']
+      .concat(policyAlternatives(null, unfulfilled))
+      .concat([DISMISS_HINT]);
+    if (esc.blockIn > 0) remindLines.push('Non-read tools will be blocked in ' + esc.blockIn + ' call(s).');
+    console.log(remindLines.join('\n'));
+    log('enforcement', 'INFO', 'REMIND tool=' + toolName + ' calls=' + esc.calls + ' unfulfilled=' + pendingIds.join(','));
+    return null;
   } else {
-    log('enforcement', 'INFO', 'SOFT_WARN tool=' + toolName + ' unfulfilled=' + unfulfilled.map(function(x) { return x.id; }).join(','));
+    log('enforcement', 'INFO', 'SOFT_WARN tool=' + toolName + (pendingIds.length > 0 ? ' unfulfilled=' + pendingIds.join(',') : '') + (hit ? ' domain=' + hit.entry.id : ''));
     return null;
   }
 }
 
-// ===== MODULE: rule-guidelines-gate =====
-// Injects RULE-GUIDELINES.md content when Write|Edit targets ~/.claude/rules/
+// ===== MODULE: config-guard =====
+// Raw edits of Claude config files (policy protected_paths) are routed to the
+// manager that owns them. Invoking the manager's skill unlocks the paths for
+// the session; Bash steps can carry SM_MANAGER=<manager>.
 
-function moduleRuleGuidelinesGate(hookData) {
+function moduleConfigGuard(hookData, policy) {
   var toolName = hookData.tool_name || '';
-  if (toolName !== 'Write' && toolName !== 'Edit') return;
+  var hit = enforcementPolicy.matchProtected(policy, toolName, hookData.tool_input, hookData.cwd);
+  if (!hit) return null;
+  var manager = hit.entry.manager;
+  if (enforcementPolicy.overrideMarker(toolName, hookData.tool_input) === manager) {
+    log('config-guard', 'INFO', 'override marker SM_MANAGER=' + manager + ' -> ' + hit.target);
+    return null;
+  }
+  if (enforcementPolicy.isUnlocked(hookData.session_id, manager)) {
+    log('config-guard', 'DEBUG', manager + ' unlocked this session -> ' + hit.target);
+    return null;
+  }
 
-  var filePath = (hookData.tool_input && hookData.tool_input.file_path) || '';
-  var normalized = filePath.replace(/\\/g, '/').toLowerCase();
+  var action = hit.entry.action;
+  var ts = new Date().toISOString();
+  try {
+    var logDir = path.dirname(ENFORCE_LOG);
+    if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
+    fs.appendFileSync(ENFORCE_LOG, ts + ' ' + (action === 'block' ? 'CONFIG_BLOCKED' : 'CONFIG_WARNED') + ' tool=' + toolName +
+      ' protected=' + hit.entry.id + ' manager=' + manager + ' action=' + action + '\n');
+  } catch (e) {}
+  log('config-guard', 'INFO', action.toUpperCase() + ' tool=' + toolName + ' target=' + hit.target + ' protected=' + hit.entry.id);
+  if (action === 'log') return null;
+
+  var lines = [(action === 'block' ? 'BLOCKED: ' : 'WARNING: ') + 'raw ' + (toolName === 'Bash' ? 'Bash write to ' : toolName + ' of ') + hit.target + ' bypasses ' + manager + ' (protected: ' + hit.entry.id + ').',
+    'Use ' + manager + ' instead (Skill tool: ' + manager + '). Invoking it allows direct edits of its files for this session;',
+    'Bash steps run on its behalf can be prefixed with SM_MANAGER=' + manager + '.'];
+  if (action === 'block') {
+    process.stderr.write(lines.join('\n'));
+    return 'BLOCK';
+  }
+  console.log(lines.join('\n'));
+  return null;
+}
 
-  // Only fire for files inside ~/.claude/rules/
-  var rulesDir = path.join(HOME, '.claude', 'rules').replace(/\\/g, '/').toLowerCase();
-  if (normalized.indexOf(rulesDir) === -1) return;
+// ===== MODULE: secret-guard =====
+// Token formats (GitHub, AWS, Atlassian, JWT, ...), high-entropy strings and
+// the literal values of registered credentials (matched by salted hash) in
+// what a call would write or run. Secrets belong in the credential store,
+// referenced as credential:<service>/<VARIABLE>. Files under policy
+// secret_guard.allow_paths (test fixtures) are only checked for registered values.
 
-  // Don't fire when editing RULE-GUIDELINES itself (prevent loop)
-  if (normalized.indexOf('rule-guidelines') !== -1) return;
+function moduleSecretGuard(hookData, policy) {
+  var toolName = hookData.tool_name || '';
+  var texts = secretGuard.inputTexts(toolName, hookData.tool_input);
+  if (texts.length === 0) return null;
+  var guard = policy.secret_guard;
+  var filePath = (hookData.tool_input || {}).file_path;
+  var allowedBy = enforcementPolicy.secretAllowedPath(policy, filePath, hookData.cwd);
+  var registered = secretGuard.registeredHashes(HOME);
+  var findings = [];
+  texts.forEach(function(t) {
+    secretGuard.scan(t.text, guard, registered).forEach(function(f) {
+      if (allowedBy && f.kind !== 'credential') return;
+      f.field = t.field;
+      findings.push(f);
+    });
+  });
+  if (findings.length === 0) {
+    if (allowedBy) log('secret-guard', 'DEBUG', 'allowed path ' + allowedBy + ' -> ' + filePath);
+    return null;
+  }
 
+  var action = guard.action;
+  var kinds = findings.map(function(f) { return f.kind; }).filter(function(k, i, arr) { return arr.indexOf(k) === i; });
   try {
-    var content = fs.readFileSync(GUIDELINES_PATH, 'utf-8');
-    var endIdx = content.indexOf('---', 3);
-    var body = endIdx !== -1 ? content.substring(endIdx + 3).trim() : content;
-    console.log('RULE-GUIDELINES: Follow these when writing rule files.\n' + body);
-    log('guidelines', 'INFO', 'injected for ' + path.basename(filePath));
-  } catch (e) {
-    // Guidelines file missing, skip
+    var logDir = path.dirname(ENFORCE_LOG);
+    if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
+    fs.appendFileSync(ENFORCE_LOG, new Date().toISOString() + ' ' + (action === 'block' ? 'SECRET_BLOCKED' : 'SECRET_WARNED') +
+      ' tool=' + toolName + ' kinds=' + kinds.join(',') + ' count=' + findings.length + ' action=' + action + '\n');
+  } catch (e) {}
+  log('secret-guard', 'INFO', action.toUpperCase() + ' tool=' + toolName + (filePath ? ' target=' + filePath : '') + ' kinds=' + kinds.join(','));
+  if (action === 'log') return null;
+
+  var what = toolName === 'Bash' ? 'Bash command' : toolName + (filePath ? ' of ' + filePath : '');
+  var lines = [(action === 'block' ? 'BLOCKED: ' : 'WARNING: ') + what + ' contains what looks like a secret:'];
+  findings.slice(0, 10).forEach(function(f) {
+    lines.push('  - ' + f.label + ' ' + f.preview + ' (' + f.field + (toolName === 'Bash' ? '' : ', line ' + f.line) + ')');
+  });
+  if (findings.length > 10) lines.push('  - ... ' + (findings.length - 10) + ' more');
+  var keys = findings.filter(function(f) { return f.key; }).map(function(f) { return 'credential:' + f.key; });
+  if (keys.length > 0) lines.push('Use the reference instead of the value: ' + keys.join(', ') + '.');
+  lines.push('Do not put secret values in files or commands. Store them with credential-manager (Skill tool: credential-manager)');
+  lines.push('and reference them as credential:<service>/<VARIABLE> (.env/config), or resolve them at run time (claude_cred.resolve).');
+  lines.push('Test fixture or not a secret? Add the path to secret_guard.allow_paths or the value pattern to secret_guard.allow_values');
+  lines.push('in .claude/enforcement-policy.json.');
+  if (action === 'block') {
+    process.stderr.write(lines.join('\n'));
+    return 'BLOCK';
   }
+  console.log(lines.join('\n'));
+  return null;
 }
 
-// ===== MODULE: blueprint-rules-gate =====
-// Injects blueprint-health-check.md when calling blueprint via mcpm
+// ===== MODULE: tool-rules =====
+// rules/PreToolUse/*.md (tool-rules.js): a rule's body is injected just before
+// a matching tool call, once per session (the prompt rules' .loaded-cache,
+// keyed PreToolUse:<id>, so SessionStart compact/clear re-arms them).
+// RULE-GUIDELINES on rules/ edits and the Blueprint rules on mcpm blueprint
+// calls ship as rules of this kind.
 
-function moduleBlueprintRulesGate(hookData) {
+function moduleToolRules(hookData) {
   var toolName = hookData.tool_name || '';
-  if (toolName !== 'mcp__mcp-manager__mcpm') return;
-
-  var toolInput = hookData.tool_input || {};
-  var server = (toolInput.server || '').toLowerCase();
-  if (server !== 'blueprint') return;
-
+  var cwd = hookData.cwd || process.cwd();
   try {
-    var content = fs.readFileSync(BLUEPRINT_RULES_PATH, 'utf-8');
-    var endIdx = content.indexOf('---', 3);
-    var body = endIdx !== -1 ? content.substring(endIdx + 3).trim() : content;
-    console.log('BLUEPRINT RULES (auto-injected):\n' + body);
-    log('blueprint', 'INFO', 'injected rules for blueprint call op=' + (toolInput.operation || ''));
+    var resolved = ruleFiles.resolveRules('PreToolUse', { cwd: cwd, home: HOME, log: function(msg) { log('tool-rules', 'INFO', msg); } });
+    var rules = conditions.partition(resolved.rules, conditions.context(cwd)).active;
+    if (rules.length === 0) return;
+
+    var cacheData = ruleCache.read(RULE_CACHE_FILE);
+    var cache = ruleCache.session(cacheData, hookData.session_id);
+    var outputs = [];
+    for (var i = 0; i < rules.length; i++) {
+      var rule = rules[i];
+      var hit = toolRules.matchCall(rule, hookData, { home: HOME, cwd: cwd });
+      if (!hit) continue;
+      if (hit.error) {
+        log('tool-rules', 'WARN', rule.id + ': ' + hit.error + ' (' + rule.file + ')');
+        continue;
+      }
+      var key = 'PreToolUse:' + rule.id;
+      if (cache.loaded.indexOf(key) !== -1) {
+        log('tool-rules', 'DEBUG', rule.id + ' ' + hit.detail + ' (cached)');
+        continue;
+      }
+      var body = toolRules.bodyOf(rule, HOME);
+      if (!body) {
+        log('tool-rules', 'WARN', rule.id + ': body_file not found (' + rule.body_file + ')');
+        continue;
+      }
+      cache.loaded.push(key);
+      log('tool-rules', 'INFO', 'injected ' + rule.id + ' before ' + toolName + ' ' + hit.detail);
+      outputs.push('--- RULE: ' + rule.id + (rule.body_file ? ' (' + rule.body_file + ')' : '') + ' ---');
+      outputs.push(body);
+      outputs.push('--- END RULE ---');
+    }
+    ruleCache.write(RULE_CACHE_FILE, cacheData);
+    if (outputs.length > 0) console.log(outputs.join('\n'));
   } catch (e) {
-    // Blueprint rules file missing, skip
+    log('tool-rules', 'ERROR', e.message);
   }
 }
 
@@ -212,15 +363,35 @@ async function main() {
   var hookData;
   try { hookData = JSON.parse(input); } catch (e) { process.exit(0); }
 
-  // Module 1: rule-guidelines-gate (always runs, just injects context)
-  moduleRuleGuidelinesGate(hookData);
+  // Module 4: telemetry (every tool)
+  telemetry.start(hookData, HOME);
+
+  // Module 2: tool-rules (injects matching rules/PreToolUse/ bodies)
+  moduleToolRules(hookData);
+
+  if (!GATED_TOOLS.test(hookData.tool_name || '')) process.exit(0);
 
-  // Module 2: blueprint-rules-gate (injects rules when calling blueprint)
-  moduleBlueprintRulesGate(hookData);
+  var policy = enforcementPolicy.load(hookData.cwd || process.cwd());
+  if (policy.errors.length > 0) log('enforcement', 'WARN', 'policy errors: ' + policy.errors.join('; '));
+
+  // Module 5: secret-guard (may block)
+  if (moduleSecretGuard(hookData, policy) === 'BLOCK') {
+    // the logged input summary must not carry the secret
+    var withheld = { file_path: (hookData.tool_input || {}).file_path, command: '(withheld: contains a secret)' };
+    telemetry.blocked(Object.assign({}, hookData, { tool_input: withheld }), 'secret-guard', HOME);
+    process.exit(2);
+  }
+
+  // Module 3: config-guard (may block)
+  if (moduleConfigGuard(hookData, policy) === 'BLOCK') {
+    telemetry.blocked(hookData, 'config-guard', HOME);
+    process.exit(2);
+  }
 
-  // Module 3: enforcement-gate (may block)
-  var result = moduleEnforcementGate(hookData);
+  // Module 1: enforcement-gate (may block)
+  var result = moduleEnforcementGate(hookData, policy);
   if (result === 'BLOCK') {
+    telemetry.blocked(hookData, 'enforcement-gate', HOME);
     process.exit(2);
   }
 
@@ -6,10 +6,16 @@
  * @description Super-manager SessionStart entry point. Modules:
  *   1. config-awareness: scans registries, writes report, injects summary
  *   2. skill-health: checks hook files exist, auto-remediates, enriches keywords
+ *   3. rule-reinject: on compact/resume/clear, forgets the session's loaded rules
+ *   4. policy-check: validates the enforcement policy, reports errors
  */
 var fs = require('fs');
 var path = require('path');
 var crypto = require('crypto');
+var ruleCache = require('./rule-cache');
+var ruleFiles = require('./rule-files');
+var conditions = require('./rule-conditions');
+var enforcementPolicy = require('./enforcement-policy');
 
 var HOME = process.env.HOME || process.env.USERPROFILE;
 var CLAUDE_DIR = path.join(HOME, '.claude');
@@ -112,32 +118,14 @@ function getSkills() {
   return skills;
 }
 
-function getRules() {
-  var rules = [];
-  try {
-    var upsDir = path.join(RULES_DIR, 'UserPromptSubmit');
-    if (!fs.existsSync(upsDir)) return rules;
-    var files = fs.readdirSync(upsDir).filter(function(f) { return f.endsWith('.md') && f !== 'README.md'; });
-    for (var f of files) {
-      var content = fs.readFileSync(path.join(upsDir, f), 'utf-8');
-      if (!content.startsWith('---')) continue;
-      var end = content.indexOf('---', 3);
-      if (end === -1) continue;
-      var yaml = content.substring(3, end).trim();
-      var meta = { file: f };
-      for (var line of yaml.split(NL)) {
-        var col = line.indexOf(':');
-        if (col === -1) continue;
-        var key = line.substring(0, col).trim();
-        var val = line.substring(col + 1).trim();
-        if (val.startsWith('[') && val.endsWith(']')) {
-          meta[key] = val.slice(1, -1).split(',').map(function(s) { return s.trim(); });
-        } else { meta[key] = val; }
-      }
-      if (meta.id) rules.push(meta);
-    }
-  } catch (e) {}
-  return rules;
+// Same resolution order as the rule loaders: global, MCP-collocated, project.
+// res.dormant lists rules whose when: conditions fail in this cwd.
+function getRules(cwd) {
+  var res = { rules: [], overridden: [], disabled: [] };
+  try { res = ruleFiles.resolveRules('UserPromptSubmit', { cwd: cwd, home: HOME }); } catch (e) {}
+  res.rules = res.rules.filter(function(r) { return r.keywords || r.pattern; });
+  res.dormant = conditions.partition(res.rules, conditions.context(cwd)).dormant;
+  return res;
 }
 
 function computeHash(hooks, servers, skills, rules) {
@@ -148,7 +136,7 @@ function computeHash(hooks, servers, skills, rules) {
   return crypto.createHash('md5').update(JSON.stringify({ hooks: h, servers: m, skills: s, rules: i })).digest('hex');
 }
 
-function formatContextSummary(hooks, servers, skills, rules) {
+function formatContextSummary(hooks, servers, skills, ruleRes) {
   var out = ['<system-reminder>', '# Active Claude Configuration', ''];
   out.push('## Hooks (' + hooks.length + ')');
   var byEvent = {};
@@ -169,13 +157,18 @@ function formatContextSummary(hooks, servers, skills, rules) {
     out.push('## Skills (' + enabledSkills.length + ' enabled)');
     for (var s of enabledSkills) out.push('- ' + s.id);
   }
+  var dormant = ruleRes.dormant || [];
+  out.push('');
+  out.push('## Rules (' + (ruleRes.rules.length - dormant.length) + ' active, ' + dormant.length + ' dormant)');
+  for (var d of dormant) out.push('- ' + d.rule.id + ' dormant (when ' + d.reason + ')');
   out.push('');
   out.push('Full report: ~/.claude/config-report.md');
   out.push('</system-reminder>');
   return out.join(NL);
 }
 
-function writeReport(hooks, servers, skills, rules, hash) {
+function writeReport(hooks, servers, skills, ruleRes, hash) {
+  var rules = ruleRes.rules;
   var now = new Date().toISOString().replace('T', ' ').slice(0, 19);
   var mH = hooks.filter(function(h) { return h.managed; });
   var uH = hooks.filter(function(h) { return !h.managed; });
@@ -222,10 +215,22 @@ function writeReport(hooks, servers, skills, rules, hash) {
   // Rule details
   o.push('## Rules (' + rules.length + ')');
   o.push('');
-  o.push('| ID | Keywords | Description |');
-  o.push('|----|----------|-------------|');
-  for (var r of rules) o.push('| ' + r.id + ' | ' + ((r.keywords || []).slice(0, 4).join(', ')) + ' | ' + (r.description || '') + ' |');
+  o.push('| ID | Scope | Keywords | Description |');
+  o.push('|----|-------|----------|-------------|');
+  for (var r of rules) o.push('| ' + r.id + ' | ' + r.scope + ' | ' + ((r.keywords || []).slice(0, 4).join(', ')) + ' | ' + (r.description || '') + ' |');
   o.push('');
+  if (ruleRes.overridden.length > 0) {
+    o.push('**Overridden by project rules:** ' + ruleRes.overridden.map(function(x) { return x.id + ' (' + x.file + ')'; }).join(', '));
+    o.push('');
+  }
+  if (ruleRes.dormant.length > 0) {
+    o.push('**Dormant (when: conditions not met):** ' + ruleRes.dormant.map(function(x) { return x.rule.id + ' (' + x.reason + ')'; }).join(', '));
+    o.push('');
+  }
+  if (ruleRes.disabled.length > 0) {
+    o.push('**Disabled:** ' + ruleRes.disabled.map(function(x) { return x.id + ' (' + x.reason + ')'; }).join(', '));
+    o.push('');
+  }
   // Change log
   o.push('---');
   o.push('');
@@ -258,18 +263,19 @@ function ensureToolRouting() {
   } catch (e) { log('config', 'WARN', 'routing inject failed: ' + e.message); }
 }
 
-function moduleConfigAwareness() {
+function moduleConfigAwareness(cwd) {
   try {
     var hooks = getHooks();
     var servers = getMcpServers();
     var skills = getSkills();
-    var rules = getRules();
+    var ruleRes = getRules(cwd);
+    var rules = ruleRes.rules;
     var hash = computeHash(hooks, servers, skills, rules);
     fs.writeFileSync(HASH_FILE, hash);
-    writeReport(hooks, servers, skills, rules, hash);
+    writeReport(hooks, servers, skills, ruleRes, hash);
     ensureToolRouting();
     log('config', 'INFO', 'report: ' + hooks.length + 'h/' + servers.length + 'm/' + skills.length + 's/' + rules.length + 'r hash=' + hash.slice(0, 8));
-    return formatContextSummary(hooks, servers, skills, rules);
+    return formatContextSummary(hooks, servers, skills, ruleRes);
   } catch (e) {
     log('config', 'ERROR', e.message);
     return null;
@@ -362,18 +368,64 @@ function moduleSkillHealth() {
   }
 }
 
+// ===== MODULE: rule-reinject =====
+// The rule loader dedupes per session_id. After compaction (or resume/clear)
+// the injected rules are no longer in context, so they must load again.
+
+var REINJECT_SOURCES = ['compact', 'resume', 'clear'];
+
+function moduleRuleReinject(hookData) {
+  try {
+    if (REINJECT_SOURCES.indexOf(hookData.source) === -1) return;
+    if (!fs.existsSync(RULES_DIR)) return;
+    var existed = ruleCache.forget(path.join(RULES_DIR, '.loaded-cache'), hookData.session_id);
+    if (existed) log('reinject', 'INFO', 'source=' + hookData.source + ' session=' + hookData.session_id + ' -> rule cache cleared');
+  } catch (e) {
+    log('reinject', 'ERROR', e.message);
+  }
+}
+
+// ===== MODULE: policy-check =====
+// The enforcement gate skips invalid policy entries silently at tool time;
+// surface them once per session instead.
+
+function modulePolicyCheck(cwd) {
+  try {
+    var policy = enforcementPolicy.load(cwd);
+    if (policy.errors.length === 0) {
+      log('policy', 'INFO', policy.domains.length + ' domain entries from ' + 'built-in defaults' + (policy.files.length > 0 ? ' + ' + policy.files.join(', ') : ''));
+      return null;
+    }
+    log('policy', 'WARN', policy.errors.length + ' error(s): ' + policy.errors.join('; '));
+    return '[SM] Enforcement policy errors (invalid entries are ignored):' + NL +
+      policy.errors.map(function(e) { return '  - ' + e; }).join(NL);
+  } catch (e) {
+    log('policy', 'ERROR', e.message);
+    return null;
+  }
+}
+
 // ===== MAIN =====
 
 async function main() {
   var input = ''; for await (var chunk of process.stdin) input += chunk;
+  var hookData = {};
+  try { hookData = JSON.parse(input) || {}; } catch (e) {}
 
   // Module 1: config-awareness (outputs context summary)
-  var summary = moduleConfigAwareness();
+  var summary = moduleConfigAwareness(hookData.cwd || process.cwd());
   if (summary) console.log(summary);
 
   // Module 2: skill-health (silent, logs only)
   moduleSkillHealth();
 
+  // Module 3: rule-reinject (silent, logs only)
+  moduleRuleReinject(hookData);
+
+  // Module 4: policy-check (outputs errors only)
+  var policyErrors = modulePolicyCheck(hookData.cwd || process.cwd());
+  if (policyErrors) console.log(policyErrors);
+
   process.exit(0);
 }
 
@@ -5,20 +5,46 @@
  * @description Checks Claude's last response against Stop rules.
  *   Supports two matching modes in frontmatter:
  *     - pattern: regex string - combinatorial regex match
- *     - keywords: [array] - exact substring matches
+ *     - keywords: [array] - whole-word matches (see keyword-matcher.js for
+ *       per-keyword modes and the match_mode: frontmatter default)
+ *   Rules whose when: conditions fail (rule-conditions.js) are skipped.
+ *   Loop protection: per-session block counters, optional max_blocks per
+ *   rule, and no re-block by the same rule while stop_hook_active is set
+ *   (opt out with allow_loop: true). Suppressed blocks go to stop-loader.log.
+ *   Structured checks: check: pending_todos blocks while the session's todo
+ *   list has open items (stop-checks.js), regardless of wording.
+ *   Evidence: satisfied_by: in frontmatter lists tool calls that make a block
+ *   unnecessary (e.g. a passing test run this turn); the transcript at
+ *   transcript_path is read only when a matched rule declares it (transcript.js).
+ *   Severity: severity: block (default) | warn (user-visible reminder, no block)
+ *   | log (stop-loader.log only). Blocking bodies are merged in priority order,
+ *   repeated paragraphs collapsed, and capped at MAX_REASON_CHARS.
  *   If matched, blocks Claude from stopping and injects correction rules.
+ *   When the stop is allowed the turn is over: its skill/MCP suggestions are
+ *   summarized as fulfilled/ignored/dismissed (TURN_END in the enforcement log).
  *
  * Stop hook contract (from hook-manager SKILL.md):
- *   stdin:  {session_id, stop_hook_active, last_assistant_message, transcript_path}
+ *   stdin:  {session_id, cwd, stop_hook_active, last_assistant_message, transcript_path}
  *   stdout: {"decision":"block","reason":"..."} to block, or nothing to allow
+ *           ({"systemMessage":"..."} shows severity: warn reminders)
  */
 var fs = require("fs");
 var path = require("path");
 var os = require("os");
+var matcher = require("./keyword-matcher");
+var ruleFiles = require("./rule-files");
+var conditions = require("./rule-conditions");
+var ruleCache = require("./rule-cache");
+var transcript = require("./transcript");
+var stopChecks = require("./stop-checks");
+var suggestionState = require("./suggestion-state");
 
 var HOME = os.homedir();
-var INST_DIR = path.join(HOME, ".claude", "rules", "Stop");
 var LOG_FILE = path.join(HOME, ".claude", "rules", "stop-loader.log");
+var STATE_FILE = path.join(HOME, ".claude", "rules", ".loaded-cache");
+var MAX_REASON_CHARS = 4000;
+// Paragraphs shorter than this (headings, "**Rule**") are never collapsed
+var MIN_COLLAPSE_CHARS = 40;
 
 function log(msg) {
   var ts = new Date().toISOString();
@@ -27,131 +53,310 @@ function log(msg) {
   } catch (e) {}
 }
 
-function parseFrontmatter(content) {
-  if (!content.startsWith("---")) return null;
-  var endIdx = content.indexOf("---", 3);
-  if (endIdx === -1) return null;
-  var yaml = content.substring(3, endIdx).trim();
-  var meta = {};
-  var lines = yaml.split("\n");
-  for (var i = 0; i < lines.length; i++) {
-    var col = lines[i].indexOf(":");
-    if (col === -1) continue;
-    var key = lines[i].substring(0, col).trim();
-    var val = lines[i].substring(col + 1).trim();
-    if (val.startsWith("[") && val.endsWith("]")) {
-      meta[key] = val.slice(1, -1).split(",").map(function (s) { return s.trim(); });
-    } else {
-      meta[key] = val;
-    }
+/**
+ * Match one Stop rule against a response (shared with the rule example runner)
+ * @param {object} meta - parsed rule frontmatter
+ * @param {string} responseText - raw response
+ * @param {object} [responseMatchText] - matcher.prepare(responseText), reused across rules
+ * @param {object} [ctx] - { session_id, home } for check: rules (stop-checks.js)
+ * @returns {{ trigger: string, via: string, detail: string, error: string, extra: string }|null}
+ *   null when nothing matched. A bad regex sets `error` (keywords are still
+ *   checked, so the result may carry both a trigger and an error). check:
+ *   rules match when the check finds outstanding work -- and, if they also have
+ *   a pattern or keywords, the response matches too; `extra` then lists the work.
+ */
+function matchStopRule(meta, responseText, responseMatchText, ctx) {
+  var text = matchResponse(meta, responseText, responseMatchText);
+  if (!meta.check) return text;
+  var error = text && text.error;
+  var found;
+  try {
+    found = stopChecks.run(meta.check, ctx);
+  } catch (e) {
+    return { error: e.message };
   }
-  meta.body = content.substring(endIdx + 3).trim();
-  return meta;
+  var hasText = (meta.pattern && typeof meta.pattern === "string") || Array.isArray(meta.keywords);
+  if (!found || (hasText && !(text && text.trigger))) return error ? { error: error } : null;
+  return {
+    trigger: "check: " + meta.check,
+    via: "check",
+    detail: found.detail + (text && text.trigger ? ", " + text.detail : ""),
+    extra: found.reason,
+    error: error
+  };
 }
 
-// Read stdin SYNCHRONOUSLY via file descriptor 0 (cross-platform)
-var input = "";
-try {
-  input = fs.readFileSync(0, "utf-8");
-} catch (e) {
-  log("[STOP] ERROR reading stdin: " + e.message);
-  process.exit(0);
+function matchResponse(meta, responseText, responseMatchText) {
+  var error = null;
+  // Check regex pattern first (single string - supports commas in quantifiers)
+  if (meta.pattern && typeof meta.pattern === "string" && meta.pattern.length > 0) {
+    try {
+      var m = new RegExp(meta.pattern, "i").exec(responseText);
+      if (m) {
+        return { trigger: "pattern: " + m[0].substring(0, 40), via: "pattern", detail: "matched=\"" + m[0].substring(0, 40) + "\"" };
+      }
+    } catch (e) {
+      error = "bad regex: " + e.message;
+    }
+  }
+
+  // Then check keywords (whole word by default, so "done" no longer hits "undone")
+  if (meta.keywords && Array.isArray(meta.keywords)) {
+    var kwHits = matcher.matchKeywords(meta.keywords, responseMatchText || responseText, meta.match_mode);
+    if (kwHits.length > 0) {
+      return { trigger: kwHits[0].keyword, via: "keyword", detail: "keyword=\"" + kwHits[0].keyword + "\" (" + kwHits[0].mode + ")", error: error };
+    }
+  }
+  return error ? { error: error } : null;
 }
 
-if (!input) process.exit(0);
+function priorityOf(rule) {
+  var p = parseInt(rule.priority, 10);
+  return isNaN(p) ? 10 : p;
+}
 
-var hookData;
-try {
-  hookData = JSON.parse(input);
-} catch (e) {
-  log("[STOP] ERROR: bad JSON on stdin");
-  process.exit(0);
+/**
+ * Merge the bodies of blocking rules into one reason: priority order (lower
+ * first), paragraphs already given by an earlier rule collapsed, total capped
+ * at maxChars. Rules that no longer fit are named at the end instead.
+ * @param {Array<{ id, body, rule }>} matched
+ * @param {number} [maxChars] - default MAX_REASON_CHARS
+ * @returns {{ reason: string, included: string[], collapsed: string[], omitted: string[] }}
+ *   collapsed: rules whose every paragraph was a repeat
+ */
+function buildReason(matched, maxChars) {
+  maxChars = maxChars || MAX_REASON_CHARS;
+  var seen = {};
+  var sections = [];
+  var result = { reason: "", included: [], collapsed: [], omitted: [] };
+  var used = 0;
+  matched.slice().sort(function (a, b) { return priorityOf(a.rule) - priorityOf(b.rule); }).forEach(function (m) {
+    var keys = [];
+    var longParas = 0;
+    var paras = String(m.body || "").trim().split(/\n\s*\n/).filter(function (para) {
+      var key = para.toLowerCase().replace(/\s+/g, " ").trim();
+      if (!key) return false;
+      if (key.length < MIN_COLLAPSE_CHARS) return true;
+      longParas++;
+      if (seen[key] || keys.indexOf(key) !== -1) return false;
+      keys.push(key);
+      return true;
+    });
+    // A short body is kept as is; only a rule whose paragraphs were all given already is dropped
+    if (paras.length === 0 || (longParas > 0 && keys.length === 0)) {
+      result.collapsed.push(m.id);
+      return;
+    }
+    var text = paras.join("\n\n");
+    var sep = sections.length > 0 ? 2 : 0;
+    if (used + sep + text.length > maxChars) {
+      if (sections.length > 0) {
+        result.omitted.push(m.id);
+        return;
+      }
+      // The most important rule is always given, cut to the cap
+      text = text.slice(0, maxChars).trimEnd();
+    }
+    keys.forEach(function (k) { seen[k] = true; });
+    sections.push(text);
+    used += sep + text.length;
+    result.included.push(m.id);
+  });
+  result.reason = sections.join("\n\n");
+  if (result.omitted.length > 0) {
+    result.reason += "\n\n[" + result.omitted.length + " more rule(s) omitted for length: " + result.omitted.join(", ") + "]";
+  }
+  return result;
 }
 
-var responseText = hookData.last_assistant_message || "";
-if (!responseText) {
-  log("[STOP] no last_assistant_message, allowing stop");
-  process.exit(0);
+/**
+ * Drop matched rules whose satisfied_by: evidence is present in the current
+ * turn. The transcript is parsed once, and only when some match needs it.
+ * @param {Array<{ id, rule }>} matched
+ * @param {string} transcriptPath
+ * @returns {{ remaining: Array, satisfied: Array<{ match, evidence }>, errors: Array<{ match, error }> }}
+ */
+function applyEvidence(matched, transcriptPath) {
+  var remaining = [];
+  var satisfied = [];
+  var errors = [];
+  var turn;
+  matched.forEach(function (m) {
+    if (!m.rule.satisfied_by) {
+      remaining.push(m);
+      return;
+    }
+    if (turn === undefined) turn = transcript.readCurrentTurn(transcriptPath);
+    try {
+      var evidence = transcript.findEvidence(m.rule.satisfied_by, turn);
+      if (evidence) {
+        satisfied.push({ match: m, evidence: evidence });
+        return;
+      }
+    } catch (e) {
+      errors.push({ match: m, error: e.message });
+    }
+    remaining.push(m);
+  });
+  return { remaining: remaining, satisfied: satisfied, errors: errors };
 }
 
-var responseLower = responseText.toLowerCase();
-var safePreview = responseText.substring(0, 120).split("\n").join("\n");
-log("[STOP] response length=" + responseText.length + " first120=" + safePreview);
+/**
+ * Loop protection. A matched rule is suppressed when it already blocked
+ * `max_blocks` times this session, or when stop_hook_active is set (Claude is
+ * continuing because of a Stop block) and the rule also blocked the previous
+ * stop -- unless the rule opts in with `allow_loop: true`.
+ * @param {Array<{ id, rule }>} matched
+ * @param {object} state - session entry from rule-cache ({ stop_blocks, stop_last })
+ * @param {boolean} stopHookActive
+ * @returns {{ blocking: Array, suppressed: Array<{ match, reason }> }}
+ */
+function applyBlockLimits(matched, state, stopHookActive) {
+  var blocking = [];
+  var suppressed = [];
+  matched.forEach(function (m) {
+    var count = state.stop_blocks[m.id] || 0;
+    var max = parseInt(m.rule.max_blocks, 10);
+    if (max > 0 && count >= max) {
+      suppressed.push({ match: m, reason: "max_blocks " + max + " reached (" + count + " blocks this session)" });
+    } else if (stopHookActive && state.stop_last.indexOf(m.id) !== -1 && String(m.rule.allow_loop) !== "true") {
+      suppressed.push({ match: m, reason: "loop: stop_hook_active and rule blocked the previous stop" });
+    } else {
+      blocking.push(m);
+    }
+  });
+  return { blocking: blocking, suppressed: suppressed };
+}
 
-// Load rule files from Stop/ directory
-var files;
-try {
-  files = fs.readdirSync(INST_DIR).filter(function (f) { return f.endsWith(".md"); });
-} catch (e) {
-  process.exit(0);
+// The stop is allowed: close this session's suggestion turn (suggestion-state.js)
+function endSuggestionTurn(hookData) {
+  var state = suggestionState.read(HOME, hookData.session_id);
+  if (!suggestionState.active(state, hookData.session_id)) return;
+  var result = suggestionState.endTurn(state, "TURN_END", null, HOME);
+  try { suggestionState.write(state, HOME); } catch (e) { log("[STOP] ERROR writing suggestions: " + e.message); }
+  log("[STOP] suggestions turn ended: fulfilled=" + (result.fulfilled.join(",") || "-") +
+    " ignored=" + (result.ignored.join(",") || "-") + " dismissed=" + (result.dismissed.join(",") || "-"));
 }
 
-if (files.length === 0) process.exit(0);
+function main() {
+  // Read stdin SYNCHRONOUSLY via file descriptor 0 (cross-platform)
+  var input = "";
+  try {
+    input = fs.readFileSync(0, "utf-8");
+  } catch (e) {
+    log("[STOP] ERROR reading stdin: " + e.message);
+    process.exit(0);
+  }
 
-var matched = [];
+  if (!input) process.exit(0);
 
-for (var i = 0; i < files.length; i++) {
-  var filePath = path.join(INST_DIR, files[i]);
-  var content;
+  var hookData;
   try {
-    content = fs.readFileSync(filePath, "utf-8");
+    hookData = JSON.parse(input);
   } catch (e) {
-    continue;
+    log("[STOP] ERROR: bad JSON on stdin");
+    process.exit(0);
   }
 
-  var meta = parseFrontmatter(content);
-  if (!meta || !meta.id) continue;
+  var responseText = hookData.last_assistant_message || "";
+  if (!responseText) {
+    log("[STOP] no last_assistant_message, allowing stop");
+    endSuggestionTurn(hookData);
+    process.exit(0);
+  }
 
-  var hit = false;
-  var hitTrigger = "";
+  var responseMatchText = matcher.prepare(responseText);
+  var safePreview = responseText.substring(0, 120).split("\n").join("\n");
+  log("[STOP] response length=" + responseText.length + " first120=" + safePreview);
 
-  // Check regex pattern first (single string - supports commas in quantifiers)
-  if (meta.pattern && typeof meta.pattern === "string" && meta.pattern.length > 0) {
-    try {
-      var re = new RegExp(meta.pattern, "i");
-      var m = re.exec(responseText);
-      if (m) {
-        hitTrigger = "pattern: " + m[0].substring(0, 40);
-        log("[STOP] pattern hit -> " + files[i] + " matched=\"" + m[0].substring(0, 40) + "\"");
-        hit = true;
-      }
-    } catch (e) {
-      log("[STOP] bad regex: " + e.message);
-    }
+  // Load Stop rules: ~/.claude/rules/Stop/ then <cwd>/.claude/rules/Stop/ (see rule-files.js)
+  var cwd = hookData.cwd || process.cwd();
+  var split = conditions.partition(ruleFiles.resolveRules("Stop", { cwd: cwd, home: HOME, log: log }).rules, conditions.context(cwd));
+  if (split.dormant.length > 0) {
+    log("[STOP] " + split.dormant.length + " dormant (when:): " + split.dormant.map(function (d) { return d.rule.id + " (" + d.reason + ")"; }).join(", "));
+  }
+  var rules = split.active;
+  if (rules.length === 0) {
+    endSuggestionTurn(hookData);
+    process.exit(0);
   }
 
-  // Then check substring keywords
-  if (!hit && meta.keywords && Array.isArray(meta.keywords)) {
-    for (var k = 0; k < meta.keywords.length; k++) {
-      var kw = meta.keywords[k].toLowerCase();
-      if (kw && responseLower.indexOf(kw) !== -1) {
-        hitTrigger = meta.keywords[k];
-        log("[STOP] keyword=\"" + meta.keywords[k] + "\" -> " + files[i]);
-        hit = true;
-        break;
-      }
-    }
+  var matched = [];
+
+  for (var i = 0; i < rules.length; i++) {
+    var meta = rules[i];
+    var ruleLabel = path.basename(meta.file) + (meta.scope === "project" ? " (project)" : "");
+    var hit = matchStopRule(meta, responseText, responseMatchText, { session_id: hookData.session_id, home: HOME });
+    if (!hit) continue;
+    if (hit.error) log("[STOP] " + hit.error + " -> " + ruleLabel);
+    if (!hit.trigger) continue;
+    if (hit.via === "pattern") log("[STOP] pattern hit -> " + ruleLabel + " " + hit.detail);
+    else if (hit.via === "check") log("[STOP] check hit -> " + ruleLabel + " " + hit.detail);
+    else log("[STOP] " + hit.detail + " -> " + ruleLabel);
+    matched.push({ body: hit.extra ? meta.body + "\n\n" + hit.extra : meta.body, id: meta.id, trigger: hit.trigger, rule: meta });
   }
 
-  if (hit) {
-    matched.push({ body: meta.body, id: meta.id, trigger: hitTrigger });
+  // Evidence in the transcript (e.g. tests ran this turn) satisfies the rule
+  var checked = applyEvidence(matched, hookData.transcript_path);
+  checked.errors.forEach(function (x) { log("[STOP] satisfied_by error -> " + x.match.id + ": " + x.error); });
+  checked.satisfied.forEach(function (x) {
+    log("[STOP] SATISFIED " + x.match.id + " (\"" + x.match.trigger + "\") - evidence: " + x.evidence);
+  });
+  matched = checked.remaining;
+
+  // severity: log is recorded only, severity: warn reminds without blocking
+  var bySeverity = { block: [], warn: [], log: [] };
+  matched.forEach(function (m) { bySeverity[ruleFiles.severityOf(m.rule)].push(m); });
+  bySeverity.log.forEach(function (m) {
+    log("[STOP] LOGGED " + m.id + " (\"" + m.trigger + "\") - severity: log");
+  });
+  var warnings = bySeverity.warn.map(function (m) {
+    log("[STOP] WARN " + m.id + " (\"" + m.trigger + "\")");
+    return "[Stop] " + m.id + ": " + (m.rule.action || m.rule.description || m.trigger);
+  });
+
+  // Per-session block counters (shared state file with the rule loader)
+  var stateData = ruleCache.read(STATE_FILE);
+  var state = ruleCache.session(stateData, hookData.session_id);
+  var limited = applyBlockLimits(bySeverity.block, state, hookData.stop_hook_active === true);
+  limited.suppressed.forEach(function (s) {
+    log("[STOP] SUPPRESSED " + s.match.id + " (\"" + s.match.trigger + "\") - " + s.reason);
+  });
+  matched = limited.blocking;
+  matched.forEach(function (m) { state.stop_blocks[m.id] = (state.stop_blocks[m.id] || 0) + 1; });
+  state.stop_last = matched.map(function (m) { return m.id; });
+  try { ruleCache.write(STATE_FILE, stateData); } catch (e) { log("[STOP] ERROR writing state: " + e.message); }
+
+  if (matched.length === 0) {
+    if (warnings.length > 0) {
+      log("[STOP] " + warnings.length + " reminder(s), allowing stop");
+      process.stdout.write(JSON.stringify({ systemMessage: warnings.join("\n") }));
+    } else if (bySeverity.log.length > 0) log("[STOP] only severity: log matches, allowing stop");
+    else if (limited.suppressed.length > 0) log("[STOP] all matches suppressed, allowing stop");
+    else if (checked.satisfied.length > 0) log("[STOP] all matches satisfied by evidence, allowing stop");
+    else log("[STOP] no match, allowing stop");
+    endSuggestionTurn(hookData);
+    process.exit(0);
   }
-}
 
-if (matched.length === 0) {
-  log("[STOP] no match, allowing stop");
+  var triggers = matched.map(function (m) { return m.id + " (\"" + m.trigger + "\")"; }).join(", ");
+  log("[STOP] BLOCKING - " + matched.length + " rule(s): " + triggers);
+  var merged = buildReason(matched);
+  if (merged.collapsed.length > 0 || merged.omitted.length > 0) {
+    log("[STOP] reason merged: " + merged.reason.length + " chars" +
+      (merged.collapsed.length > 0 ? ", collapsed (repeats): " + merged.collapsed.join(", ") : "") +
+      (merged.omitted.length > 0 ? ", omitted (over " + MAX_REASON_CHARS + " chars): " + merged.omitted.join(", ") : ""));
+  }
+
+  // TUI: show which hooks fired and their trigger keywords
+  console.log("[Stop] " + triggers);
+
+  var output = { decision: "block", reason: merged.reason };
+  if (warnings.length > 0) output.systemMessage = warnings.join("\n");
+  process.stdout.write(JSON.stringify(output));
   process.exit(0);
 }
 
-var triggers = matched.map(function (m) { return m.id + " (\"" + m.trigger + "\")"; }).join(", ");
-log("[STOP] BLOCKING - " + matched.length + " rule(s): " + triggers);
-
-// TUI: show which hooks fired and their trigger keywords
-console.log("[Stop] " + triggers);
+if (require.main === module) main();
 
-var bodies = matched.map(function (m) { return m.body; });
-process.stdout.write(JSON.stringify({
-  decision: "block",
-  reason: bodies.join("\n\n")
-}));
-process.exit(0);
+module.exports = { matchStopRule: matchStopRule, applyEvidence: applyEvidence, applyBlockLimits: applyBlockLimits, buildReason: buildReason };
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * sm-telemetry - Query the tool-call log written by sm-pretooluse/sm-posttooluse
+ * (~/.claude/super-manager/logs/tool-calls.jsonl, see tool-telemetry.js).
+ *
+ * Usage:
+ *   node ~/.claude/hooks/sm-telemetry.js slowest             # slowest tools (avg duration)
+ *   node ~/.claude/hooks/sm-telemetry.js failing             # most failing Bash commands
+ *   node ~/.claude/hooks/sm-telemetry.js sessions            # tool calls per session
+ *   options: --since <7d|24h|30m|YYYY-MM-DD>   window (default: 7d)
+ *            --tool <name>                     failing: tool to group (default: Bash)
+ *            --session <id>                    only this session
+ *            --limit <n>                       rows (default: 15)
+ *            --json                            structured output
+ */
+var telemetry = require('./tool-telemetry');
+
+var HOME = process.env.HOME || process.env.USERPROFILE;
+var UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+function parseArgs(argv) {
+  var opts = { query: null, since: '7d', tool: 'Bash', session: null, limit: 15, json: false };
+  for (var i = 0; i < argv.length; i++) {
+    if (argv[i] === '--since') opts.since = argv[++i];
+    else if (argv[i] === '--tool') opts.tool = argv[++i];
+    else if (argv[i] === '--session') opts.session = argv[++i];
+    else if (argv[i] === '--limit') opts.limit = parseInt(argv[++i], 10) || opts.limit;
+    else if (argv[i] === '--json') opts.json = true;
+    else if (!opts.query) opts.query = argv[i];
+  }
+  return opts;
+}
+
+// "7d", "24h", "30m", "2w" or a date -> epoch ms; null for "all"
+function sinceMs(value) {
+  if (!value || value === 'all') return null;
+  var m = /^(\d+)([mhdw])$/.exec(value);
+  if (m) return Date.now() - parseInt(m[1], 10) * UNIT_MS[m[2]];
+  var t = Date.parse(value);
+  return isNaN(t) ? null : t;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Command without env assignments and leading cd: program and subcommand ("git push", "npm test")
+function commandKey(input) {
+  var cmd = String(input || '').replace(/^(?:cd\s+\S+\s*(?:&&|;)\s*)+/, '').replace(/^(?:\w+=\S*\s+)+/, '');
+  var words = cmd.split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '(empty)';
+  var key = words[0].replace(/^.*[\/\\]/, '');
+  if (words[1] && /^[a-z][\w:-]*$/i.test(words[1])) key += ' ' + words[1];
+  return key;
+}
+
+// ===== QUERIES =====
+
+function slowest(entries) {
+  var byTool = {};
+  entries.forEach(function(e) {
+    if (typeof e.duration_ms !== 'number') return;
+    (byTool[e.tool] = byTool[e.tool] || []).push(e.duration_ms);
+  });
+  return Object.keys(byTool).map(function(tool) {
+    var d = byTool[tool].sort(function(a, b) { return a - b; });
+    var total = d.reduce(function(a, b) { return a + b; }, 0);
+    return { tool: tool, calls: d.length, avg_ms: Math.round(total / d.length), p95_ms: percentile(d, 0.95), max_ms: d[d.length - 1], total_ms: total };
+  }).sort(function(a, b) { return b.avg_ms - a.avg_ms; });
+}
+
+function failing(entries, tool) {
+  var byKey = {};
+  entries.forEach(function(e) {
+    if (e.tool !== tool) return;
+    var key = tool === 'Bash' ? commandKey(e.input) : e.input;
+    var row = byKey[key] = byKey[key] || { key: key, calls: 0, failed: 0, last_error: null, last_input: null };
+    row.calls++;
+    if (e.ok === false) {
+      row.failed++;
+      row.last_error = e.error;
+      row.last_input = e.input;
+    }
+  });
+  return Object.keys(byKey).map(function(k) { return byKey[k]; })
+    .filter(function(r) { return r.failed > 0; })
+    .sort(function(a, b) { return b.failed - a.failed || b.failed / b.calls - a.failed / a.calls; });
+}
+
+function sessions(entries) {
+  var bySession = {};
+  entries.forEach(function(e) {
+    var id = e.session_id || '(none)';
+    var row = bySession[id] = bySession[id] || { session_id: id, calls: 0, failed: 0, total_ms: 0, first: e.ts, last: e.ts, tools: {} };
+    row.calls++;
+    if (e.ok === false) row.failed++;
+    if (typeof e.duration_ms === 'number') row.total_ms += e.duration_ms;
+    row.last = e.ts;
+    row.tools[e.tool] = (row.tools[e.tool] || 0) + 1;
+  });
+  return Object.keys(bySession).map(function(k) { return bySession[k]; })
+    .sort(function(a, b) { return Date.parse(b.last) - Date.parse(a.last); });
+}
+
+// ===== OUTPUT =====
+
+function pad(s, n) {
+  s = String(s);
+  return s.length >= n ? s : s + new Array(n - s.length + 1).join(' ');
+}
+
+function secs(ms) {
+  return ms === null || ms === undefined ? '-' : (ms / 1000).toFixed(ms < 10000 ? 2 : 1) + 's';
+}
+
+function topTools(tools) {
+  return Object.keys(tools).sort(function(a, b) { return tools[b] - tools[a]; }).slice(0, 4)
+    .map(function(t) { return t + ' ' + tools[t]; }).join(', ');
+}
+
+function main() {
+  var opts = parseArgs(process.argv.slice(2));
+  var queries = { slowest: slowest, failing: failing, sessions: sessions };
+  if (!queries[opts.query]) {
+    console.log('Usage: node sm-telemetry.js slowest|failing|sessions [--since 7d] [--tool Bash] [--session <id>] [--limit 15] [--json]');
+    process.exit(2);
+  }
+
+  var entries = telemetry.readEntries({ since: sinceMs(opts.since), home: HOME });
+  if (opts.session) entries = entries.filter(function(e) { return e.session_id === opts.session; });
+  var rows = queries[opts.query](entries, opts.tool).slice(0, opts.limit);
+  if (opts.json) {
+    console.log(JSON.stringify({ query: opts.query, since: opts.since, calls: entries.length, rows: rows }, null, 2));
+    return;
+  }
+
+  console.log('');
+  console.log('Log:   ' + telemetry.logFile(HOME));
+  console.log('Calls: ' + entries.length + ' since ' + opts.since + (opts.session ? ', session ' + opts.session : ''));
+  console.log('');
+  if (rows.length === 0) {
+    console.log('  (none)');
+  } else if (opts.query === 'slowest') {
+    console.log('  ' + pad('TOOL', 32) + ' ' + pad('CALLS', 6) + ' ' + pad('AVG', 8) + ' ' + pad('P95', 8) + ' ' + pad('MAX', 8) + ' TOTAL');
+    rows.forEach(function(r) {
+      console.log('  ' + pad(r.tool, 32) + ' ' + pad(r.calls, 6) + ' ' + pad(secs(r.avg_ms), 8) + ' ' + pad(secs(r.p95_ms), 8) + ' ' + pad(secs(r.max_ms), 8) + ' ' + secs(r.total_ms));
+    });
+  } else if (opts.query === 'failing') {
+    console.log('  ' + pad(opts.tool === 'Bash' ? 'COMMAND' : 'INPUT', 32) + ' ' + pad('FAILED', 10) + ' LAST ERROR');
+    rows.forEach(function(r) {
+      console.log('  ' + pad(r.key.slice(0, 32), 32) + ' ' + pad(r.failed + '/' + r.calls, 10) + ' ' + String(r.last_error || '').slice(0, 60));
+      if (r.last_input && r.last_input !== r.key) console.log('  ' + pad('', 32) + '   e.g. ' + r.last_input.slice(0, 80));
+    });
+  } else {
+    console.log('  ' + pad('SESSION', 38) + ' ' + pad('CALLS', 6) + ' ' + pad('FAILED', 7) + ' ' + pad('TIME', 8) + ' ' + pad('LAST', 17) + ' TOP TOOLS');
+    rows.forEach(function(r) {
+      console.log('  ' + pad(r.session_id, 38) + ' ' + pad(r.calls, 6) + ' ' + pad(r.failed, 7) + ' ' + pad(secs(r.total_ms), 8) + ' ' + pad(String(r.last).slice(0, 16).replace('T', ' '), 17) + ' ' + topTools(r.tools));
+    });
+  }
+  console.log('');
+}
+
+if (require.main === module) main();
+
+module.exports = { slowest: slowest, failing: failing, sessions: sessions, commandKey: commandKey };
@@ -11,13 +11,17 @@
  */
 const fs = require('fs');
 const path = require('path');
+const matcher = require('./keyword-matcher');
+const ruleCache = require('./rule-cache');
+const ruleFiles = require('./rule-files');
+const conditions = require('./rule-conditions');
+const enforcementPolicy = require('./enforcement-policy');
+const suggestionState = require('./suggestion-state');
 
 const HOOK_NAME = 'skill-mcp-claudemd-injector';
 const EVENT_TYPE = 'UserPromptSubmit';
 const HOME = process.env.HOME || process.env.USERPROFILE;
 const LOG_FILE = path.join(HOME, '.claude', 'hooks', 'hooks.log');
-const STATE_DIR = path.join(HOME, '.claude', 'super-manager', 'state');
-const STATE_FILE = path.join(STATE_DIR, 'super-manager-pending-suggestions.json');
 const STATUS_CACHE = path.join(HOME, '.claude', 'super-manager', 'state', 'status-line-cache.json');
 
 // Logging with module name
@@ -26,6 +30,19 @@ function log(module, level, msg) {
   fs.appendFileSync(LOG_FILE, `${ts} [${level}] [${EVENT_TYPE}] [${HOOK_NAME}:${module}] ${msg}\n`);
 }
 
+// Negative keywords / exclude_pattern shared by skills, MCPs and rules.
+// Returns the suppression reason or null; an invalid regex is logged and ignored.
+function suppressedBy(item, text, module, label, warn) {
+  try {
+    return matcher.exclusionReason(item, text);
+  } catch (e) {
+    const msg = `bad exclude_pattern on ${label}: ${e.message}`;
+    if (warn) warn(msg);
+    else log(module, 'WARN', msg);
+    return null;
+  }
+}
+
 // ===== MODULE: claudemd =====
 // DISABLED: Claude Code natively loads ~/.claude/CLAUDE.md on every prompt.
 // Injecting it again doubled context (~13KB per prompt). Global CLAUDE.md
@@ -36,31 +53,46 @@ function moduleClaudeMd() {
   return null;
 }
 
+// Skills and MCP servers: keyword hits, then the exclusion check on a hit.
+// Entries may set match_mode; keywords may carry their own notation.
+// warn(msg) replaces the hooks.log warning (sm-explain writes no logs).
+function matchItem(item, text, module, label, warn) {
+  const hits = matcher.matchKeywords(item.keywords, text, item.match_mode);
+  const excluded = hits.length > 0 ? suppressedBy(item, text, module, label, warn) : null;
+  return { hits, excluded };
+}
+
 // ===== MODULE: skill =====
+const SKILL_REGISTRY = path.join(HOME, '.claude', 'hooks', 'skill-registry.json');
+
+function loadSkillRegistry() {
+  if (!fs.existsSync(SKILL_REGISTRY)) return null;
+  return JSON.parse(fs.readFileSync(SKILL_REGISTRY, 'utf-8'));
+}
+
 let lastMatchedSkills = [];
 function moduleSkill(prompt) {
   lastMatchedSkills = [];
-  const registryPath = path.join(HOME, '.claude', 'hooks', 'skill-registry.json');
   try {
-    if (!fs.existsSync(registryPath)) {
+    const registry = loadSkillRegistry();
+    if (!registry) {
       log('skill', 'DEBUG', 'no skill-registry.json');
       return null;
     }
 
-    const registry = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
     const matched = [];
+    const text = matcher.prepare(prompt);
 
     for (const skill of registry.skills || []) {
       if (!skill.enabled) continue;
-      let hitKeyword = null;
-      const hit = (skill.keywords || []).some(kw => {
-        if (prompt.includes(kw.toLowerCase())) { hitKeyword = kw; return true; }
-        return false;
-      });
-      if (hit) {
-        matched.push(skill);
-        lastMatchedSkills.push({ id: skill.id, reason: hitKeyword });
+      const { hits, excluded } = matchItem(skill, text, 'skill', skill.id);
+      if (hits.length === 0) continue;
+      if (excluded) {
+        log('skill', 'INFO', `[EXCLUDE] trigger="${prompt.slice(0, 40)}" match=${hits[0].keyword} -> ${skill.id} (suppressed: ${excluded})`);
+        continue;
       }
+      matched.push(skill);
+      lastMatchedSkills.push({ id: skill.id, reason: hits[0].keyword });
     }
 
     if (matched.length === 0) {
@@ -80,15 +112,19 @@ function moduleSkill(prompt) {
 }
 
 // ===== MODULE: mcp =====
+const SERVERS_YAML_PATHS = [
+  path.join(HOME, 'OneDrive - TrendMicro', 'Documents', 'ProjectsCL', 'MCP', 'mcp-manager', 'servers.yaml'),
+  path.join(HOME, 'mcp', 'mcp-manager', 'servers.yaml')
+];
+
+function findServersYaml() {
+  return SERVERS_YAML_PATHS.find(p => fs.existsSync(p)) || null;
+}
+
 let lastMatchedMcps = [];
 function moduleMcp(prompt) {
   lastMatchedMcps = [];
-  const serversPaths = [
-    path.join(HOME, 'OneDrive - TrendMicro', 'Documents', 'ProjectsCL', 'MCP', 'mcp-manager', 'servers.yaml'),
-    path.join(HOME, 'mcp', 'mcp-manager', 'servers.yaml')
-  ];
-
-  const serversPath = serversPaths.find(p => fs.existsSync(p));
+  const serversPath = findServersYaml();
   if (!serversPath) {
     log('mcp', 'DEBUG', 'no servers.yaml found');
     return null;
@@ -98,16 +134,19 @@ function moduleMcp(prompt) {
     const content = fs.readFileSync(serversPath, 'utf-8');
     const servers = parseServersYaml(content);
     const matched = [];
+    const text = matcher.prepare(prompt);
 
     for (const [name, server] of Object.entries(servers)) {
       if (!server.enabled) continue;
       // Only match on keywords, NOT tags. Tags are categorization metadata, not user intent.
-      const terms = (server.keywords || []).map(t => t.toLowerCase());
-      let mcpHitKeyword = null;
-      if (terms.some(t => { if (prompt.includes(t)) { mcpHitKeyword = t; return true; } return false; })) {
-        matched.push({ name, description: server.description || name });
-        lastMatchedMcps.push({ name, reason: mcpHitKeyword });
+      const { hits, excluded } = matchItem(server, text, 'mcp', name);
+      if (hits.length === 0) continue;
+      if (excluded) {
+        log('mcp', 'INFO', `[EXCLUDE] trigger="${prompt.slice(0, 40)}" match=${hits[0].keyword} -> ${name} (suppressed: ${excluded})`);
+        continue;
       }
+      matched.push({ name, description: server.description || name });
+      lastMatchedMcps.push({ name, reason: hits[0].keyword });
     }
 
     if (matched.length === 0) {
@@ -130,7 +169,7 @@ function moduleMcp(prompt) {
 // Simple YAML parser for servers.yaml
 function parseServersYaml(content) {
   const servers = {};
-  let current = null, inKw = false, inTags = false;
+  let current = null, inKw = false, inTags = false, inExcl = false;
 
   for (const line of content.split('\n')) {
     const trimmed = line.trim();
@@ -138,8 +177,8 @@ function parseServersYaml(content) {
 
     if (indent === 2 && trimmed.endsWith(':') && !trimmed.includes(' ')) {
       current = trimmed.slice(0, -1);
-      servers[current] = { keywords: [], tags: [], enabled: false, description: '' };
-      inKw = inTags = false;
+      servers[current] = { keywords: [], tags: [], exclude_keywords: [], exclude_pattern: '', enabled: false, description: '', match_mode: '' };
+      inKw = inTags = inExcl = false;
       continue;
     }
     if (!current) continue;
@@ -148,23 +187,249 @@ function parseServersYaml(content) {
       servers[current].description = trimmed.split(':').slice(1).join(':').trim();
     } else if (trimmed.startsWith('enabled:')) {
       servers[current].enabled = trimmed.includes('true');
-    } else if (trimmed === 'keywords:') { inKw = true; inTags = false; }
-    else if (trimmed === 'tags:') { inTags = true; inKw = false; }
-    else if (trimmed.startsWith('- ') && (inKw || inTags)) {
+    } else if (trimmed.startsWith('match_mode:')) {
+      servers[current].match_mode = trimmed.split(':').slice(1).join(':').trim();
+      inKw = inTags = inExcl = false;
+    } else if (trimmed.startsWith('exclude_pattern:')) {
+      servers[current].exclude_pattern = trimmed.split(':').slice(1).join(':').trim().replace(/^'(.*)'$|^"(.*)"$/, '$1$2');
+      inKw = inTags = inExcl = false;
+    } else if (trimmed === 'keywords:') { inKw = true; inTags = inExcl = false; }
+    else if (trimmed === 'tags:') { inTags = true; inKw = inExcl = false; }
+    else if (trimmed === 'exclude_keywords:') { inExcl = true; inKw = inTags = false; }
+    else if (trimmed.startsWith('- ') && (inKw || inTags || inExcl)) {
       const val = trimmed.slice(2).trim();
       if (inKw) servers[current].keywords.push(val);
       if (inTags) servers[current].tags.push(val);
+      if (inExcl) servers[current].exclude_keywords.push(val);
     } else if (!trimmed.startsWith('-') && trimmed.includes(':')) {
-      inKw = inTags = false;
+      inKw = inTags = inExcl = false;
     }
   }
   return servers;
 }
 
 // ===== MODULE: ruleLoader =====
+// Rules are ranked with a BM25-style relevance score instead of raw hit counts.
+// Each rule is a "document" made of its keywords (full weight) plus the words of
+// its name/description (reduced weight). Terms shared by many rules get a low
+// IDF, so a generic keyword like "write" cannot fire a rule on its own while a
+// rare one like "nmap" can. Long keyword lists are length-normalized.
+// Tuning lives in ~/.claude/rules/loader-config.json: { "min_score", "top_n" }.
+//
+// Injected bodies share a per-prompt budget ("budget_tokens", ~4 chars/token,
+// or "budget_bytes"). Selected rules are packed by priority (lower = more
+// important, default 10) then score; a rule that no longer fits is shortened
+// when enough budget is left, otherwise dropped and reported in [SM] output.
+var LOADER_DEFAULTS = { min_score: 3.0, top_n: 3, budget_tokens: 1500, budget_bytes: 0 };
+var MIN_SHORTENED_CHARS = 600;
+var BM25_K1 = 1.2;
+var BM25_B = 0.75;
+var TEXT_WEIGHT = 0.4;
+var STOPWORDS = ["the", "and", "for", "with", "from", "into", "when", "what", "this", "that",
+  "your", "you", "are", "not", "use", "using", "via", "all", "any", "only", "just", "before",
+  "after", "about", "over", "under", "why", "how", "instead", "never", "always"];
+
+function tokenize(text) {
+  return (text || "").toLowerCase().split(/[^a-z0-9]+/).filter(function(t) {
+    return t.length >= 3 && STOPWORDS.indexOf(t) === -1;
+  });
+}
+
+function loadLoaderConfig(instDir) {
+  var cfg = {};
+  try { cfg = JSON.parse(fs.readFileSync(path.join(instDir, "loader-config.json"), "utf-8")); } catch {}
+  var out = {};
+  for (var key in LOADER_DEFAULTS) {
+    out[key] = typeof cfg[key] === "number" ? cfg[key] : LOADER_DEFAULTS[key];
+  }
+  return out;
+}
+
+// Budget accounting: bytes when budget_bytes is set, else estimated tokens.
+function budgetOf(cfg) {
+  return cfg.budget_bytes > 0 ? { max: cfg.budget_bytes, unit: "bytes" } : { max: cfg.budget_tokens, unit: "tokens" };
+}
+
+function measure(text, unit) {
+  return unit === "bytes" ? Buffer.byteLength(text, "utf-8") : Math.ceil(text.length / 4);
+}
+
+// Cut a rule body down to roughly `size` units, preferring a paragraph break.
+function shortenBody(body, size, unit, file) {
+  var maxChars = unit === "bytes" ? size : size * 4;
+  var note = String.fromCharCode(10) + "[... shortened for context budget -- full rule: " + file + "]";
+  maxChars -= note.length;
+  if (maxChars < MIN_SHORTENED_CHARS) return null;
+  var cut = body.slice(0, maxChars);
+  var para = cut.lastIndexOf(String.fromCharCode(10) + String.fromCharCode(10));
+  if (para > maxChars / 2) cut = cut.slice(0, para);
+  return cut.trimEnd() + note;
+}
+
+function priorityOf(rule) {
+  var p = parseInt(rule.priority, 10);
+  return isNaN(p) ? 10 : p;
+}
+
+// Regex pattern: (UserPromptSubmit rules can match URL shapes etc.). Returns
+// the matched text or null; an invalid regex is passed to onBadPattern(rule, err).
+function matchRulePattern(rule, prompt, onBadPattern) {
+  if (!rule.pattern || typeof rule.pattern !== "string") return null;
+  try {
+    var m = new RegExp(rule.pattern, "i").exec(prompt || "");
+    return m ? m[0].substring(0, 40) : null;
+  } catch (e) {
+    if (onBadPattern) onBadPattern(rule, e);
+    return null;
+  }
+}
+
+// pattern_logic: and (default) -> pattern AND min_matches keyword hits
+//                or            -> pattern alone, OR the normal keyword score
+// Rules with a pattern and no keywords fire on the pattern alone.
+function ruleQualifies(c) {
+  var byScore = c.score >= c.minScore && c.kwHits >= c.minMatches;
+  if (!c.rule.pattern) return byScore;
+  var hasKeywords = Array.isArray(c.rule.keywords) && c.rule.keywords.length > 0;
+  if (c.rule.pattern_logic === "or") return !!c.patternHit || byScore;
+  return !!c.patternHit && (!hasKeywords || c.kwHits >= c.minMatches);
+}
+
+// Rules the loader works with for a cwd: global, MCP-collocated and project
+// rules (rule-files.js), split by when: conditions. Dormant rules are not
+// scored (nor counted for IDF). Returns { resolved, active, dormant }.
+function loadPromptRules(cwd, instLog) {
+  var resolved = ruleFiles.resolveRules("UserPromptSubmit", { cwd: cwd, log: instLog });
+  var withTriggers = resolved.rules.filter(function(meta) { return meta.keywords || meta.pattern; });
+  var split = conditions.partition(withTriggers, conditions.context(cwd));
+  return { resolved: resolved, active: split.active, dormant: split.dormant };
+}
+
+// One-line stand-in for the body of a severity: warn rule
+function reminderOf(rule) {
+  return "REMINDER: " + (rule.action || rule.description || rule.name || rule.id);
+}
+
+// Pack selected (uncached) rules into the context budget: priority first, then
+// score. severity: warn rules are packed as a one-line reminder; severity: log
+// rules are only recorded (logged, no budget). Returns [{ candidate, body,
+// size, severity, logged, shortened, dropped, used }] in packing order; `used`
+// is the budget consumed before this rule.
+function packRules(pending, budget) {
+  var used = 0;
+  return pending.slice().sort(function(a, b) {
+    return priorityOf(a.rule) - priorityOf(b.rule) || b.score - a.score;
+  }).map(function(c) {
+    var severity = ruleFiles.severityOf(c.rule);
+    var body = severity === "warn" ? reminderOf(c.rule) : c.rule.body;
+    var size = severity === "log" ? 0 : measure(body, budget.unit);
+    var entry = { candidate: c, body: body, size: size, severity: severity, logged: severity === "log", shortened: false, dropped: false, used: used };
+    if (entry.logged) return entry;
+    if (used + size > budget.max) {
+      body = shortenBody(body, budget.max - used, budget.unit, c.rule.file);
+      if (!body) {
+        entry.dropped = true;
+        return entry;
+      }
+      entry.body = body;
+      entry.shortened = true;
+      size = measure(body, budget.unit);
+    }
+    used += size;
+    return entry;
+  });
+}
+
+// Score, exclude and qualify rules for one prompt -- everything the loader
+// decides except caching and the context budget. Shared with the rule example
+// runner (super-manager/tests/test-rule-examples.js) so tests see real behavior.
+// A rule qualifies when its score reaches min_score (global, or per-rule
+// min_score: in frontmatter) AND it has at least min_matches keyword hits
+// (default 1 -- the score already discounts generic keywords).
+// Returns candidates sorted by score; qualified ones carry `rank` (1-based).
+// opts: { onBadPattern(rule, err), onBadExclude(rule, msg), onExcluded(candidate) }
+// (onBadExclude replaces the hooks.log warning)
+function rankRules(rules, prompt, scoreCfg, opts) {
+  opts = opts || {};
+  var promptText = matcher.prepare(prompt);
+  var candidates = scoreRules(rules, prompt).filter(function(c) {
+    c.patternHit = matchRulePattern(c.rule, prompt, opts.onBadPattern);
+    if (c.hits.length === 0 && !c.patternHit) return false;
+    var excluded = suppressedBy(c.rule, promptText, "ruleLoader", c.rule.id,
+      opts.onBadExclude && function(msg) { opts.onBadExclude(c.rule, msg); });
+    if (excluded) {
+      c.excluded = excluded;
+      if (opts.onExcluded) opts.onExcluded(c);
+      return false;
+    }
+    var minScore = parseFloat(c.rule.min_score);
+    c.minScore = isNaN(minScore) ? scoreCfg.min_score : minScore;
+    c.minMatches = parseInt(c.rule.min_matches, 10) || 1;
+    c.qualified = ruleQualifies(c);
+    if (c.patternHit) {
+      // Rank pattern hits as if they had just reached the threshold on their own
+      c.hits.unshift("pattern:" + c.patternHit);
+      c.score = Math.round((c.score + c.minScore) * 100) / 100;
+    }
+    return true;
+  }).sort(function(a, b) { return b.score - a.score; });
+  var rank = 0;
+  candidates.forEach(function(c) { if (c.qualified) c.rank = ++rank; });
+  return candidates;
+}
+
+// Score every rule against the prompt. rules: [{ keywords, match_mode, name, description }]
+// Returns [{ rule, score, hits, kwHits }] in input order; hits include text-word
+// matches prefixed with "~", kwHits counts keyword hits only (for min_matches).
+function scoreRules(rules, prompt) {
+  var promptText = matcher.prepare(prompt);
+  var promptTokens = tokenize(promptText.lower);
+  var docs = rules.map(function(r) {
+    // CLAUDE.md and claude.md are one term: count it once
+    var parsed = (r.keywords || []).map(function(k) { return matcher.parseKeyword(k, r.match_mode); })
+      .filter(function(k, i, arr) {
+        return k.term && arr.findIndex(function(o) { return o.term === k.term; }) === i;
+      });
+    var kws = parsed.map(function(k) { return k.term; });
+    var text = tokenize((r.name || "") + " " + (r.description || "")).filter(function(t, i, arr) {
+      return arr.indexOf(t) === i && kws.indexOf(t) === -1;
+    });
+    return { parsed: parsed, kws: kws, text: text, len: kws.length + TEXT_WEIGHT * text.length };
+  });
+
+  var df = {};
+  docs.forEach(function(d) {
+    d.kws.concat(d.text).forEach(function(t, i, arr) {
+      if (arr.indexOf(t) === i) df[t] = (df[t] || 0) + 1;
+    });
+  });
+  var n = docs.length;
+  var avgLen = docs.reduce(function(s, d) { return s + d.len; }, 0) / (n || 1);
+  function idf(t) { var d = df[t] || 0; return Math.log(1 + (n - d + 0.5) / (d + 0.5)); }
+
+  return docs.map(function(d, i) {
+    var norm = 1 - BM25_B + BM25_B * (avgLen ? d.len / avgLen : 1);
+    var sat = (BM25_K1 + 1) / (1 + BM25_K1 * norm);
+    var score = 0;
+    var hits = [];
+    var kwHits = 0;
+    d.parsed.forEach(function(kw) {
+      if (matcher.matchKeyword(kw, promptText) !== null) { score += idf(kw.term) * sat; hits.push(kw.term); kwHits++; }
+    });
+    d.text.forEach(function(t) {
+      if (promptTokens.indexOf(t) !== -1) { score += TEXT_WEIGHT * idf(t) * sat; hits.push("~" + t); }
+    });
+    return { rule: rules[i], score: Math.round(score * 100) / 100, hits: hits, kwHits: kwHits };
+  });
+}
+
 let lastMatchedRules = [];
-function moduleRuleLoader(prompt) {
+let lastDroppedRules = [];
+let lastRuleWarnings = [];
+function moduleRuleLoader(prompt, sessionId, cwd) {
   lastMatchedRules = [];
+  lastDroppedRules = [];
+  lastRuleWarnings = [];
   var INST_DIR = path.join(HOME, ".claude", "rules");
   var LOG_FILE = path.join(INST_DIR, "loader.log");
   var CACHE_FILE = path.join(INST_DIR, ".loaded-cache");
@@ -174,131 +439,84 @@ function moduleRuleLoader(prompt) {
     try { fs.appendFileSync(LOG_FILE, ts + " " + msg + String.fromCharCode(10)); } catch {}
   }
 
-  function parseFM(content) {
-    if (!content.startsWith("---")) return null;
-    var endIdx = content.indexOf("---", 3);
-    if (endIdx === -1) return null;
-    var yaml = content.substring(3, endIdx).trim();
-    var meta = {};
-    var yamlLines = yaml.split(String.fromCharCode(10));
-    var currentListKey = null;
-    for (var j = 0; j < yamlLines.length; j++) {
-      var ln = yamlLines[j];
-      var trimmed = ln.trim();
-      // Handle multi-line YAML list items (e.g. "  - atlassian.net")
-      if (trimmed.startsWith("- ") && currentListKey) {
-        if (!Array.isArray(meta[currentListKey])) meta[currentListKey] = [];
-        meta[currentListKey].push(trimmed.slice(2).trim());
-        continue;
-      }
-      currentListKey = null;
-      var col = ln.indexOf(":");
-      if (col === -1) continue;
-      var key = ln.substring(0, col).trim();
-      var val = ln.substring(col + 1).trim();
-      if (val.startsWith("[") && val.endsWith("]")) {
-        meta[key] = val.slice(1, -1).split(",").map(function(s) { return s.trim(); });
-      } else if (val === "") {
-        // Empty value after colon -- next lines may be list items
-        currentListKey = key;
-      } else { meta[key] = val; }
-    }
-    meta.body = content.substring(endIdx + 3).trim();
-    return meta;
-  }
-
   try {
     if (!fs.existsSync(INST_DIR)) return null;
-    var cache;
-    try { cache = JSON.parse(fs.readFileSync(CACHE_FILE, "utf-8")); }
-    catch { cache = { loaded: [], sessionTs: Date.now() }; }
+    // Dedupe per session_id; SessionStart (compact/resume/clear) forgets the entry
+    var cacheData = ruleCache.read(CACHE_FILE);
+    var cache = ruleCache.session(cacheData, sessionId);
 
-    if (!cache.sessionTs || (Date.now() - cache.sessionTs) > 7200000) {
-      cache = { loaded: [], sessionTs: Date.now() };
-    }
+    var outputs = [];
+    var scoreCfg = loadLoaderConfig(INST_DIR);
 
-    // Scan top-level AND subdirectories (e.g. UserPromptSubmit/, Stop/) for .md files
-    var files = [];
-    var topEntries = fs.readdirSync(INST_DIR);
-    for (var ei = 0; ei < topEntries.length; ei++) {
-      var entryPath = path.join(INST_DIR, topEntries[ei]);
-      try {
-        var stat = fs.statSync(entryPath);
-        if (stat.isFile() && topEntries[ei].endsWith(".md") && topEntries[ei] !== "README.md") {
-          files.push(entryPath);
-        } else if (stat.isDirectory() && topEntries[ei] === "UserPromptSubmit") {
-          var subFiles = fs.readdirSync(entryPath).filter(function(f) { return f.endsWith(".md") && f !== "README.md"; });
-          for (var si = 0; si < subFiles.length; si++) {
-            files.push(path.join(entryPath, subFiles[si]));
-          }
-        }
-      } catch {}
+    var split = loadPromptRules(cwd, instLog);
+    var rules = split.active;
+    if (split.dormant.length > 0) {
+      instLog("[WHEN] " + split.dormant.length + " dormant: " + split.dormant.map(function(d) { return d.rule.id + " (" + d.reason + ")"; }).join(", "));
     }
 
-    // Scan MCP server rules/ directories (collocated rules that migrate with the MCP)
-    var MCP_YAML_PATHS = [
-      path.join(HOME, "OneDrive - TrendMicro", "Documents", "ProjectsCL", "MCP", "mcp-manager", "servers.yaml"),
-      path.join(HOME, "mcp", "mcp-manager", "servers.yaml")
-    ];
-    var mcpYaml = MCP_YAML_PATHS.find(function(p) { try { return fs.existsSync(p); } catch { return false; } });
-    if (mcpYaml) {
-      var mcpRoot = path.dirname(path.dirname(mcpYaml)); // up from mcp-manager/ to MCP/
-      try {
-        var mcpDirs = fs.readdirSync(mcpRoot).filter(function(d) {
-          return d.startsWith("mcp-");
-        });
-        for (var mi = 0; mi < mcpDirs.length; mi++) {
-          var rulesDir = path.join(mcpRoot, mcpDirs[mi], "rules");
-          try {
-            if (!fs.existsSync(rulesDir)) continue;
-            var ruleFiles = fs.readdirSync(rulesDir).filter(function(f) { return f.endsWith(".md") && f !== "README.md"; });
-            for (var ri = 0; ri < ruleFiles.length; ri++) {
-              files.push(path.join(rulesDir, ruleFiles[ri]));
-            }
-            if (ruleFiles.length > 0) {
-              instLog("[MCP-RULES] scanned " + mcpDirs[mi] + "/rules/ -> " + ruleFiles.length + " rules");
-            }
-          } catch {}
-        }
-      } catch (mcpErr) {
-        instLog("[MCP-RULES] scan error: " + mcpErr.message);
+    var trigger = "trigger=\"" + (prompt || "").slice(0, 40) + "\"";
+    var candidates = rankRules(rules, prompt, scoreCfg, {
+      // Bad regexes are reported once per session (cache.reported)
+      onBadPattern: function(rule, err) {
+        var key = rule.id + ":" + rule.pattern;
+        if (cache.reported.indexOf(key) !== -1) return;
+        cache.reported.push(key);
+        instLog("[PATTERN] bad regex in " + rule.file + ": " + err.message);
+        lastRuleWarnings.push(rule.id + ": bad pattern (" + err.message + ")");
+      },
+      onExcluded: function(c) {
+        instLog("[EXCLUDE] " + trigger + " match=" + c.hits.join("+") + " score=" + c.score + " -> " + c.rule.file + " (suppressed: " + c.excluded + ")");
       }
-    }
-    var promptLower = (prompt || "").toLowerCase();
-    var outputs = [];
-
-    for (var fi = 0; fi < files.length; fi++) {
-      var content = fs.readFileSync(files[fi], "utf-8");
-      var meta = parseFM(content);
-      if (!meta || !meta.keywords) continue;
-
-      // Derive id from frontmatter or filename (e.g. "confluence-url-routing.md" -> "confluence-url-routing")
-      var instId = meta.id || path.basename(files[fi], ".md");
-
-      // Threshold matching: require min_matches keyword hits (default 2).
-      // Rules can set min_matches: 1 in frontmatter for unique/URL keywords.
-      var minMatches = parseInt(meta.min_matches, 10) || 2;
-      var hits = [];
-      for (var ki = 0; ki < meta.keywords.length; ki++) {
-        var kw = meta.keywords[ki].toLowerCase().trim();
-        if (kw && promptLower.indexOf(kw) !== -1) { hits.push(kw); }
+    });
+
+    var pending = [];
+    for (var ci = 0; ci < candidates.length; ci++) {
+      var c = candidates[ci];
+      var instId = c.rule.id;
+      var rank = c.rank;
+      var detail = "match=" + c.hits.join("+") + " score=" + c.score + "/" + c.minScore;
+      if (!c.qualified) {
+        instLog("[KEYWORD] " + trigger + " " + detail + " (" + c.kwHits + "/" + c.minMatches + " kw) -> " + c.rule.file + " (below threshold)");
+        continue;
       }
-      if (hits.length < minMatches) continue;
-      lastMatchedRules.push({ id: instId, reason: hits.join("+"), action: meta.action || null });
-
+      if (rank > scoreCfg.top_n) {
+        instLog("[KEYWORD] " + trigger + " " + detail + " rank=" + rank + " -> " + c.rule.file + " (outside top " + scoreCfg.top_n + ")");
+        continue;
+      }
+      c.detail = detail;
       if (cache.loaded.indexOf(instId) !== -1) {
-        instLog("[KEYWORD] trigger=\"" + (prompt || "").slice(0, 40) + "\" match=" + hits.join("+") + " (" + hits.length + "/" + minMatches + ") -> " + files[fi] + " (cached)");
+        lastMatchedRules.push({ id: instId, reason: c.hits.join("+"), score: c.score, action: c.rule.action || null });
+        instLog("[KEYWORD] " + trigger + " " + detail + " rank=" + rank + " -> " + c.rule.file + " (cached)");
         continue;
       }
+      pending.push(c);
+    }
 
-      cache.loaded.push(instId);
-      instLog("[KEYWORD] trigger=\"" + (prompt || "").slice(0, 40) + "\" match=" + hits.join("+") + " (" + hits.length + "/" + minMatches + ") -> " + files[fi] + " (loaded)");
-      outputs.push("--- RULE: " + instId + " ---");
-      outputs.push(meta.body);
+    var budget = budgetOf(scoreCfg);
+    var packed = packRules(pending, budget);
+    for (var pi = 0; pi < packed.length; pi++) {
+      var p = packed[pi].candidate;
+      if (packed[pi].dropped) {
+        lastDroppedRules.push({ id: p.rule.id, score: p.score, priority: priorityOf(p.rule), size: packed[pi].size, unit: budget.unit });
+        instLog("[BUDGET] " + trigger + " " + p.detail + " rank=" + p.rank + " -> " + p.rule.file + " (dropped: " + packed[pi].size + " " + budget.unit + ", " + packed[pi].used + "/" + budget.max + " used)");
+        continue;
+      }
+      if (packed[pi].logged) {
+        // severity: log -- record the hit for analytics, inject nothing
+        instLog("[KEYWORD] " + trigger + " " + p.detail + " rank=" + p.rank + " -> " + p.rule.file + " (logged, severity: log)");
+        continue;
+      }
+      var shortened = packed[pi].shortened;
+      var warnOnly = packed[pi].severity === "warn";
+      cache.loaded.push(p.rule.id);
+      lastMatchedRules.push({ id: p.rule.id, reason: p.hits.join("+"), score: p.score, action: p.rule.action || null, shortened: shortened, warn: warnOnly });
+      instLog("[KEYWORD] " + trigger + " " + p.detail + " rank=" + p.rank + " -> " + p.rule.file + (warnOnly ? " (loaded, reminder)" : shortened ? " (loaded, shortened)" : " (loaded)"));
+      outputs.push("--- RULE: " + p.rule.id + " ---");
+      outputs.push(packed[pi].body);
       outputs.push("--- END RULE ---");
     }
 
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache));
+    ruleCache.write(CACHE_FILE, cacheData);
     if (outputs.length > 0) return outputs.join(String.fromCharCode(10));
   } catch (e) {
     log("ruleLoader", "ERROR", e.message);
@@ -307,7 +525,7 @@ function moduleRuleLoader(prompt) {
 }
 
 // ===== MODULE: configCheck =====
-function moduleConfigCheck() {
+function moduleConfigCheck(cwd) {
   const crypto = require("crypto");
   const HASH_FILE = path.join(HOME, ".claude", "hooks", ".config-hash");
   const SF = path.join(HOME, ".claude", "settings.json");
@@ -359,20 +577,12 @@ function moduleConfigCheck() {
         if (cur && t.startsWith("description:")) servers[servers.length - 1].description = t.split(":").slice(1).join(":").trim();
       }
     }
-    // Scan rules directory
-    var INST_DIR = path.join(HOME, ".claude", "rules");
+    // Rules in the same resolution order as sm-sessionstart getRules()
     var instFiles = [];
     try {
-      instFiles = fs.readdirSync(INST_DIR).filter(function(f) { return f.endsWith(".md") && f !== "README.md"; }).map(function(f) {
-        var content = fs.readFileSync(path.join(INST_DIR, f), "utf-8");
-        if (!content.startsWith("---")) return null;
-        var end = content.indexOf("---", 3);
-        if (end === -1) return null;
-        var yaml = content.substring(3, end).trim();
-        var id = "unknown";
-        for (var line of yaml.split(String.fromCharCode(10))) { if (line.trim().startsWith("id:")) { id = line.split(":").slice(1).join(":").trim(); break; } }
-        return { id: id };
-      }).filter(Boolean);
+      instFiles = ruleFiles.resolveRules("UserPromptSubmit", { cwd: cwd }).rules.filter(function(r) {
+        return r.keywords || r.pattern;
+      }).map(function(r) { return { id: r.id }; });
     } catch {}
 
     // Normalize to minimal fields (must match config-awareness.js computeHash)
@@ -413,17 +623,35 @@ function moduleConfigCheck() {
 }
 
 // ===== MODULE: writePendingSuggestions =====
-function writePendingSuggestions(skills, mcps, rules, prompt) {
+// Suggestions belong to the prompt (turn) that made them (see suggestion-state.js).
+// A new prompt closes the previous turn of its own session unless it is a
+// follow-up, which carries the unfulfilled suggestions over. Escalation
+// thresholds come from the enforcement policy; sm-pretooluse counts tool_calls
+// (restarting at 0 for every prompt) and reads dismissed.
+function writePendingSuggestions(skills, mcps, rules, prompt, sessionId, cwd) {
   try {
+    const prev = suggestionState.read(HOME, sessionId);
+    const followUp = suggestionState.active(prev, sessionId) && suggestionState.isFollowUp(prompt);
+    const carried = followUp ? suggestionState.unfulfilled(prev) : [];
+    if (prev) suggestionState.endTurn(prev, "TURN_CLOSED", followUp ? "follow-up" : "replaced", HOME);
+
+    // Carried suggestions join this prompt's own (new matches first)
+    skills = skills.slice();
+    mcps = mcps.slice();
+    const carriedIds = [];
+    carried.forEach(function(c) {
+      const list = c.type === "Skill" ? skills : mcps;
+      if (list.some(function(x) { return (x.id || x.name) === c.id; })) return;
+      list.push(c.type === "Skill" ? { id: c.id, reason: c.reason, carried: true } : { name: c.id, reason: c.reason, carried: true });
+      carriedIds.push(c.id);
+    });
+
     // Only write if there are skill or MCP suggestions (rules are context-only)
     if (skills.length === 0 && mcps.length === 0) {
-      // Clean up stale state file if no suggestions
-      if (fs.existsSync(STATE_FILE)) {
-        try { fs.unlinkSync(STATE_FILE); } catch {}
-      }
+      // Clean up the previous turn's state file if no suggestions
+      suggestionState.remove(HOME, sessionId);
       return;
     }
-    if (!fs.existsSync(STATE_DIR)) fs.mkdirSync(STATE_DIR, { recursive: true });
     const state = {
       timestamp: new Date().toISOString(),
       prompt_snippet: (prompt || String()).slice(0, 80),
@@ -432,17 +660,24 @@ function writePendingSuggestions(skills, mcps, rules, prompt) {
         mcps: mcps,
         rules: rules
       },
-      fulfilled: []
+      fulfilled: [],
+      session_id: sessionId || null,
+      escalation: enforcementPolicy.load(cwd).escalation,
+      tool_calls: 0,
+      dismissed: [],
+      carried: carriedIds
     };
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-    log("enforcement", "INFO", "wrote pending suggestions: " + skills.length + " skills, " + mcps.length + " mcps, " + rules.length + " rules");
+    suggestionState.write(state, HOME);
+    if (carriedIds.length > 0) suggestionState.logEvent("TURN_CARRIED session=" + (sessionId || "-") + " ids=" + carriedIds.join(","), HOME);
+    log("enforcement", "INFO", "wrote pending suggestions: " + skills.length + " skills, " + mcps.length + " mcps, " + rules.length + " rules" +
+      (carriedIds.length > 0 ? " (carried: " + carriedIds.join(", ") + ")" : ""));
   } catch (e) {
     log("enforcement", "ERROR", "writePendingSuggestions failed: " + e.message);
   }
 }
 
 // ===== MODULE: observability =====
-function writeObservability(skills, mcps, rules) {
+function writeObservability(skills, mcps, rules, dropped, warnings) {
   var summaryParts = [];
   if (skills.length > 0) {
     summaryParts.push("[SM] Loaded " + skills.length + " skill(s): " + skills.map(function(s) { return s.id + ' (kw: "' + s.reason + '")'; }).join(", "));
@@ -454,7 +689,7 @@ function writeObservability(skills, mcps, rules) {
     summaryParts.push("[SM] Loaded " + rules.length + " rule(s):");
     for (var ii = 0; ii < rules.length; ii++) {
       var inst = rules[ii];
-      var line = '  [RULE] ' + inst.id + ' (kw: "' + inst.reason + '")';
+      var line = '  [RULE] ' + inst.id + ' (kw: "' + inst.reason + '", score: ' + inst.score + (inst.shortened ? ', shortened' : '') + (inst.warn ? ', reminder' : '') + ')';
       if (inst.action) {
         line += '\n    ACTION: ' + inst.action;
       }
@@ -462,6 +697,13 @@ function writeObservability(skills, mcps, rules) {
     }
   }
 
+  if (warnings && warnings.length > 0) {
+    summaryParts.push("[SM] Rule errors (reported once per session): " + warnings.join("; "));
+  }
+  if (dropped && dropped.length > 0) {
+    summaryParts.push("[SM] Dropped " + dropped.length + " rule(s) over context budget: " + dropped.map(function(d) { return d.id + ' (priority ' + d.priority + ', score ' + d.score + ', ' + d.size + ' ' + d.unit + ')'; }).join(", "));
+  }
+
   // Write status-line-cache
   try {
     var cacheDir = path.dirname(STATUS_CACHE);
@@ -474,6 +716,7 @@ function writeObservability(skills, mcps, rules) {
         mcps: mcps.map(function(m) { return m.name; }),
         rules: rules.map(function(i) { return i.id; })
       },
+      dropped_rules: (dropped || []).map(function(d) { return d.id; }),
       total: skills.length + mcps.length + rules.length
     };
     fs.writeFileSync(STATUS_CACHE, JSON.stringify(cacheData, null, 2));
@@ -515,6 +758,8 @@ async function main() {
 
   const prompt = (hookData.prompt || '').toLowerCase();
   if (!prompt) process.exit(0);
+  // Project-local rules resolve against the session's working directory
+  const cwd = hookData.cwd || process.cwd();
 
   // Skip processing for background task notifications
   if (isBackgroundNotification(prompt)) {
@@ -533,18 +778,18 @@ async function main() {
 
   const mcp = moduleMcp(prompt);
 
-  const ruleLoader = moduleRuleLoader(prompt);
+  const ruleLoader = moduleRuleLoader(prompt, hookData.session_id, cwd);
   if (ruleLoader) outputs.push(ruleLoader);
 
-  const configDelta = moduleConfigCheck();
+  const configDelta = moduleConfigCheck(cwd);
   if (configDelta) outputs.push(configDelta);
   if (mcp) outputs.push(mcp);
 
   // Write pending suggestions for enforcement hooks
-  writePendingSuggestions(lastMatchedSkills, lastMatchedMcps, lastMatchedRules, prompt);
+  writePendingSuggestions(lastMatchedSkills, lastMatchedMcps, lastMatchedRules, prompt, hookData.session_id, cwd);
 
   // Observability: TUI + log + status-line-cache
-  var obsSummary = writeObservability(lastMatchedSkills, lastMatchedMcps, lastMatchedRules);
+  var obsSummary = writeObservability(lastMatchedSkills, lastMatchedMcps, lastMatchedRules, lastDroppedRules, lastRuleWarnings);
   if (obsSummary) outputs.unshift(obsSummary);
 
   if (outputs.length > 0) {
@@ -554,4 +799,19 @@ async function main() {
   process.exit(0);
 }
 
-main().catch(() => process.exit(0));
+if (require.main === module) main().catch(() => process.exit(0));
+
+// Matching internals for the rule example runner and other tools
+module.exports = {
+  LOADER_DEFAULTS: LOADER_DEFAULTS,
+  loadLoaderConfig: loadLoaderConfig,
+  budgetOf: budgetOf,
+  scoreRules: scoreRules,
+  rankRules: rankRules,
+  loadPromptRules: loadPromptRules,
+  packRules: packRules,
+  matchItem: matchItem,
+  loadSkillRegistry: loadSkillRegistry,
+  findServersYaml: findServersYaml,
+  parseServersYaml: parseServersYaml
+};
@@ -0,0 +1,72 @@
+/**
+ * Structured Stop rule checks: state on disk instead of response wording
+ * Usage:
+ *   var stopChecks = require('./stop-checks');
+ *   stopChecks.run('pending_todos', { session_id: hookData.session_id })
+ *     -> null when satisfied, else { detail: '2 unfinished todo(s)', reason: '...list...' }
+ *
+ * Frontmatter (Stop rules):
+ *   check: pending_todos   the session's todo list (~/.claude/todos/<session>-agent-*.json,
+ *                          the file statusline.js reads) still has pending or in_progress items
+ */
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+
+var OPEN_STATUSES = ['in_progress', 'pending'];
+
+// The main agent's list (<sid>-agent-<sid>.json), else the most recently written one
+function todoFile(todosDir, sessionId) {
+  var files;
+  try {
+    files = fs.readdirSync(todosDir).filter(function(f) {
+      return f.indexOf(sessionId) === 0 && f.indexOf('-agent-') !== -1 && f.endsWith('.json');
+    });
+  } catch (e) {
+    return null;
+  }
+  var main = sessionId + '-agent-' + sessionId + '.json';
+  if (files.indexOf(main) !== -1) return path.join(todosDir, main);
+  var newest = files.map(function(f) {
+    return { file: path.join(todosDir, f), mtime: fs.statSync(path.join(todosDir, f)).mtimeMs };
+  }).sort(function(a, b) { return b.mtime - a.mtime; })[0];
+  return newest ? newest.file : null;
+}
+
+var CHECKS = {
+  pending_todos: function(ctx) {
+    if (!ctx.session_id) return null;
+    var file = todoFile(path.join(ctx.home || os.homedir(), '.claude', 'todos'), ctx.session_id);
+    if (!file) return null;
+    var todos;
+    try { todos = JSON.parse(fs.readFileSync(file, 'utf-8')); } catch (e) { return null; }
+    if (!Array.isArray(todos)) return null;
+    var open = todos.filter(function(t) { return t && OPEN_STATUSES.indexOf(t.status) !== -1; })
+      .sort(function(a, b) { return OPEN_STATUSES.indexOf(a.status) - OPEN_STATUSES.indexOf(b.status); });
+    if (open.length === 0) return null;
+    return {
+      detail: open.length + ' unfinished todo(s)',
+      reason: 'Unfinished todos:\n' + open.map(function(t) {
+        return '- [' + t.status + '] ' + (t.content || t.activeForm || '(untitled)');
+      }).join('\n')
+    };
+  }
+};
+
+/**
+ * Run a named check
+ * @param {string} name - frontmatter check: value
+ * @param {object} ctx - { session_id, home }
+ * @returns {{ detail: string, reason: string }|null} null when nothing is outstanding
+ * @throws {Error} on an unknown check name
+ */
+function run(name, ctx) {
+  var check = CHECKS[String(name).trim()];
+  if (!check) throw new Error('unknown check "' + name + '"');
+  return check(ctx || {});
+}
+
+module.exports = {
+  CHECKS: Object.keys(CHECKS),
+  run: run
+};
@@ -0,0 +1,156 @@
+/**
+ * Pending skill/MCP suggestions, scoped to the prompt (turn) that made them
+ * Usage:
+ *   var suggestionState = require('./suggestion-state');
+ *   var state = suggestionState.read(home, sessionId);      // null when none
+ *   suggestionState.active(state, sessionId)                // -> false once the turn ended
+ *   suggestionState.unfulfilled(state)                      // -> [{ type, id, reason }]
+ *   suggestionState.endTurn(state, 'TURN_END')              // logs the outcome, marks the turn ended
+ *
+ * State, one file per session (so concurrent sessions never close each other's turns):
+ *   ~/.claude/super-manager/state/pending-suggestions/<session_id>.json
+ *   (state/super-manager-pending-suggestions.json when the hook input has no session_id)
+ *   { timestamp, session_id, prompt_snippet, suggestions: { skills, mcps, rules },
+ *     fulfilled: [ids], dismissed: [ids], carried: [ids], escalation, tool_calls, ended_at }
+ *
+ * Lifecycle (outcomes go to logs/super-manager-enforcement.log):
+ *   sm-userpromptsubmit  a new prompt closes the previous turn (TURN_CLOSED reason=replaced)
+ *                        unless the whole prompt is a continuation phrase ("continue",
+ *                        "yes do it", ...), which carries the unfulfilled suggestions into
+ *                        the new turn (TURN_CARRIED) with a fresh tool_calls count
+ *   sm-stop              ends the turn when it allows the stop (TURN_END); ended turns
+ *                        are no longer enforced
+ */
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+
+// Prompts that continue the previous task rather than start a new one: nothing
+// but continuation phrases ("ok, go ahead", "yes do it please")
+var FOLLOW_UP_PHRASE = '(?:yes|yeah|yep|ok|okay|sure|please|go ahead|go on|continue|proceed|keep going|carry on|do it|do that|try again|retry)';
+var FOLLOW_UP_RE = new RegExp('^' + FOLLOW_UP_PHRASE + '(?:[\\s,]+' + FOLLOW_UP_PHRASE + ')*[\\s.!]*$', 'i');
+
+// Session files untouched this long are removed on the next write
+var STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function stateFile(home, sessionId) {
+  var dir = path.join(home || os.homedir(), '.claude', 'super-manager', 'state');
+  if (!sessionId) return path.join(dir, 'super-manager-pending-suggestions.json');
+  return path.join(dir, 'pending-suggestions', String(sessionId).replace(/[^\w.-]/g, '_') + '.json');
+}
+
+function enforceLog(home) {
+  return path.join(home || os.homedir(), '.claude', 'super-manager', 'logs', 'super-manager-enforcement.log');
+}
+
+function read(home, sessionId) {
+  try {
+    var state = JSON.parse(fs.readFileSync(stateFile(home, sessionId), 'utf-8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Written to the file of state.session_id
+function write(state, home) {
+  var file = stateFile(home, state.session_id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+  if (state.session_id) pruneStale(path.dirname(file));
+}
+
+function remove(home, sessionId) {
+  try { fs.unlinkSync(stateFile(home, sessionId)); } catch (e) {}
+}
+
+function pruneStale(dir) {
+  try {
+    var cutoff = Date.now() - STALE_MS;
+    fs.readdirSync(dir).forEach(function(name) {
+      var file = path.join(dir, name);
+      try { if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file); } catch (e) {}
+    });
+  } catch (e) {}
+}
+
+// Still enforced: not ended, and made in this session (when both sides know it)
+function active(state, sessionId) {
+  if (!state || state.ended_at) return false;
+  return !state.session_id || !sessionId || state.session_id === sessionId;
+}
+
+function suggested(state) {
+  var s = (state && state.suggestions) || {};
+  return (s.skills || []).map(function(x) { return { type: 'Skill', id: x.id, reason: x.reason }; })
+    .concat((s.mcps || []).map(function(x) { return { type: 'MCP', id: x.name, reason: x.reason }; }));
+}
+
+// Suggestions neither used nor dismissed yet
+function unfulfilled(state) {
+  var done = ((state && state.fulfilled) || []).concat((state && state.dismissed) || []);
+  return suggested(state).filter(function(u) { return done.indexOf(u.id) === -1; });
+}
+
+/**
+ * What happened to a turn's suggestions
+ * @returns {{ fulfilled: string[], ignored: string[], dismissed: string[] }}
+ */
+function outcome(state) {
+  var fulfilled = (state && state.fulfilled) || [];
+  var dismissed = (state && state.dismissed) || [];
+  var result = { fulfilled: [], ignored: [], dismissed: [] };
+  suggested(state).forEach(function(u) {
+    if (fulfilled.indexOf(u.id) !== -1) result.fulfilled.push(u.id);
+    else if (dismissed.indexOf(u.id) !== -1) result.dismissed.push(u.id);
+    else result.ignored.push(u.id);
+  });
+  return result;
+}
+
+function isFollowUp(prompt) {
+  return FOLLOW_UP_RE.test(String(prompt || '').trim());
+}
+
+function logEvent(entry, home) {
+  try {
+    var file = enforceLog(home);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, new Date().toISOString() + ' ' + entry + '\n');
+  } catch (e) {}
+}
+
+/**
+ * Record a turn's outcome once and mark it ended
+ * @param {object} state
+ * @param {string} event - TURN_END (stop allowed) or TURN_CLOSED (next prompt arrived first)
+ * @param {string} [reason] - why a TURN_CLOSED happened (replaced, follow-up)
+ * @param {string} [home]
+ * @returns {object|null} outcome(), or null when the turn had already ended
+ */
+function endTurn(state, event, reason, home) {
+  if (!state || state.ended_at) return null;
+  var result = outcome(state);
+  logEvent(event + ' session=' + (state.session_id || '-') +
+    ' fulfilled=' + (result.fulfilled.join(',') || '-') +
+    ' ignored=' + (result.ignored.join(',') || '-') +
+    ' dismissed=' + (result.dismissed.join(',') || '-') +
+    ' calls=' + (state.tool_calls || 0) +
+    (reason ? ' reason=' + reason : '') +
+    ' prompt="' + String(state.prompt_snippet || '').replace(/["\r\n]+/g, ' ').slice(0, 60) + '"', home);
+  state.ended_at = new Date().toISOString();
+  return result;
+}
+
+module.exports = {
+  stateFile: stateFile,
+  read: read,
+  write: write,
+  remove: remove,
+  active: active,
+  unfulfilled: unfulfilled,
+  outcome: outcome,
+  isFollowUp: isFollowUp,
+  logEvent: logEvent,
+  endTurn: endTurn
+};
@@ -2,15 +2,16 @@
 /**
  * @hook skill-usage-tracker
  * @event PostToolUse
- * @matcher Skill|Task
- * @description Logs every Skill/Task invocation to skill-usage.jsonl for analytics
+ * @matcher Skill|Task|mcp__.*
+ * @description Logs every Skill/Task invocation to skill-usage.jsonl for analytics and marks
+ *   suggestions fulfilled (MCP suggestions by mcpm `server` or mcp__<server>__* calls)
  */
 const fs = require('fs');
 const path = require('path');
+const suggestionState = require('./suggestion-state');
 
 const HOME = process.env.HOME || process.env.USERPROFILE;
 const LOG_FILE = path.join(HOME, '.claude', 'hooks', 'hooks.log');
-const STATE_FILE = path.join(HOME, '.claude', 'super-manager', 'state', 'super-manager-pending-suggestions.json');
 const ENFORCE_LOG = path.join(HOME, '.claude', 'super-manager', 'logs', 'super-manager-enforcement.log');
 const SKILL_USAGE_LOG = path.join(HOME, '.claude', 'super-manager', 'logs', 'skill-usage.jsonl');
 
@@ -29,13 +30,19 @@ async function main() {
   const toolName = hookData.tool_name || '';
   const toolInput = hookData.tool_input || {};
 
-  // Identify what was invoked
+  // Identify what was invoked: a skill (Skill/Task) or an MCP server
   let invokedId = null;
+  let isMcp = false;
   if (toolName === 'Skill') {
     invokedId = toolInput.skill || null;
   } else if (toolName === 'Task') {
-    // MCP tools come through Task tool
     invokedId = toolInput.name || toolInput.subagent_type || null;
+  } else if (toolName === 'mcp__mcp-manager__mcpm') {
+    invokedId = toolInput.server || null;
+    isMcp = true;
+  } else if (toolName.startsWith('mcp__')) {
+    invokedId = (/^mcp__(.+?)__/.exec(toolName) || [])[1] || null;
+    isMcp = true;
   }
 
   if (!invokedId) {
@@ -43,53 +50,45 @@ async function main() {
     process.exit(0);
   }
 
-  // Read pending suggestions
-  let state;
-  try {
-    if (!fs.existsSync(STATE_FILE)) { process.exit(0); }
-    state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
-  } catch { process.exit(0); }
+  // Pending suggestions of this session's current turn
+  const state = suggestionState.read(HOME, hookData.session_id);
+  if (!suggestionState.active(state, hookData.session_id)) process.exit(0);
 
   // Mark as fulfilled
   const fulfilled = new Set(state.fulfilled || []);
   let matched = false;
 
-  // Check skills
-  for (const s of (state.suggestions?.skills || [])) {
-    if (s.id === invokedId || invokedId.includes(s.id)) {
-      fulfilled.add(s.id);
+  // Exact ids only ("plugin:wiki-api" counts as wiki-api)
+  const bareId = invokedId.split(':').pop();
+  const ids = isMcp
+    ? (state.suggestions?.mcps || []).map(m => m.name)
+    : (state.suggestions?.skills || []).map(s => s.id);
+  for (const id of ids) {
+    if (id === invokedId || id === bareId) {
+      fulfilled.add(id);
       matched = true;
     }
   }
 
-  // Check MCPs
-  for (const m of (state.suggestions?.mcps || [])) {
-    if (m.name === invokedId || invokedId.includes(m.name)) {
-      fulfilled.add(m.name);
-      matched = true;
-    }
+  // Always log skill/task usage to JSONL for analytics (MCP calls are not skill usage)
+  if (!isMcp) {
+    const usageEntry = {
+      timestamp: new Date().toISOString(),
+      tool: toolName,
+      skill: invokedId,
+      prompt_snippet: (state.prompt_snippet || '').slice(0, 100),
+      had_suggestion: matched
+    };
+    try {
+      const logDir = path.dirname(SKILL_USAGE_LOG);
+      if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
+      fs.appendFileSync(SKILL_USAGE_LOG, JSON.stringify(usageEntry) + '\n');
+    } catch {}
   }
 
-  // Always log skill/task usage to JSONL for analytics
-  const ts = new Date().toISOString();
-  const usageEntry = {
-    timestamp: ts,
-    tool: toolName,
-    skill: invokedId,
-    prompt_snippet: (state.prompt_snippet || '').slice(0, 100),
-    had_suggestion: matched
-  };
-  try {
-    const logDir = path.dirname(SKILL_USAGE_LOG);
-    if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
-    fs.appendFileSync(SKILL_USAGE_LOG, JSON.stringify(usageEntry) + '\n');
-  } catch {}
-
   if (matched) {
     state.fulfilled = Array.from(fulfilled);
-    try {
-      fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-    } catch {}
+    try { suggestionState.write(state, HOME); } catch {}
     log('INFO', 'fulfilled: ' + invokedId);
   } else {
     log('DEBUG', 'invoked ' + invokedId + ' (no matching suggestion)');
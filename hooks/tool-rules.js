@@ -0,0 +1,256 @@
+/**
+ * Tool-triggered rules, injected once per session like prompt rules:
+ *   ~/.claude/rules/PreToolUse/*.md   body injected just before a matching tool call (sm-pretooluse)
+ *   ~/.claude/rules/PostToolUse/*.md  body fed back after a call whose output or exit
+ *                                     code matches (sm-posttooluse)
+ * Usage:
+ *   var toolRules = require('./tool-rules');
+ *   toolRules.matchCall(meta, hookData, { home: HOME, cwd: cwd })
+ *     -> null (no match) | { detail: 'tools=Write path=...' } | { error: 'bad command_pattern: ...' }
+ *   toolRules.matchResult(meta, hookData, ctx)   -> same, for PostToolUse rules
+ *   toolRules.bodyOf(meta, HOME)   -> text to inject, or null when body_file is missing
+ *   toolRules.mcpServer(toolName, toolInput)   -> MCP server a call goes to, or ''
+ *   toolRules.outputText(hookData), toolRules.exitCode(hookData, text)   -> what a call returned
+ *   toolRules.failed(hookData, text)   -> did the call report an error
+ *
+ * Frontmatter (every condition given must match; at least one is required):
+ *   tools: [Write, Edit]                   tool names, * wildcard (mcp__github__*)
+ *   path_glob: ~/.claude/rules/**          file_path / notebook_path / path of the call; a list
+ *                                          matches any; globs without / match the file name
+ *   command_pattern: docker\s+(build|run)  regex over the Bash command (case-insensitive)
+ *   mcp_server: blueprint                  mcpm `server` argument, or mcp__<server>__* tools
+ *   body_file: UserPromptSubmit/RULE-GUIDELINES.md
+ *                                          inject another rule file's body instead (relative to
+ *                                          ~/.claude/rules); skipped while that file is edited
+ * PostToolUse rules take the same fields plus (one of these is required):
+ *   output_pattern: EACCES|ModuleNotFoundError   regex over the tool output (case-insensitive)
+ *   exit_code: [1, 127]                    exit codes, or "nonzero"; only when the tool reports one
+ *   error_only: true                       only calls that failed (is_error / isError, success: false,
+ *                                          an error field, nonzero exit code), so ids like PROJ-401
+ *                                          in a good result don't fire
+ */
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+var conditions = require('./rule-conditions');
+var ruleFiles = require('./rule-files');
+
+var TRIGGERS = ['tools', 'path_glob', 'command_pattern', 'mcp_server'];
+var RESULT_TRIGGERS = ['output_pattern', 'exit_code'];
+// Output beyond this is not searched (large file reads, long logs)
+var MAX_OUTPUT_CHARS = 200000;
+
+function asList(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return (Array.isArray(v) ? v : [v]).map(function(x) { return String(x).trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
+}
+
+function wildcard(name) {
+  return new RegExp('^' + name.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*') + '$', 'i');
+}
+
+function expandHome(p, home) {
+  return String(p).replace(/\\/g, '/').replace(/^~(?=\/|$)/, String(home || os.homedir()).replace(/\\/g, '/'));
+}
+
+function callPath(toolInput) {
+  return toolInput.file_path || toolInput.notebook_path || toolInput.path || '';
+}
+
+// Server an MCP call goes to: mcpm's `server` argument, or mcp__<server>__<tool>
+function mcpServer(toolName, toolInput) {
+  if (toolName === 'mcp__mcp-manager__mcpm') return String(toolInput.server || '');
+  var m = /^mcp__(.+?)__/.exec(toolName);
+  return m ? m[1] : '';
+}
+
+function globMatches(globs, filePath, ctx) {
+  if (!filePath) return null;
+  var abs = path.resolve(ctx.cwd || process.cwd(), expandHome(filePath, ctx.home)).replace(/\\/g, '/');
+  var base = path.basename(abs);
+  for (var i = 0; i < globs.length; i++) {
+    var g = expandHome(globs[i], ctx.home);
+    if (conditions.globToRegExp(g).test(g.indexOf('/') === -1 ? base : abs)) return globs[i];
+  }
+  return null;
+}
+
+function bodyFilePath(meta, home) {
+  return meta.body_file ? path.join(home || os.homedir(), '.claude', 'rules', String(meta.body_file).trim()) : null;
+}
+
+// Tool input conditions shared by both events -> detail list, { error } or null
+function matchInput(meta, hookData, ctx) {
+  var toolName = hookData.tool_name || '';
+  var toolInput = hookData.tool_input || {};
+  var detail = [];
+
+  var tools = asList(meta.tools);
+  if (tools.length > 0) {
+    if (!tools.some(function(t) { return wildcard(t).test(toolName); })) return null;
+    detail.push('tool=' + toolName);
+  }
+
+  var globs = asList(meta.path_glob);
+  if (globs.length > 0) {
+    var filePath = callPath(toolInput);
+    var glob = globMatches(globs, filePath, ctx);
+    if (!glob) return null;
+    var own = bodyFilePath(meta, ctx.home);
+    if (own && path.resolve(expandHome(filePath, ctx.home)) === path.resolve(own)) return null;
+    detail.push('path_glob=' + glob);
+  }
+
+  if (meta.command_pattern) {
+    if (toolName !== 'Bash') return null;
+    var re;
+    try { re = new RegExp(meta.command_pattern, 'i'); } catch (e) {
+      return { error: 'bad command_pattern: ' + e.message };
+    }
+    var m = re.exec(toolInput.command || '');
+    if (!m) return null;
+    detail.push('command="' + m[0].slice(0, 40) + '"');
+  }
+
+  var servers = asList(meta.mcp_server);
+  if (servers.length > 0) {
+    var server = mcpServer(toolName, toolInput);
+    if (!server || !servers.some(function(s) { return wildcard(s).test(server); })) return null;
+    detail.push('mcp_server=' + server);
+  }
+
+  return detail;
+}
+
+function hasAny(meta, keys) {
+  return keys.some(function(k) { return asList(meta[k]).length > 0; });
+}
+
+/**
+ * Does a tool call trigger this rule?
+ * @param {object} meta - rule frontmatter from rule-files.resolveRules('PreToolUse')
+ * @param {object} hookData - { tool_name, tool_input }
+ * @param {object} [ctx] - { home, cwd }
+ * @returns {{ detail: string }|{ error: string }|null}
+ */
+function matchCall(meta, hookData, ctx) {
+  if (!hasAny(meta, TRIGGERS)) return { error: 'no trigger (' + TRIGGERS.join(', ') + ')' };
+  var detail = matchInput(meta, hookData, ctx || {});
+  if (!detail || detail.error) return detail;
+  return { detail: detail.join(' ') };
+}
+
+/**
+ * Tool output as text: tool_response (or the older tool_output) flattened --
+ * Bash stdout/stderr, MCP content[].text, error messages
+ */
+function outputText(hookData) {
+  var r = hookData.tool_response !== undefined ? hookData.tool_response : hookData.tool_output;
+  if (r === undefined || r === null) return '';
+  if (typeof r === 'string') return r.slice(0, MAX_OUTPUT_CHARS);
+  if (Array.isArray(r)) r = { content: r };
+  var parts = [];
+  ['stdout', 'stderr', 'error', 'message', 'result', 'output'].forEach(function(k) {
+    if (typeof r[k] === 'string') parts.push(r[k]);
+  });
+  if (Array.isArray(r.content)) {
+    r.content.forEach(function(c) { parts.push(typeof c === 'string' ? c : (c && c.text) || ''); });
+  } else if (typeof r.content === 'string') {
+    parts.push(r.content);
+  }
+  var text = parts.length > 0 ? parts.join('\n') : JSON.stringify(r);
+  return text.slice(0, MAX_OUTPUT_CHARS);
+}
+
+// Exit code when the tool reports one (structured field, else "Exit code N" in the output)
+function exitCode(hookData, text) {
+  var r = hookData.tool_response;
+  if (r && typeof r === 'object') {
+    var keys = ['exit_code', 'exitCode', 'returnCode', 'code'];
+    for (var i = 0; i < keys.length; i++) {
+      if (typeof r[keys[i]] === 'number') return r[keys[i]];
+    }
+  }
+  var m = /\bexit(?:ed with)? code:?\s*(-?\d+)/i.exec(text || '');
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// Did the call fail? MCP results flag it (is_error / isError), other tools give an error or exit code
+function failed(hookData, text) {
+  if (hookData.error) return true;
+  var r = hookData.tool_response !== undefined ? hookData.tool_response : hookData.tool_output;
+  if (r && typeof r === 'object' && !Array.isArray(r)) {
+    if (r.is_error === true || r.isError === true || r.success === false) return true;
+    if (typeof r.error === 'string' && r.error) return true;
+  }
+  var code = exitCode(hookData, text);
+  return code !== null && code !== 0;
+}
+
+/**
+ * Does a finished tool call trigger this PostToolUse rule?
+ * @param {object} meta - rule frontmatter from rule-files.resolveRules('PostToolUse')
+ * @param {object} hookData - { tool_name, tool_input, tool_response }
+ * @param {object} [ctx] - { home, cwd }
+ * @returns {{ detail: string }|{ error: string }|null}
+ */
+function matchResult(meta, hookData, ctx) {
+  if (!hasAny(meta, RESULT_TRIGGERS)) return { error: 'no trigger (' + RESULT_TRIGGERS.join(', ') + ')' };
+  var detail = matchInput(meta, hookData, ctx || {});
+  if (!detail || detail.error) return detail;
+  var text = outputText(hookData);
+
+  if (String(meta.error_only) === 'true') {
+    if (!failed(hookData, text)) return null;
+    detail.push('error');
+  }
+
+  if (meta.output_pattern) {
+    var re;
+    try { re = new RegExp(meta.output_pattern, 'i'); } catch (e) {
+      return { error: 'bad output_pattern: ' + e.message };
+    }
+    var m = re.exec(text);
+    if (!m) return null;
+    detail.push('output="' + m[0].slice(0, 40) + '"');
+  }
+
+  var codes = asList(meta.exit_code);
+  if (codes.length > 0) {
+    var code = exitCode(hookData, text);
+    if (code === null) return null;
+    var hit = codes.some(function(c) { return c.toLowerCase() === 'nonzero' ? code !== 0 : parseInt(c, 10) === code; });
+    if (!hit) return null;
+    detail.push('exit_code=' + code);
+  }
+
+  return { detail: detail.join(' ') };
+}
+
+/**
+ * Text to inject: the rule's own body, or the body of body_file
+ * @returns {string|null}
+ */
+function bodyOf(meta, home) {
+  var file = bodyFilePath(meta, home);
+  if (!file) return meta.body || null;
+  try {
+    var content = fs.readFileSync(file, 'utf-8');
+    var parsed = ruleFiles.parseFrontmatter(content);
+    return parsed ? parsed.body : content.trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  TRIGGERS: TRIGGERS,
+  RESULT_TRIGGERS: RESULT_TRIGGERS,
+  matchCall: matchCall,
+  matchResult: matchResult,
+  outputText: outputText,
+  exitCode: exitCode,
+  failed: failed,
+  mcpServer: mcpServer,
+  bodyOf: bodyOf
+};
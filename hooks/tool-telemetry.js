@@ -0,0 +1,214 @@
+/**
+ * Tool-call telemetry: one JSONL entry per tool call, with its outcome and
+ * wall-clock duration (PreToolUse start paired with PostToolUse by tool_use_id)
+ * Usage:
+ *   var telemetry = require('./tool-telemetry');
+ *   telemetry.start(hookData)                  // sm-pretooluse, every tool
+ *   telemetry.blocked(hookData, 'config-guard') // sm-pretooluse denied the call
+ *   telemetry.finish(hookData)                 // sm-posttooluse, every tool
+ *   telemetry.readEntries({ since: ms })       // -> [entry], oldest first (sm-telemetry.js)
+ *
+ * Log: ~/.claude/super-manager/logs/tool-calls.jsonl (previous file kept as tool-calls.1.jsonl)
+ *   { ts, session_id, tool_use_id, tool, input, ok, error, duration_ms, cwd }
+ *   input is a short summary (command, file path, URL, mcp server/tool) with
+ *   credentials, tokens and URL query strings replaced by ***, as are values the
+ *   secret guard recognizes (known token formats, high-entropy strings).
+ *   duration_ms is null when the PreToolUse start was not seen.
+ */
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+var toolRules = require('./tool-rules');
+var secretGuard = require('./secret-guard');
+var enforcementPolicy = require('./enforcement-policy');
+
+var MAX_INPUT_CHARS = 200;
+var MAX_ERROR_CHARS = 200;
+var MAX_LOG_BYTES = 5 * 1024 * 1024;
+// Starts never finished (denied by Claude Code, interrupted) are dropped after this
+var STALE_START_MS = 60 * 60 * 1000;
+// Built-in secret_guard thresholds; logs are masked without the policy's allow lists
+var MASK_GUARD = {
+  min_entropy: enforcementPolicy.DEFAULT_POLICY.secret_guard.min_entropy,
+  min_length: enforcementPolicy.DEFAULT_POLICY.secret_guard.min_length
+};
+
+function logFile(home) {
+  return path.join(home || os.homedir(), '.claude', 'super-manager', 'logs', 'tool-calls.jsonl');
+}
+
+function startsDir(home) {
+  return path.join(home || os.homedir(), '.claude', 'super-manager', 'state', 'tool-call-starts');
+}
+
+function startFile(toolUseId, home) {
+  return path.join(startsDir(home), String(toolUseId).replace(/[^\w.-]/g, '_') + '.json');
+}
+
+var SECRET_PATTERNS = [
+  // user:password@ in URLs
+  [/(\/\/[^\/\s:@]+:)[^\/\s@]+@/g, '$1***@'],
+  // query strings carry tokens and signatures
+  [/(https?:\/\/[^\s?#"']+)\?[^\s"']*/gi, '$1?***'],
+  [/(\b(?:authorization|x-api-key|cookie)["']?\s*[:=]\s*["']?(?:bearer\s+|basic\s+|token\s+)?)[^\s"',}]+/gi, '$1***'],
+  [/(\bbearer\s+)[\w.~+\/-]+=*/gi, '$1***'],
+  [/(\b[\w-]*(?:password|passwd|pwd|secret|token|api[_-]?key|apikey|credential)[\w-]*["']?\s*[:=]\s*["']?)[^\s"'&,}]+/gi, '$1***'],
+  // curl -u user:password
+  [/(\s-u\s+["']?[^\s:"']+:)[^\s"']+/g, '$1***'],
+  // well-known token prefixes (GitHub, Slack, OpenAI-style, AWS access keys)
+  [/\b(ghp_|gho_|ghs_|github_pat_|xox[abprs]-|sk-|AKIA)[\w-]{8,}/g, '$1***']
+];
+
+function redact(text) {
+  var out = String(text || '');
+  SECRET_PATTERNS.forEach(function(p) { out = out.replace(p[0], p[1]); });
+  return secretGuard.mask(out, MASK_GUARD);
+}
+
+/**
+ * Short, redacted description of what a call did
+ * @returns {string}
+ */
+function summarize(toolName, toolInput) {
+  var input = toolInput || {};
+  var text;
+  if (toolName === 'Bash') text = input.command || '';
+  else if (input.file_path || input.notebook_path) text = input.file_path || input.notebook_path;
+  else if (toolName === 'Glob' || toolName === 'Grep') text = (input.pattern || '') + (input.path ? ' in ' + input.path : '');
+  else if (toolName === 'WebFetch') text = input.url || '';
+  else if (toolName === 'WebSearch') text = input.query || '';
+  else if (toolName === 'Skill') text = input.skill || '';
+  else if (toolName === 'Task') text = (input.subagent_type || '') + (input.description ? ': ' + input.description : '');
+  else if (toolName === 'mcp__mcp-manager__mcpm') text = [input.operation, input.server, input.tool].filter(Boolean).join(' ');
+  else text = JSON.stringify(input);
+  text = redact(String(text).replace(/\s+/g, ' ').trim());
+  return text.length > MAX_INPUT_CHARS ? text.slice(0, MAX_INPUT_CHARS) + '...' : text;
+}
+
+// Why the call failed, or null when it succeeded
+function failure(hookData) {
+  if (hookData.error) return String(hookData.error);
+  var r = hookData.tool_response;
+  if (r && typeof r === 'object' && !Array.isArray(r)) {
+    if (r.interrupted) return 'interrupted';
+    if (r.is_error || r.isError || r.success === false) return toolRules.outputText(hookData).split('\n')[0] || 'error';
+    if (typeof r.error === 'string' && r.error) return r.error;
+  }
+  var code = toolRules.exitCode(hookData, toolRules.outputText(hookData));
+  return code !== null && code !== 0 ? 'exit code ' + code : null;
+}
+
+function append(entry, home) {
+  var file = logFile(home);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      if (fs.statSync(file).size > MAX_LOG_BYTES) fs.renameSync(file, file.replace(/\.jsonl$/, '.1.jsonl'));
+    } catch (e) {}
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  } catch (e) {}
+}
+
+function entryFor(hookData, ok, error, durationMs) {
+  return {
+    ts: new Date().toISOString(),
+    session_id: hookData.session_id || null,
+    tool_use_id: hookData.tool_use_id || null,
+    tool: hookData.tool_name || '',
+    input: summarize(hookData.tool_name || '', hookData.tool_input),
+    ok: ok,
+    error: error ? redact(error).slice(0, MAX_ERROR_CHARS) : null,
+    duration_ms: durationMs,
+    cwd: hookData.cwd || null
+  };
+}
+
+// Start time of a call, removed once read; null when unknown
+function takeStart(hookData, home) {
+  if (!hookData.tool_use_id) return null;
+  var file = startFile(hookData.tool_use_id, home);
+  try {
+    var started = JSON.parse(fs.readFileSync(file, 'utf-8')).started;
+    fs.unlinkSync(file);
+    return typeof started === 'number' ? started : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function pruneStarts(home) {
+  var dir = startsDir(home);
+  var cutoff = Date.now() - STALE_START_MS;
+  try {
+    fs.readdirSync(dir).forEach(function(f) {
+      var file = path.join(dir, f);
+      try { if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file); } catch (e) {}
+    });
+  } catch (e) {}
+}
+
+/**
+ * Remember when a call started (PreToolUse)
+ */
+function start(hookData, home) {
+  if (!hookData.tool_use_id) return;
+  try {
+    fs.mkdirSync(startsDir(home), { recursive: true });
+    fs.writeFileSync(startFile(hookData.tool_use_id, home), JSON.stringify({ started: Date.now() }));
+  } catch (e) {}
+}
+
+/**
+ * Record a call PreToolUse denied (it never runs, so PostToolUse never sees it)
+ * @param {string} by - module that blocked it (config-guard, enforcement-gate)
+ */
+function blocked(hookData, by, home) {
+  var started = takeStart(hookData, home);
+  append(entryFor(hookData, false, 'blocked by ' + by, started === null ? null : Date.now() - started), home);
+}
+
+/**
+ * Record a finished call (PostToolUse)
+ * @returns {object} the logged entry
+ */
+function finish(hookData, home) {
+  var started = takeStart(hookData, home);
+  var error = failure(hookData);
+  var entry = entryFor(hookData, !error, error, started === null ? null : Date.now() - started);
+  append(entry, home);
+  pruneStarts(home);
+  return entry;
+}
+
+/**
+ * Logged calls, oldest first
+ * @param {object} [opts] - { since: epoch ms, home }
+ * @returns {object[]}
+ */
+function readEntries(opts) {
+  opts = opts || {};
+  var file = logFile(opts.home);
+  var entries = [];
+  [file.replace(/\.jsonl$/, '.1.jsonl'), file].forEach(function(f) {
+    var content;
+    try { content = fs.readFileSync(f, 'utf-8'); } catch (e) { return; }
+    content.split('\n').forEach(function(line) {
+      if (!line.trim()) return;
+      try {
+        var entry = JSON.parse(line);
+        if (!opts.since || Date.parse(entry.ts) >= opts.since) entries.push(entry);
+      } catch (e) {}
+    });
+  });
+  return entries;
+}
+
+module.exports = {
+  logFile: logFile,
+  redact: redact,
+  summarize: summarize,
+  start: start,
+  blocked: blocked,
+  finish: finish,
+  readEntries: readEntries
+};
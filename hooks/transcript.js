@@ -0,0 +1,153 @@
+/**
+ * Read tool-call evidence from a Claude Code transcript (JSONL at transcript_path)
+ * Usage:
+ *   var transcript = require('./transcript');
+ *   var turn = transcript.readCurrentTurn(hookData.transcript_path);
+ *   transcript.findEvidence(['bash: npm test|pytest', 'read_after_edit'], turn)
+ *     -> 'bash "npm test" succeeded' or null
+ *
+ * The current turn starts at the last real user prompt (not a tool result, not
+ * a meta message); subagent (sidechain) lines are ignored. Only the tail of
+ * large transcripts is read.
+ *
+ * Evidence specs (satisfied_by: in Stop rule frontmatter, any one is enough):
+ *   bash: <regex>              a Bash call whose command matches, and did not error
+ *   tool: <regex>              any tool call whose name matches, and did not error
+ *   read_after_edit[: <regex>] a file Read after it was edited (Edit/Write/MultiEdit/NotebookEdit)
+ */
+var fs = require('fs');
+
+var TAIL_BYTES = 4 * 1024 * 1024;
+var EDIT_TOOLS = ['Edit', 'Write', 'MultiEdit', 'NotebookEdit'];
+
+function readTail(file) {
+  var fd = fs.openSync(file, 'r');
+  try {
+    var size = fs.fstatSync(fd).size;
+    var start = Math.max(0, size - TAIL_BYTES);
+    var buf = Buffer.alloc(size - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+    var text = buf.toString('utf-8');
+    // Drop the partial first line when starting mid-file
+    if (start > 0) text = text.slice(text.indexOf('\n') + 1);
+    return text;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function isPrompt(entry) {
+  if (entry.type !== 'user' || entry.isMeta || !entry.message) return false;
+  var content = entry.message.content;
+  if (typeof content === 'string') return true;
+  return Array.isArray(content) && content.some(function(c) { return c && c.type === 'text'; }) &&
+    !content.some(function(c) { return c && c.type === 'tool_result'; });
+}
+
+/**
+ * Tool calls of the current turn, in order
+ * @param {string} transcriptPath
+ * @returns {{ calls: Array<{ id, name, input, ok, output }> }|null} null when unreadable
+ */
+function readCurrentTurn(transcriptPath) {
+  if (!transcriptPath) return null;
+  var lines;
+  try { lines = readTail(transcriptPath).split('\n'); } catch (e) { return null; }
+
+  var entries = [];
+  for (var i = 0; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    try {
+      var e = JSON.parse(lines[i]);
+      if (e && !e.isSidechain) entries.push(e);
+    } catch (err) {}
+  }
+  var start = 0;
+  for (var j = entries.length - 1; j >= 0; j--) {
+    if (isPrompt(entries[j])) { start = j + 1; break; }
+  }
+
+  var calls = [];
+  var byId = {};
+  for (var k = start; k < entries.length; k++) {
+    var content = entries[k].message && entries[k].message.content;
+    if (!Array.isArray(content)) continue;
+    content.forEach(function(c) {
+      if (!c) return;
+      if (c.type === 'tool_use') {
+        var call = { id: c.id, name: c.name, input: c.input || {}, ok: null, output: '' };
+        byId[c.id] = call;
+        calls.push(call);
+      } else if (c.type === 'tool_result' && byId[c.tool_use_id]) {
+        var out = c.content;
+        if (Array.isArray(out)) out = out.map(function(x) { return x && x.text ? x.text : ''; }).join('\n');
+        byId[c.tool_use_id].ok = !c.is_error;
+        byId[c.tool_use_id].output = String(out || '');
+      }
+    });
+  }
+  return { calls: calls };
+}
+
+function parseSpec(spec) {
+  var s = String(spec).trim();
+  if (s.length > 1 && /^["'].*["']$/.test(s)) s = s.slice(1, -1);
+  var col = s.indexOf(':');
+  if (col === -1) return { type: s.trim(), arg: '' };
+  return { type: s.substring(0, col).trim(), arg: s.substring(col + 1).trim() };
+}
+
+function filePathOf(call) {
+  return call.input.file_path || call.input.notebook_path || call.input.path || '';
+}
+
+var CHECKS = {
+  bash: function(arg, calls) {
+    var re = new RegExp(arg || '.', 'i');
+    var c = calls.find(function(x) { return x.name === 'Bash' && x.ok === true && re.test(x.input.command || ''); });
+    return c ? 'bash "' + String(c.input.command).slice(0, 60) + '" succeeded' : null;
+  },
+  tool: function(arg, calls) {
+    var re = new RegExp('^(?:' + (arg || '.*') + ')$');
+    var c = calls.find(function(x) { return x.ok === true && re.test(x.name); });
+    return c ? 'tool ' + c.name + ' succeeded' : null;
+  },
+  read_after_edit: function(arg, calls) {
+    var re = arg ? new RegExp(arg, 'i') : null;
+    var edited = {};
+    for (var i = 0; i < calls.length; i++) {
+      var p = filePathOf(calls[i]);
+      if (!p || (re && !re.test(p))) continue;
+      if (EDIT_TOOLS.indexOf(calls[i].name) !== -1 && calls[i].ok !== false) edited[p] = true;
+      else if (calls[i].name === 'Read' && edited[p] && calls[i].ok === true) return 'read ' + p + ' after editing it';
+    }
+    return null;
+  }
+};
+
+/**
+ * Check evidence specs against a turn
+ * @param {string|string[]} specs - satisfied_by: value(s)
+ * @param {object} turn - from readCurrentTurn()
+ * @returns {string|null} description of the first evidence found
+ * @throws {Error} on an unknown spec type or invalid regex
+ */
+function findEvidence(specs, turn) {
+  if (!turn) return null;
+  var list = Array.isArray(specs) ? specs : [specs];
+  for (var i = 0; i < list.length; i++) {
+    var spec = parseSpec(list[i]);
+    if (!spec.type) continue;
+    var check = CHECKS[spec.type];
+    if (!check) throw new Error('unknown satisfied_by type "' + spec.type + '"');
+    var found = check(spec.arg, turn.calls);
+    if (found) return found;
+  }
+  return null;
+}
+
+module.exports = {
+  EVIDENCE_TYPES: Object.keys(CHECKS),
+  readCurrentTurn: readCurrentTurn,
+  findEvidence: findEvidence
+};
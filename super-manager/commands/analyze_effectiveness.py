@@ -356,9 +356,12 @@ def analyze_skill_mcp_matcher(log_path=None):
 def analyze_enforcement(log_path=None):
     log_path = log_path or os.path.join(LOGS_DIR, "super-manager-enforcement.log")
     stats = {
-        "total": 0, "blocked": 0, "soft_warned": 0, "fulfilled": 0,
+        "total": 0, "blocked": 0, "soft_warned": 0, "reminded": 0, "dismissed": 0, "fulfilled": 0,
         "per_skill": defaultdict(lambda: {"suggested": 0, "fulfilled": 0}),
         "per_tool_blocked": defaultdict(int),
+        # Per-turn outcomes (TURN_END / TURN_CLOSED lines, see hooks/suggestion-state.js)
+        "turns": 0, "turns_ignored": 0,
+        "per_skill_turns": defaultdict(lambda: {"fulfilled": 0, "ignored": 0, "dismissed": 0}),
     }
     if not os.path.isfile(log_path):
         stats["error"] = f"Log not found: {log_path}"
@@ -371,6 +374,17 @@ def analyze_enforcement(log_path=None):
                 continue
             stats["total"] += 1
 
+            if " TURN_END " in line or " TURN_CLOSED " in line:
+                stats["turns"] += 1
+                for outcome in ("fulfilled", "ignored", "dismissed"):
+                    m = re.search(r'\b' + outcome + r'=(\S+)', line)
+                    ids = [s for s in m.group(1).split(",") if s and s != "-"] if m else []
+                    for s in ids:
+                        stats["per_skill_turns"][s][outcome] += 1
+                    if outcome == "ignored" and ids:
+                        stats["turns_ignored"] += 1
+                continue
+
             if "BLOCKED" in line and "SOFT" not in line:
                 stats["blocked"] += 1
                 tool_m = re.search(r'tool=(\S+)', line)
@@ -381,6 +395,10 @@ def analyze_enforcement(log_path=None):
                 tool_m = re.search(r'tool=(\S+)', line)
                 if tool_m:
                     stats["per_tool_blocked"][tool_m.group(1)] += 1
+            elif "REMINDED" in line:
+                stats["reminded"] += 1
+            elif "DISMISSED" in line:
+                stats["dismissed"] += 1
             elif "FULFILLED" in line:
                 stats["fulfilled"] += 1
 
@@ -392,9 +410,9 @@ def analyze_enforcement(log_path=None):
                     if s:
                         stats["per_skill"][s]["suggested"] += 1
             # Count per-skill fulfillments from FULFILLED lines
-            # Format: FULFILLED skill=hook-manager prompt="..."
+            # Format: FULFILLED skill=hook-manager prompt="..." (or mcp=wiki-lite)
             if "FULFILLED" in line:
-                skill_m = re.search(r'skill=(\S+)', line)
+                skill_m = re.search(r'(?:skill|mcp)=(\S+)', line)
                 if skill_m:
                     stats["per_skill"][skill_m.group(1)]["fulfilled"] += 1
     return stats
@@ -710,7 +728,8 @@ def _format_markdown(session_path, messages, hook_results, stop_stats,
         L.append(f"_{enforcement['error']}_")
     else:
         L.append(f"Total: {enforcement['total']} (blocked: {enforcement['blocked']}, "
-                 f"soft-warned: {enforcement['soft_warned']}, fulfilled: {enforcement['fulfilled']})")
+                 f"soft-warned: {enforcement['soft_warned']}, reminded: {enforcement.get('reminded', 0)}, "
+                 f"dismissed: {enforcement.get('dismissed', 0)}, fulfilled: {enforcement['fulfilled']})")
         L.append("")
         if enforcement.get("per_tool_blocked"):
             L.append("### Warnings by Tool")
@@ -731,6 +750,16 @@ def _format_markdown(session_path, messages, hook_results, stop_stats,
                 sug, ful = data["suggested"], data["fulfilled"]
                 rate = f"{ful/sug*100:.0f}%" if sug > 0 else "-"
                 L.append(f"| {skill} | {sug} | {ful} | {rate} |")
+            L.append("")
+        if enforcement.get("turns"):
+            L.append(f"### Per-Turn Outcomes ({enforcement['turns']} turns, "
+                     f"{enforcement['turns_ignored']} with ignored suggestions)")
+            L.append("")
+            L.append("| Suggestion | Fulfilled | Ignored | Dismissed |")
+            L.append("| --- | ---: | ---: | ---: |")
+            items = sorted(enforcement["per_skill_turns"].items(), key=lambda x: -x[1]["ignored"])
+            for skill, data in items[:30 if verbose else 15]:
+                L.append(f"| {skill} | {data['fulfilled']} | {data['ignored']} | {data['dismissed']} |")
     L.append("")
 
     # -- Skill Usage --
@@ -0,0 +1,386 @@
+"""
+mine_recipes.py - Mine reusable Blueprint recipes from the browser action log.
+
+sm-posttooluse.js (blueprint-action-logger) appends every blueprint call made
+through mcpm to hooks/data/v1-action-log.jsonl with the page (#/app/... hash)
+it ended on. This command:
+
+  1. Segments the log into sessions (session_id, split on idle gaps)
+  2. Splits each session into runs of actions on the same page
+  3. Finds action sequences that recur on a page across sessions
+  4. Writes each as a recipe file: ordered mcpm calls, with {{placeholders}}
+     for values that differed between occurrences
+  5. With --rule, writes a PostToolUse rule per page that points Claude at
+     the page's recipes when a blueprint call lands on that page again
+
+Files it wrote carry `generated_by: recipe-miner` and are rewritten on the next
+run; files without it (hand-edited) are left alone.
+
+Usage: python super_manager.py recipes mine [--min-support 2] [--since 30] [--rule] [--dry-run]
+       python super_manager.py recipes list
+"""
+import sys
+import os
+import re
+import json
+import hashlib
+import datetime
+from collections import defaultdict
+
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), ".."))
+
+from shared.configuration_paths import BLUEPRINT_ACTION_LOG, RECIPES_DIR, RULES_BASE
+from shared.config_file_handler import read_frontmatter, write_frontmatter
+from shared.logger import create_logger
+
+log = create_logger("mine-recipes")
+
+GENERATED_BY = "recipe-miner"
+SESSION_GAP_MINUTES = 30
+MIN_STEPS = 2
+MAX_STEPS = 8
+MAX_RECIPES_PER_PAGE = 3
+# Steps that only look at the page; a recipe needs at least one other step
+OBSERVE_TOOLS = {"browser_snapshot", "browser_take_screenshot"}
+
+LITERAL_RE = re.compile(r"'(?:[^'\\\n]|\\.)*'|\"(?:[^\"\\\n]|\\.)*\"|\b\d+(?:\.\d+)?\b")
+
+
+# ===================================================================
+# Loading and segmentation
+# ===================================================================
+
+def _parse_ts(value):
+    try:
+        return datetime.datetime.fromisoformat(str(value).replace("Z", "+00:00"))
+    except ValueError:
+        return None
+
+
+def load_actions(log_path=None, since_days=None):
+    """Blueprint actions from the log, oldest first. Unparseable lines are skipped."""
+    log_path = log_path or BLUEPRINT_ACTION_LOG
+    cutoff = None
+    if since_days:
+        cutoff = datetime.datetime.now(datetime.timezone.utc) - datetime.timedelta(days=since_days)
+    actions = []
+    try:
+        with open(log_path, "r", encoding="utf-8") as f:
+            for line in f:
+                try:
+                    entry = json.loads(line)
+                except ValueError:
+                    continue
+                ts = _parse_ts(entry.get("timestamp"))
+                if ts is None or not entry.get("tool"):
+                    continue
+                if ts.tzinfo is None:
+                    ts = ts.replace(tzinfo=datetime.timezone.utc)
+                if cutoff and ts < cutoff:
+                    continue
+                entry["_ts"] = ts
+                actions.append(entry)
+    except FileNotFoundError:
+        return []
+    actions.sort(key=lambda a: a["_ts"])
+    return actions
+
+
+def segment_sessions(actions, gap_minutes=SESSION_GAP_MINUTES):
+    """Group actions by session_id (older entries have none), then split on idle gaps."""
+    by_session = defaultdict(list)
+    for a in actions:
+        by_session[a.get("session_id") or ""].append(a)
+    gap = datetime.timedelta(minutes=gap_minutes)
+    sessions = []
+    for items in by_session.values():
+        current = []
+        for a in items:
+            if current and a["_ts"] - current[-1]["_ts"] > gap:
+                sessions.append(current)
+                current = []
+            current.append(a)
+        if current:
+            sessions.append(current)
+    return sessions
+
+
+def page_runs(session):
+    """
+    Split a session into (page, actions) runs. An action without a url_hash is
+    on the page of the action before it; actions before the first known page
+    belong to it (they navigated there).
+    """
+    first = next((a.get("url_hash") for a in session if a.get("url_hash")), None)
+    if not first:
+        return []
+    runs = []
+    page = first
+    for a in session:
+        page = a.get("url_hash") or page
+        if runs and runs[-1][0] == page:
+            runs[-1][1].append(a)
+        else:
+            runs.append((page, [a]))
+    return runs
+
+
+# ===================================================================
+# Steps
+# ===================================================================
+
+def _args_from_summary(entry):
+    """Entries logged before args were recorded only have action_summary."""
+    summary = entry.get("action_summary") or ""
+    tool = entry.get("tool")
+    if tool == "browser_evaluate" and summary.startswith("evaluate: "):
+        return {"expression": summary[len("evaluate: "):]}
+    args = {}
+    m = re.match(r"(?:tabs|interact): (\S+)", summary)
+    if m:
+        args["action"] = m.group(1)
+    for key in ("url", "index", "text"):
+        km = re.search(r"\b" + key + r"=(.*?)(?= (?:url|index|text)=|$)", summary)
+        if km:
+            args[key] = km.group(1)
+    return args
+
+
+def _template(expression):
+    """Script with string/number literals cut out -> (template parts, literals)."""
+    parts, literals, pos = [], [], 0
+    for m in LITERAL_RE.finditer(expression):
+        parts.append(expression[pos:m.start()])
+        literals.append(m.group(0))
+        pos = m.end()
+    parts.append(expression[pos:])
+    return parts, literals
+
+
+def step_of(entry):
+    """
+    Normalize one action: `token` is what must be equal for two actions to be
+    the same step; `slots` are the values that may differ between occurrences.
+    """
+    tool = entry.get("tool")
+    args = entry.get("args")
+    if not isinstance(args, dict):
+        args = _args_from_summary(entry)
+    if tool == "browser_evaluate":
+        key = "expression" if "expression" in args else "script"
+        parts, literals = _template(str(args.get(key) or ""))
+        token = tool + ":" + re.sub(r"\s+", " ", "\x00".join(parts)).strip()
+        slots = [("arg%d" % (i + 1), lit) for i, lit in enumerate(literals)]
+        return {"tool": tool, "token": token, "slots": slots, "script_key": key, "parts": parts}
+    keys = sorted(k for k in args if k != "action")
+    token = tool + ":" + str(args.get("action", "")) + ":" + ",".join(keys)
+    slots = [(k, args[k]) for k in keys]
+    return {"tool": tool, "token": token, "slots": slots, "action": args.get("action")}
+
+
+# ===================================================================
+# Mining
+# ===================================================================
+
+def _contains(longer, shorter):
+    n = len(shorter)
+    return any(longer[i:i + n] == shorter for i in range(len(longer) - n + 1))
+
+
+def mine_page(runs, min_support=2):
+    """
+    Recurring step sequences for one page.
+    runs: lists of steps (step_of), one per session visit to the page.
+    Returns [(tokens, occurrences)] where occurrences are the matching step
+    lists, one per supporting run; longest and best supported first.
+    """
+    found = {}
+    for run_idx, steps in enumerate(runs):
+        tokens = [s["token"] for s in steps]
+        for n in range(MIN_STEPS, min(MAX_STEPS, len(tokens)) + 1):
+            for i in range(len(tokens) - n + 1):
+                seq = tuple(tokens[i:i + n])
+                if all(t.split(":", 1)[0] in OBSERVE_TOOLS for t in seq):
+                    continue
+                occ = found.setdefault(seq, {})
+                occ.setdefault(run_idx, steps[i:i + n])
+    candidates = [(seq, list(occ.values())) for seq, occ in found.items() if len(occ) >= min_support]
+    candidates.sort(key=lambda c: (-len(c[0]), -len(c[1])))
+    chosen = []
+    for seq, occurrences in candidates:
+        if any(_contains(c[0], seq) and len(c[1]) >= len(occurrences) for c in chosen):
+            continue
+        chosen.append((seq, occurrences))
+        if len(chosen) >= MAX_RECIPES_PER_PAGE:
+            break
+    return chosen
+
+
+def page_slug(page):
+    return re.sub(r"[^a-z0-9]+", "-", page.lower().replace("#/app/", "")).strip("-") or "app"
+
+
+def build_recipe(page, tokens, occurrences):
+    """Recipe dict: literal values shared by every occurrence, {{name}} placeholders for the rest."""
+    digest = hashlib.sha1("\n".join(tokens).encode("utf-8")).hexdigest()[:6]
+    recipe = {"id": page_slug(page) + "-" + digest, "page": page, "support": len(occurrences), "steps": [], "params": {}}
+    for i, step in enumerate(occurrences[0]):
+        values = {}
+        for slot_idx, (name, value) in enumerate(step["slots"]):
+            seen = [occ[i]["slots"][slot_idx][1] for occ in occurrences]
+            if all(v == seen[0] for v in seen):
+                values[name] = value
+                continue
+            param = name if name not in recipe["params"] else "%s_%d" % (name, i + 1)
+            recipe["params"][param] = sorted({str(v).strip("'\"") for v in seen})[:3]
+            values[name] = "{{%s}}" % param
+        if step["tool"] == "browser_evaluate":
+            script = step["parts"][0]
+            for slot_idx, (name, _) in enumerate(step["slots"]):
+                literal = values[name]
+                if literal.startswith("{{"):
+                    quote = step["slots"][slot_idx][1][0]
+                    literal = quote + literal + quote if quote in "'\"" else literal
+                script += literal + step["parts"][slot_idx + 1]
+            arguments = {step["script_key"]: script}
+        else:
+            arguments = dict(values)
+            if step.get("action") is not None:
+                arguments = dict({"action": step["action"]}, **arguments)
+        recipe["steps"].append({"tool": step["tool"], "arguments": arguments})
+    return recipe
+
+
+# ===================================================================
+# Output
+# ===================================================================
+
+def recipe_markdown(recipe):
+    meta = {
+        "id": recipe["id"],
+        "page": recipe["page"],
+        "support": str(recipe["support"]),
+        "steps": str(len(recipe["steps"])),
+        "params": list(recipe["params"].keys()),
+        "generated_by": GENERATED_BY,
+        "generated": datetime.date.today().isoformat(),
+    }
+    lines = [
+        "# Recipe: " + recipe["page"],
+        "",
+        "Seen in %d sessions. Run the steps in order through mcpm; replace each {{placeholder}}." % recipe["support"],
+        "",
+    ]
+    if recipe["params"]:
+        lines += ["## Parameters", "", "| Placeholder | Seen values |", "|-------------|-------------|"]
+        for name, examples in recipe["params"].items():
+            lines.append("| `{{%s}}` | %s |" % (name, ", ".join("`%s`" % e.replace("|", "\\|")[:60] for e in examples)))
+        lines.append("")
+    lines += ["## Steps", ""]
+    for n, step in enumerate(recipe["steps"], 1):
+        call = {"operation": "call", "server": "blueprint", "tool": step["tool"], "arguments": step["arguments"]}
+        lines += ["%d. `%s`" % (n, step["tool"]), "", "```json", json.dumps(call, indent=2), "```", ""]
+    return meta, "\n".join(lines).rstrip()
+
+
+def rule_markdown(page, recipes, recipes_dir):
+    """PostToolUse rule: fires when a blueprint call's output shows this page."""
+    meta = {
+        "id": "recipe-" + page_slug(page),
+        "name": "Blueprint recipes for " + page,
+        "description": "\"WHY: Recorded action sequences for this page already work -- reuse them instead of rediscovering selectors and scripts.\"",
+        "tools": ["mcp__mcp-manager__mcpm"],
+        "mcp_server": "blueprint",
+        "output_pattern": re.sub(r"([.*+?^${}()|\[\]\\])", r"\\\1", page) + r"(?![\w/-])",
+        "enabled": "true",
+        "generated_by": GENERATED_BY,
+    }
+    lines = ["# Recipes for " + page, "", "Recorded steps that worked on this page before. Read the recipe and follow it, filling in its placeholders:", ""]
+    for r in recipes:
+        first = r["steps"][0]["tool"] if r["steps"] else ""
+        lines.append("- `%s` -- %d steps starting with %s, seen in %d sessions%s" % (
+            os.path.join(recipes_dir, r["id"] + ".md").replace("\\", "/"), len(r["steps"]), first, r["support"],
+            " (params: " + ", ".join(r["params"]) + ")" if r["params"] else ""))
+    return meta, "\n".join(lines)
+
+
+def _write_generated(file_path, meta, body, dry_run):
+    """Write unless a hand-edited file (no generated_by) is in the way -> status string."""
+    existing = read_frontmatter(file_path)
+    if existing is not None and existing.get("generated_by") != GENERATED_BY:
+        return "skipped (hand-edited)"
+    if existing is not None and existing.get("body") == body.strip() and \
+            all(existing.get(k) == v for k, v in meta.items() if k != "generated"):
+        return "unchanged"
+    if dry_run:
+        return "would write"
+    os.makedirs(os.path.dirname(file_path), exist_ok=True)
+    write_frontmatter(file_path, meta, body)
+    return "written"
+
+
+def mine(actions, min_support=2):
+    """Actions -> {page: [recipe]}"""
+    runs_by_page = defaultdict(list)
+    for session in segment_sessions(actions):
+        for page, run in page_runs(session):
+            runs_by_page[page].append([step_of(a) for a in run])
+    recipes = {}
+    for page, runs in sorted(runs_by_page.items()):
+        chosen = mine_page(runs, min_support)
+        if chosen:
+            recipes[page] = [build_recipe(page, list(seq), occ) for seq, occ in chosen]
+    return recipes
+
+
+def run(min_support=2, since_days=None, rule=False, dry_run=False,
+        log_path=None, recipes_dir=None, rules_dir=None):
+    """Mine the action log and write recipe files (and routing rules with rule=True)."""
+    recipes_dir = recipes_dir or RECIPES_DIR
+    rules_dir = rules_dir or RULES_BASE
+    actions = load_actions(log_path, since_days)
+    recipes = mine(actions, min_support)
+
+    print()
+    print("Blueprint Recipe Miner")
+    print("=" * 60)
+    print("  %d actions, %d sessions, %d pages with recipes (min support %d)" % (
+        len(actions), len(segment_sessions(actions)), len(recipes), min_support))
+
+    results = []
+    for page, page_recipes in recipes.items():
+        print()
+        print("  " + page)
+        for r in page_recipes:
+            meta, body = recipe_markdown(r)
+            status = _write_generated(os.path.join(recipes_dir, r["id"] + ".md"), meta, body, dry_run)
+            results.append({"type": "recipe", "id": r["id"], "page": page, "status": status})
+            print("    %-40s %d steps, %d sessions, %d params  [%s]" % (
+                r["id"], len(r["steps"]), r["support"], len(r["params"]), status))
+        if rule:
+            meta, body = rule_markdown(page, page_recipes, recipes_dir)
+            status = _write_generated(os.path.join(rules_dir, "PostToolUse", meta["id"] + ".md"), meta, body, dry_run)
+            results.append({"type": "rule", "id": meta["id"], "page": page, "status": status})
+            print("    %-40s PostToolUse rule  [%s]" % (meta["id"], status))
+    print()
+    log.info("Recipes: %d actions, %d recipes on %d pages%s" % (
+        len(actions), sum(len(v) for v in recipes.values()), len(recipes), " (dry run)" if dry_run else ""))
+    return {"actions": len(actions), "recipes": recipes, "results": results}
+
+
+def list_recipes(recipes_dir=None):
+    """Print recipe files with their page and support."""
+    recipes_dir = recipes_dir or RECIPES_DIR
+    files = sorted(f for f in os.listdir(recipes_dir) if f.endswith(".md")) if os.path.isdir(recipes_dir) else []
+    print()
+    print("Blueprint Recipes (%s)" % recipes_dir)
+    print("=" * 60)
+    if not files:
+        print("  (none) -- run: recipes mine")
+    items = []
+    for f in files:
+        meta = read_frontmatter(os.path.join(recipes_dir, f)) or {}
+        items.append(meta)
+        print("  %-40s %-40s %s steps, %s sessions" % (meta.get("id", f), meta.get("page", "?"), meta.get("steps", "?"), meta.get("support", "?")))
+    print()
+    return items
@@ -3,7 +3,16 @@ credential_manager.py - Manages API tokens and secrets using the OS credential s
 
 Stores credentials in the OS keyring (Windows Credential Manager, macOS Keychain)
 via the Python `keyring` library.  The registry file tracks key *names* only ---
-actual secret values NEVER appear in any file on disk.
+actual secret values NEVER appear in any file on disk.  Entries whose value is
+a long, random-looking token also keep a salted SHA-256 hash of it (value_hash,
+salt in hash_salt) so the secret-leak guard hook (hooks/secret-guard.js) can
+spot the literal value in tool inputs without knowing it.
+
+The hash is unkeyed and its salt sits in the same file, so anyone who can read
+the registry can test guesses offline.  That is why short or low-entropy values
+(passwords, PINs) get no value_hash: the guard cannot recognize them, but the
+registry does not expose them to a brute-force search either.  A keyed hash
+would need the hook to read the OS keyring, which node cannot do portably.
 
 Service namespace: "claude-code"
 Key format: "<service>/<VARIABLE>"
@@ -18,6 +27,9 @@ import platform
 import subprocess
 import getpass
 import datetime
+import hashlib
+import math
+import secrets
 
 sys.path.insert(0, os.path.join(os.path.dirname(__file__), ".."))
 from shared.configuration_paths import (
@@ -56,19 +68,58 @@ def _read_registry():
     return data.get("credentials", [])
 
 
-def _write_registry(credentials_list):
-    """Write the registry file atomically. Stores key names only, never values."""
+def _hash_salt():
+    """Salt for value hashes: the registry's hash_salt, or a new one if it has none."""
+    try:
+        with open(CREDENTIAL_REGISTRY, "r", encoding="utf-8") as f:
+            salt = json.load(f).get("hash_salt")
+    except (FileNotFoundError, json.JSONDecodeError, AttributeError):
+        salt = None
+    return salt or secrets.token_hex(16)
+
+
+# Shortest value that gets a value_hash (secret-guard.js MIN_CREDENTIAL_LENGTH)
+HASH_MIN_LENGTH = 20
+# Shannon bits per character a hashed value needs
+HASH_MIN_ENTROPY = 3.5
+
+
+def _hashable(value):
+    """True for values too random to guess from their hash: long, letters and digits, high entropy."""
+    if len(value) < HASH_MIN_LENGTH or not re.search(r"[A-Za-z]", value) or not re.search(r"[0-9]", value):
+        return False
+    counts = {}
+    for ch in value:
+        counts[ch] = counts.get(ch, 0) + 1
+    bits = -sum(n / len(value) * math.log2(n / len(value)) for n in counts.values())
+    return bits >= HASH_MIN_ENTROPY
+
+
+def _value_hash(value, salt):
+    """Salted SHA-256 of a secret value (hex), or None when the value is not _hashable().
+    Must match secret-guard.js valueHash()."""
+    if not _hashable(value):
+        return None
+    return hashlib.sha256((salt + value).encode("utf-8")).hexdigest()
+
+
+def _write_registry(credentials_list, salt=None):
+    """Write the registry file atomically. Stores key names and value hashes, never values."""
     os.makedirs(CREDENTIALS_DIR, exist_ok=True)
+    entries = []
+    for c in credentials_list:
+        entry = {
+            "key": c["key"],
+            "service": c["service"],
+            "variable": c["variable"],
+            "added": c.get("added", datetime.datetime.utcnow().strftime("%Y-%m-%dT%H:%M:%SZ")),
+        }
+        if c.get("value_hash"):
+            entry["value_hash"] = c["value_hash"]
+        entries.append(entry)
     data = {
-        "credentials": [
-            {
-                "key": c["key"],
-                "service": c["service"],
-                "variable": c["variable"],
-                "added": c.get("added", datetime.datetime.utcnow().strftime("%Y-%m-%dT%H:%M:%SZ")),
-            }
-            for c in credentials_list
-        ],
+        "credentials": entries,
+        "hash_salt": salt or _hash_salt(),
     }
     tmp_path = CREDENTIAL_REGISTRY + ".tmp"
     with open(tmp_path, "w", encoding="utf-8") as f:
@@ -260,18 +311,21 @@ def store_credential(key, value=None, clipboard=False, stdin=False):
 
     # Update registry (add or update entry)
     credentials = _read_registry()
+    salt = _hash_salt()
     existing = _find_registry_entry(key, credentials)
     now = datetime.datetime.utcnow().strftime("%Y-%m-%dT%H:%M:%SZ")
     if existing:
         existing["added"] = now  # update timestamp
+        existing["value_hash"] = _value_hash(value, salt)  # None drops an old hash
     else:
         credentials.append({
             "key": key,
             "service": service,
             "variable": variable,
             "added": now,
+            "value_hash": _value_hash(value, salt),
         })
-    _write_registry(credentials)
+    _write_registry(credentials, salt)
 
     msg = "Stored: {}".format(key)
     log.info("store_credential: {}".format(msg))
@@ -386,6 +440,7 @@ def migrate_env(env_path, service):
     new_lines = []
     credentials = _read_registry()
     now = datetime.datetime.utcnow().strftime("%Y-%m-%dT%H:%M:%SZ")
+    salt = _hash_salt()
 
     for line in lines:
         stripped = line.strip()
@@ -440,12 +495,14 @@ def migrate_env(env_path, service):
         existing = _find_registry_entry(key, credentials)
         if existing:
             existing["added"] = now
+            existing["value_hash"] = _value_hash(var_value, salt)
         else:
             credentials.append({
                 "key": key,
                 "service": service,
                 "variable": var_name,
                 "added": now,
+                "value_hash": _value_hash(var_value, salt),
             })
 
         # Rewrite line with credential reference
@@ -458,7 +515,7 @@ def migrate_env(env_path, service):
         f.writelines(new_lines)
 
     # Write updated registry
-    _write_registry(credentials)
+    _write_registry(credentials, salt)
 
     msg = "Migrated {} secrets from {} ({} skipped)".format(
         len(migrated), os.path.basename(env_path), len(skipped)
@@ -471,7 +528,9 @@ def verify_all():
     """
     Health check for all credentials.
 
-    1. For each credential in registry, verify it can be resolved from keyring.
+    1. For each credential in registry, verify it can be resolved from keyring
+       (and bring its value_hash up to date: added if missing, dropped for values
+       that are no longer hashed -- see _hashable()).
     2. Cross-reference with KNOWN_ENV_FILES to check for plaintext leaks.
 
     Returns:
@@ -484,6 +543,8 @@ def verify_all():
         return {"healthy": [], "issues": [{"item": "keyring", "problem": err, "fix": "pip install keyring"}]}
 
     credentials = _read_registry()
+    salt = _hash_salt()
+    backfilled = 0
     healthy = []
     issues = []
 
@@ -494,6 +555,10 @@ def verify_all():
             val = keyring.get_password(KEYRING_SERVICE, key)
             if val is not None:
                 healthy.append(key)
+                value_hash = _value_hash(val, salt)
+                if cred.get("value_hash") != value_hash:
+                    cred["value_hash"] = value_hash
+                    backfilled += 1
             else:
                 issues.append({
                     "item": key,
@@ -507,6 +572,10 @@ def verify_all():
                 "fix": "Check keyring backend configuration",
             })
 
+    if backfilled:
+        _write_registry(credentials, salt)
+        log.info("verify_all: updated value hashes for {} credentials".format(backfilled))
+
     # 2. Cross-reference with KNOWN_ENV_FILES for plaintext secrets
     for service, env_path in KNOWN_ENV_FILES:
         if not os.path.isfile(env_path):
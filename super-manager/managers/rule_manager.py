@@ -4,6 +4,8 @@ rule_manager.py - Manage rule .md files with YAML frontmatter.
 Rules live in ~/.claude/rules/ organized by hook event:
   ~/.claude/rules/UserPromptSubmit/  # Injected when prompt keywords match
   ~/.claude/rules/Stop/              # Checked against Claude's response
+  ~/.claude/rules/PreToolUse/        # Injected before a matching tool call
+  ~/.claude/rules/PostToolUse/       # Fed back when a tool's output matches
 
 Supports:
   - CRUD: list, add, remove, enable, disable, get, match, verify
@@ -32,7 +34,15 @@ from shared.file_operations import archive_file, ensure_directory
 log = create_logger("rule-manager")
 
 # Hook events that have rule subdirectories
-RULE_EVENTS = ["UserPromptSubmit", "Stop"]
+RULE_EVENTS = ["UserPromptSubmit", "Stop", "PreToolUse", "PostToolUse"]
+
+# Frontmatter that makes a rule fire, per event (verify needs at least one)
+TRIGGER_FIELDS = {
+    "UserPromptSubmit": ["keywords"],
+    "Stop": ["pattern", "keywords", "check"],
+    "PreToolUse": ["tools", "path_glob", "command_pattern", "mcp_server"],
+    "PostToolUse": ["output_pattern", "exit_code"],
+}
 
 # Default repos config
 _DEFAULT_CONFIG = {
@@ -346,13 +356,9 @@ def verify_all():
                 continue
 
             missing = [f for f in base_fields if f not in meta or meta[f] == ""]
-            # Stop rules need 'pattern' OR 'keywords'; UserPromptSubmit needs 'keywords'
-            if event == "Stop":
-                if not meta.get("pattern") and not meta.get("keywords"):
-                    missing.append("pattern")
-            else:
-                if not meta.get("keywords"):
-                    missing.append("keywords")
+            triggers = TRIGGER_FIELDS[event]
+            if not any(meta.get(f) for f in triggers):
+                missing.append(" or ".join(triggers))
             if missing:
                 issues.append({"item": label, "problem": "Missing fields: " + ", ".join(missing)})
                 continue
@@ -67,6 +67,10 @@ SETTINGS_JSON = os.path.join(CLAUDE_DIR, "settings.json")
 # Hook scripts directory (stays in ~/.claude/hooks/ - Claude Code reads from here)
 HOOKS_DIR = os.path.join(CLAUDE_DIR, "hooks")
 
+# Blueprint browser action log (sm-posttooluse) and the recipes mined from it
+BLUEPRINT_ACTION_LOG = os.path.join(HOOKS_DIR, "data", "v1-action-log.jsonl")
+RECIPES_DIR = os.path.join(SUPER_MANAGER_DIR, "recipes")
+
 # Skill directories (Claude Code discovers skills here)
 GLOBAL_SKILLS_DIR = os.path.join(CLAUDE_DIR, "skills")
 
@@ -83,6 +83,22 @@ def cmd_analyze(args):
     sys.exit(code)
 
 
+def cmd_recipes(args):
+    from commands.mine_recipes import run, list_recipes
+    action = args[0] if args else "mine"
+    if action == "list":
+        list_recipes()
+        return
+    if action != "mine":
+        print("Usage: super_manager.py recipes mine|list [--min-support N] [--since DAYS] [--rule] [--dry-run]")
+        sys.exit(1)
+    since = _get_flag(args, "--since")
+    run(min_support=int(_get_flag(args, "--min-support", 2)),
+        since_days=int(since) if since else None,
+        rule="--rule" in args,
+        dry_run="--dry-run" in args)
+
+
 def cmd_discover(args):
     from commands.discover import run
     report = "--report" in args
@@ -335,6 +351,8 @@ def main():
         print("  discover [--report]   Discover and auto-register all items")
         print("  analyze [--session <path>] [--verbose] [--diagram]")
         print("                        Analyze hook/rule effectiveness")
+        print("  recipes mine|list [--min-support N] [--since DAYS] [--rule] [--dry-run]")
+        print("                        Mine Blueprint action log into recipes")
         print("  config <action>       Import/export config from GitHub repos")
         print()
         print("Sub-managers:")
@@ -368,6 +386,8 @@ def main():
         cmd_discover(rest)
     elif command == "analyze":
         cmd_analyze(rest)
+    elif command == "recipes":
+        cmd_recipes(rest)
     elif command == "config":
         cmd_config(rest)
     elif command == "mcp":
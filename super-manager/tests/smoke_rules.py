@@ -18,13 +18,15 @@ sys.path.insert(0, os.path.join(os.path.dirname(__file__), ".."))
 from shared.configuration_paths import RULES_DIR
 
 # Subdirectories to scan for rule files
-RULE_SUBDIRS = ["UserPromptSubmit", "Stop"]
+RULE_SUBDIRS = ["UserPromptSubmit", "Stop", "PreToolUse", "PostToolUse"]
 
 # Required frontmatter fields (all rules need id + enabled)
-# UserPromptSubmit rules use "keywords", Stop rules use "pattern"
+# UserPromptSubmit rules use "keywords", Stop rules use "pattern" or "check",
+# PreToolUse/PostToolUse rules match the tool call or its output (hooks/tool-rules.js)
 REQUIRED_FIELDS_COMMON = ["id", "enabled"]
 # At least one of these trigger fields must be present
-TRIGGER_FIELDS = ["keywords", "pattern"]
+TRIGGER_FIELDS = ["keywords", "pattern", "check", "tools", "path_glob", "command_pattern", "mcp_server",
+                  "output_pattern", "exit_code"]
 
 
 def _parse_frontmatter(file_path):
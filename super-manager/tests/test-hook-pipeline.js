@@ -4,6 +4,8 @@
  */
 var fs = require('fs');
 var path = require('path');
+var os = require('os');
+var crypto = require('crypto');
 var child_process = require('child_process');
 
 var HOME = process.env.HOME || process.env.USERPROFILE;
@@ -11,18 +13,46 @@ var HOOKS_DIR = path.join(HOME, '.claude', 'hooks');
 var OUTPUT_DIR = path.join(HOME, '.claude', 'super-manager', 'reports');
 if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
-function runHook(hookFile, stdinData, timeout) {
+// home: run against a sandbox HOME (policy, registry and state of its own)
+function runHook(hookFile, stdinData, timeout, home) {
   var hookPath = path.join(HOOKS_DIR, hookFile);
   if (!fs.existsSync(hookPath)) return { ok: false, stdout: '', stderr: '', exit: -1, ms: 0 };
   var start = Date.now();
   try {
     var r = child_process.spawnSync('node', [hookPath], {
-      input: JSON.stringify(stdinData), encoding: 'utf-8', timeout: timeout || 10000, env: process.env
+      input: JSON.stringify(stdinData), encoding: 'utf-8', timeout: timeout || 10000,
+      env: home ? Object.assign({}, process.env, { HOME: home, USERPROFILE: home }) : process.env
     });
     return { ok: r.status === 0, exit: r.status, stdout: (r.stdout || '').trim(), stderr: (r.stderr || '').trim(), ms: Date.now() - start };
   } catch (e) { return { ok: false, stdout: '', stderr: '', exit: -1, ms: Date.now() - start }; }
 }
 
+// Throwaway HOME with the given files (relative path -> string or JSON); removed after the run
+var sandboxes = [];
+function sandboxHome(files) {
+  var home = fs.mkdtempSync(path.join(os.tmpdir(), 'sm-pipeline-'));
+  sandboxes.push(home);
+  fs.mkdirSync(path.join(home, '.claude', 'hooks'), { recursive: true });
+  Object.keys(files || {}).forEach(function(rel) {
+    var file = path.join(home, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof files[rel] === 'string' ? files[rel] : JSON.stringify(files[rel], null, 2));
+  });
+  return home;
+}
+var POLICY_FILE = '.claude/super-manager/config/enforcement-policy.json';
+function withPolicy(policy, files) {
+  var out = Object.assign({}, files || {});
+  out[POLICY_FILE] = policy;
+  return out;
+}
+
+// Stop hook stdout: optional "[Stop] ..." line, then the JSON decision (or nothing)
+function stopOutput(r) {
+  var last = (r.stdout || '').split('\n').pop();
+  try { return JSON.parse(last) || {}; } catch (e) { return {}; }
+}
+
 function esc(s) { return (s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
 
 // Count rules and skills
@@ -45,7 +75,7 @@ tests.push({ group: 'SessionStart', name: 'Dashboard written to disk', pass: rep
 // UserPromptSubmit -- wiki
 var ups1 = runHook('sm-userpromptsubmit.js', { prompt: 'read the confluence wiki page about deployment' });
 var ups1rules = (ups1.stdout.match(/\[RULE\] [^\n]+/g) || []).map(function(s) { return s.replace('[RULE] ', ''); });
-var ups1kw = (ups1.stdout.match(/\(kw: "[^"]+"\)/g) || []).map(function(s) { return s.slice(5, -2); });
+var ups1kw = (ups1.stdout.match(/\(kw: "[^"]+"/g) || []).map(function(s) { return s.slice(5, -1); });
 tests.push({ group: 'UserPromptSubmit', name: 'Wiki prompt loads wiki rules', pass: ups1.ok && ups1.stdout.indexOf('wiki') !== -1, ms: ups1.ms,
   prompt: 'read the confluence wiki page about deployment', keywords: ups1kw.length > 0 ? ups1kw.join(', ') : 'confluence, wiki, page',
   action: 'Match keywords, inject wiki-api-routing rule', result: ups1rules.length > 0 ? 'Rules loaded: ' + ups1rules.join(', ') : 'Skills matched with wiki keywords' });
@@ -57,18 +87,18 @@ tests.push({ group: 'UserPromptSubmit', name: 'Unrelated prompt loads nothing',
   prompt: 'what is the weather today', keywords: '(none matched)', action: 'Scan all keywords, skip all rules',
   result: '0 rules loaded. Context stays clean.' });
 
-// UserPromptSubmit -- bash threshold
+// UserPromptSubmit -- bash score
 var ups3 = runHook('sm-userpromptsubmit.js', { prompt: 'write a bash script to deploy' });
 var ups3rules = (ups3.stdout.match(/\[RULE\] [^\n]+/g) || []).map(function(s) { return s.replace('[RULE] ', ''); });
-tests.push({ group: 'UserPromptSubmit', name: 'Two keywords triggers rule (threshold=2)', pass: ups3.ok && ups3.stdout.indexOf('bash') !== -1, ms: ups3.ms,
+tests.push({ group: 'UserPromptSubmit', name: 'Distinctive keywords score above min_score', pass: ups3.ok && ups3.stdout.indexOf('bash') !== -1, ms: ups3.ms,
   prompt: 'write a bash script to deploy', keywords: 'bash + script + write (3 hits)',
-  action: '3 hits >= min_matches:2 -- rule fires', result: ups3rules.length > 0 ? 'Loaded: ' + ups3rules.join(', ') : 'bash-scripting rule loaded' });
+  action: 'score ~7.6 >= min_score 3.0 -- rule fires', result: ups3rules.length > 0 ? 'Loaded: ' + ups3rules.join(', ') : 'bash-scripting rule loaded' });
 
-// UserPromptSubmit -- below threshold
+// UserPromptSubmit -- below min_score
 var ups4 = runHook('sm-userpromptsubmit.js', { prompt: 'write a letter to my boss' });
-tests.push({ group: 'UserPromptSubmit', name: 'One keyword alone does NOT trigger', pass: ups4.ok && ups4.stdout.indexOf('bash-scripting') === -1, ms: ups4.ms,
+tests.push({ group: 'UserPromptSubmit', name: 'One generic keyword alone does NOT trigger', pass: ups4.ok && ups4.stdout.indexOf('bash-scripting') === -1, ms: ups4.ms,
   prompt: 'write a letter to my boss', keywords: 'write (1 hit only)',
-  action: '1 hit < min_matches:2 -- rule skipped', result: 'bash-scripting NOT loaded. No false positive.' });
+  action: 'write is shared by 4 rules (low IDF), score ~1.7 < 3.0 -- rule skipped', result: 'bash-scripting NOT loaded. No false positive.' });
 
 // UserPromptSubmit -- MCP keyword
 var ups5 = runHook('sm-userpromptsubmit.js', { prompt: 'start the mcp server for wiki' });
@@ -82,9 +112,10 @@ var pt1 = runHook('sm-pretooluse.js', { tool_name: 'Bash', tool_input: { command
 tests.push({ group: 'PreToolUse', name: 'Normal command passes through', pass: pt1.exit === 0, ms: pt1.ms,
   prompt: '(Claude chose: Bash "ls -la")', keywords: 'n/a', action: 'Check auth URLs, check rules/ path -- neither applies', result: 'Exit 0. Tool executes normally.' });
 
-var pt2 = runHook('sm-pretooluse.js', { tool_name: 'Write', tool_input: { file_path: path.join(HOME, '.claude', 'rules', 'UserPromptSubmit', 'test.md').replace(/\\/g, '/') } });
+// PreToolUse rules inject once per session -- fresh session id per run
+var pt2 = runHook('sm-pretooluse.js', { session_id: 'pipeline-test-' + Date.now(), tool_name: 'Write', tool_input: { file_path: path.join(HOME, '.claude', 'rules', 'UserPromptSubmit', 'test.md').replace(/\\/g, '/') } });
 tests.push({ group: 'PreToolUse', name: 'Editing rule file injects guidelines', pass: pt2.exit === 0 && pt2.stdout.indexOf('RULE-GUIDELINES') !== -1, ms: pt2.ms,
-  prompt: '(Claude chose: Write to rules/test.md)', keywords: 'path contains ~/.claude/rules/',
+  prompt: '(Claude chose: Write to rules/test.md)', keywords: 'rules/PreToolUse/rule-guidelines-on-edit.md (path_glob: ~/.claude/rules/**)',
   action: 'Inject RULE-GUIDELINES.md content', result: 'Guidelines injected. Claude sees formatting rules before writing.' });
 
 var pt3 = runHook('sm-pretooluse.js', { tool_name: 'Write', tool_input: { file_path: '/tmp/somefile.txt' } });
@@ -97,6 +128,274 @@ tests.push({ group: 'PreToolUse', name: 'Plan files skip enforcement', pass: pt4
   prompt: '(Claude chose: Write to .claude/plans/test.md)', keywords: 'path is meta-file',
   action: 'Skip all checks (deadlock prevention)', result: 'Immediate exit 0. No overhead.' });
 
+// Enforcement policy -- a partial user file keeps the built-in defaults
+var pfHome = sandboxHome(withPolicy({ escalation: { remind_after: 1 } }));
+var pf1 = runHook('sm-pretooluse.js', { session_id: 'pf', tool_name: 'Edit', cwd: pfHome,
+  tool_input: { file_path: path.join(pfHome, '.claude', 'hooks', 'x.js'), old_string: 'a', new_string: 'b' } }, 10000, pfHome);
+tests.push({ group: 'PreToolUse', name: 'Partial user policy keeps built-in defaults', pass: pf1.exit === 2 && pf1.stderr.indexOf('hook-manager') !== -1, ms: pf1.ms,
+  prompt: '(user policy sets only escalation; Claude chose: Edit ~/.claude/hooks/x.js)', keywords: 'protected_paths: hook-files (built-in)',
+  action: 'Layer user file over DEFAULT_POLICY', result: pf1.exit === 2 ? 'Blocked by the built-in hook-files entry' : 'NOT blocked (exit ' + pf1.exit + ')' });
+
+// Enforcement gate -- authenticated URLs requested from Bash HTTP clients
+var urlHome = sandboxHome(withPolicy({ domains: [{ id: 'atlassian', pattern: 'atlassian\\.net', actions: { Bash: 'block' }, use: { skill: 'wiki-api' } }] }));
+var urlCases = [
+  { cmd: 'curl -s https://acme.atlassian.net/rest/api/2/issue/X-1', blocked: true },
+  { cmd: 'wget -q acme.atlassian.net/wiki/spaces', blocked: true },
+  { cmd: 'python -c "import requests; print(requests.get(\'https://acme.atlassian.net/rest\').text)"', blocked: true },
+  { cmd: 'echo see https://acme.atlassian.net/browse/X-1', blocked: false }
+];
+var urlMs = 0;
+var urlWrong = urlCases.filter(function(c) {
+  var r = runHook('sm-pretooluse.js', { session_id: 'url', tool_name: 'Bash', cwd: urlHome, tool_input: { command: c.cmd } }, 10000, urlHome);
+  urlMs += r.ms;
+  return (r.exit === 2 && r.stderr.indexOf('wiki-api') !== -1) !== c.blocked;
+});
+tests.push({ group: 'PreToolUse', name: 'Bash curl/wget/requests to auth URLs blocked', pass: urlWrong.length === 0, ms: urlMs,
+  prompt: '(Claude chose: Bash curl, wget, python requests, echo)', keywords: 'domains: atlassian (Bash: block, use wiki-api)',
+  action: 'Find URLs passed to HTTP clients; echo is not a request', result: urlWrong.length === 0 ? '3 requests blocked, echo passed' : 'Wrong: ' + urlWrong.map(function(c) { return c.cmd; }).join(' | ') });
+
+// Config guard -- protected paths, SM_MANAGER override, manager unlock
+var cgHome = sandboxHome({});
+var cgHook = path.join(cgHome, '.claude', 'hooks', 'x.js');
+var cgCases = [
+  { what: 'Edit hook file', blocked: true, data: { tool_name: 'Edit', tool_input: { file_path: cgHook, old_string: 'a', new_string: 'b' } } },
+  { what: 'cd + relative redirect', blocked: true, data: { tool_name: 'Bash', tool_input: { command: 'cd ~/.claude/hooks && echo hi > notes.txt' } } },
+  { what: 'SM_MANAGER override', blocked: false, data: { tool_name: 'Bash', tool_input: { command: 'SM_MANAGER=hook-manager cp x.js ~/.claude/hooks/x.js' } } },
+  { what: 'servers.yaml outside mcp-manager', blocked: false, data: { tool_name: 'Write', tool_input: { file_path: path.join(cgHome, 'x', 'servers.yaml'), content: 'a: 1' } } },
+  { what: 'mcp-manager servers.yaml', blocked: true, data: { tool_name: 'Write', tool_input: { file_path: path.join(cgHome, 'mcp', 'mcp-manager', 'servers.yaml'), content: 'a: 1' } } }
+];
+var cgMs = 0;
+var cgWrong = cgCases.filter(function(c) {
+  var r = runHook('sm-pretooluse.js', Object.assign({ session_id: 'cg', cwd: cgHome }, c.data), 10000, cgHome);
+  cgMs += r.ms;
+  return (r.exit === 2) !== c.blocked;
+});
+runHook('sm-posttooluse.js', { session_id: 'cg', cwd: cgHome, tool_name: 'Skill', tool_input: { skill: 'hook-manager' }, tool_response: {} }, 10000, cgHome);
+var cgUnlocked = runHook('sm-pretooluse.js', Object.assign({ session_id: 'cg', cwd: cgHome }, cgCases[0].data), 10000, cgHome);
+var cgOther = runHook('sm-pretooluse.js', Object.assign({ session_id: 'cg-other', cwd: cgHome }, cgCases[0].data), 10000, cgHome);
+if (cgUnlocked.exit !== 0) cgWrong.push({ what: 'unlocked session still blocked' });
+if (cgOther.exit !== 2) cgWrong.push({ what: 'unlock leaked to another session' });
+tests.push({ group: 'PreToolUse', name: 'Config guard: block, override, manager unlock', pass: cgWrong.length === 0, ms: cgMs + cgUnlocked.ms + cgOther.ms,
+  prompt: '(Claude chose: Edit/Bash/Write on protected paths, then Skill hook-manager)', keywords: 'protected_paths: hook-files, servers-yaml (built-in)',
+  action: 'Block outside the manager; SM_MANAGER and Skill invocation unlock', result: cgWrong.length === 0 ? '3 blocked, 2 passed, unlocked for the session only' : 'Wrong: ' + cgWrong.map(function(c) { return c.what; }).join(' | ') });
+
+// Escalation -- log, remind, block non-read tools, SM_DISMISS
+var escFiles = {};
+escFiles['.claude/super-manager/state/pending-suggestions/esc.json'] = {
+  timestamp: new Date().toISOString(), session_id: 'esc', prompt_snippet: 'update the wiki page',
+  suggestions: { skills: [{ id: 'wiki-api', reason: 'wiki' }], mcps: [], rules: [] },
+  fulfilled: [], dismissed: [], carried: [], escalation: { remind_after: 1, block_after: 1 }, tool_calls: 0
+};
+var escHome = sandboxHome(escFiles);
+var escCases = [
+  { what: 'call 1 logged', data: { tool_name: 'Bash', tool_input: { command: 'ls' } }, exit: 0, reminder: false },
+  { what: 'call 2 reminded', data: { tool_name: 'Bash', tool_input: { command: 'ls' } }, exit: 0, reminder: true },
+  { what: 'call 3 blocked', data: { tool_name: 'Bash', tool_input: { command: 'ls' } }, exit: 2, reminder: false },
+  { what: 'Read still allowed', data: { tool_name: 'Read', tool_input: { file_path: path.join(escHome, 'a.txt') } }, exit: 0, reminder: true },
+  { what: 'SM_DISMISS=all passes', data: { tool_name: 'Bash', tool_input: { command: 'echo SM_DISMISS=all' } }, exit: 0, reminder: false },
+  { what: 'dismissed, not blocked', data: { tool_name: 'Bash', tool_input: { command: 'ls' } }, exit: 0, reminder: false }
+];
+var escMs = 0;
+var escWrong = escCases.filter(function(c) {
+  var r = runHook('sm-pretooluse.js', Object.assign({ session_id: 'esc', cwd: escHome }, c.data), 10000, escHome);
+  escMs += r.ms;
+  return r.exit !== c.exit || (r.stdout.indexOf('REMINDER:') !== -1) !== c.reminder;
+});
+tests.push({ group: 'PreToolUse', name: 'Escalation: remind, block, SM_DISMISS', pass: escWrong.length === 0, ms: escMs,
+  prompt: '(wiki-api suggested and unused; Claude chose: Bash x3, Read, SM_DISMISS=all, Bash)', keywords: 'escalation: remind_after 1, block_after 1',
+  action: 'Count calls per turn; remind, then block all but Read/Glob/Grep/mcp__*', result: escWrong.length === 0 ? 'Logged, reminded, blocked, Read allowed, dismissed' : 'Wrong: ' + escWrong.map(function(c) { return c.what; }).join(' | ') });
+
+// Turn state -- per-session files, follow-ups carry unused suggestions
+var tsHome = sandboxHome({ '.claude/hooks/skill-registry.json': { skills: [{ id: 'wiki-api', enabled: true, keywords: ['wiki'] }] } });
+var tsDir = path.join(tsHome, '.claude', 'super-manager', 'state', 'pending-suggestions');
+function tsState(session) {
+  try { return JSON.parse(fs.readFileSync(path.join(tsDir, session + '.json'), 'utf-8')); } catch (e) { return null; }
+}
+function tsPending(session) {
+  fs.mkdirSync(tsDir, { recursive: true });
+  fs.writeFileSync(path.join(tsDir, session + '.json'), JSON.stringify({ timestamp: new Date().toISOString(), session_id: session,
+    prompt_snippet: 'update the wiki page', suggestions: { skills: [{ id: 'wiki-api', reason: 'wiki' }], mcps: [], rules: [] },
+    fulfilled: [], dismissed: [], carried: [], tool_calls: 4 }));
+}
+function tsPrompt(session, prompt) {
+  return runHook('sm-userpromptsubmit.js', { session_id: session, cwd: tsHome, prompt: prompt }, 10000, tsHome);
+}
+var tsWrong = [];
+var tsMs = 0;
+tsPending('ts-a');
+tsMs += tsPrompt('ts-b', 'search the wiki for the release notes').ms;
+if (!tsState('ts-b') || !tsState('ts-a') || tsState('ts-a').ended_at) tsWrong.push('other session closed or overwritten');
+tsMs += tsPrompt('ts-a', 'ok, go ahead').ms;
+var tsCarried = tsState('ts-a');
+if (!tsCarried || (tsCarried.carried || []).indexOf('wiki-api') === -1 || tsCarried.tool_calls !== 0) tsWrong.push('follow-up not carried with tool_calls 0');
+['fix it', 'then run the tests'].forEach(function(prompt) {
+  tsPending('ts-a');
+  tsMs += tsPrompt('ts-a', prompt).ms;
+  if (tsState('ts-a')) tsWrong.push('"' + prompt + '" carried');
+});
+tests.push({ group: 'UserPromptSubmit', name: 'Turn state: per-session, follow-ups only', pass: tsWrong.length === 0, ms: tsMs,
+  prompt: '(two sessions; follow-up "ok, go ahead"; new tasks "fix it", "then run the tests")', keywords: 'wiki-api pending',
+  action: 'Key state by session_id; carry only whole-prompt continuation phrases', result: tsWrong.length === 0 ? 'Sessions isolated, follow-up carried, new tasks closed the turn' : 'Wrong: ' + tsWrong.join(' | ') });
+
+// Secret guard -- token formats, entropy, allowed fixtures, registered values
+// (token-like strings are generated so this file holds none)
+function mixedToken(length, step) {
+  var chars = 'abcdefghijkmnopqrstuvwxyz' + 'ABCDEFGHJKLMNPQRSTUVWXYZ' + '23456789';
+  var out = '';
+  for (var i = 0; i < length; i++) out += chars.charAt((i * step + 5) % chars.length);
+  return out;
+}
+var sgRegistered = mixedToken(28, 11);
+var sgFiles = {};
+sgFiles['.claude/super-manager/credentials/credential-registry.json'] = { hash_salt: 'pipeline-salt', credentials: [
+  { key: 'demo/API_TOKEN', service: 'demo', variable: 'API_TOKEN', added: '2026-01-01T00:00:00Z',
+    value_hash: crypto.createHash('sha256').update('pipeline-salt' + sgRegistered, 'utf8').digest('hex') }
+] };
+var sgHome = sandboxHome(sgFiles);
+var sgCases = [
+  { what: 'GitHub token', file: 'src/config.js', content: 'const token = "ghp_' + mixedToken(36, 7) + '";', expect: 'GitHub token' },
+  { what: 'high-entropy string', file: 'src/config.js', content: 'const key = "' + mixedToken(32, 13) + '";', expect: 'high-entropy string' },
+  { what: 'token in fixture', file: 'tests/fixtures/tokens.js', content: 'module.exports = "ghp_' + mixedToken(36, 7) + '";', expect: null },
+  { what: 'registered value in fixture', file: 'tests/fixtures/env.js', content: 'API_TOKEN=' + sgRegistered, expect: 'credential:demo/API_TOKEN' },
+  { what: 'inline data: image', file: 'src/logo.html', content: '<img src="data:image/png;base64,iVBORw0KGgo' + mixedToken(64, 17) + '==">', expect: null },
+  { what: 'normal Write', file: 'src/hello.js', content: 'console.log("hello world");', expect: null }
+];
+var sgMs = 0;
+var sgWrong = sgCases.filter(function(c) {
+  var r = runHook('sm-pretooluse.js', { session_id: 'sg', cwd: sgHome, tool_name: 'Write',
+    tool_input: { file_path: path.join(sgHome, c.file), content: c.content } }, 10000, sgHome);
+  sgMs += r.ms;
+  return c.expect ? r.exit !== 2 || r.stderr.indexOf(c.expect) === -1 : r.exit !== 0;
+});
+tests.push({ group: 'PreToolUse', name: 'Secret guard: formats, entropy, fixtures, registered values', pass: sgWrong.length === 0, ms: sgMs,
+  prompt: '(Claude chose: Write of tokens, a fixture, a data: image, plain code)', keywords: 'secret_guard (built-in), credential-registry value_hash',
+  action: 'Block secrets; fixtures only checked for registered values', result: sgWrong.length === 0 ? '3 blocked, 3 passed' : 'Wrong: ' + sgWrong.map(function(c) { return c.what; }).join(' | ') });
+
+// Rule cache -- once per session, independent sessions, re-inject after compact
+var rcFiles = {
+  '.claude/rules/loader-config.json': { min_score: 0 },
+  '.claude/rules/UserPromptSubmit/zebra-care.md': '---\nid: zebra-care\nkeywords: [zebrafish]\ndescription: zebrafish care\nenabled: true\n---\n\nZEBRA-RULE-BODY feed twice a day.\n'
+};
+var rcHome = sandboxHome(rcFiles);
+function rcPrompt(session, prompt) {
+  var r = runHook('sm-userpromptsubmit.js', { session_id: session, cwd: rcHome, prompt: prompt }, 10000, rcHome);
+  rcMs += r.ms;
+  return r.stdout.indexOf('ZEBRA-RULE-BODY') !== -1;
+}
+function rcSessionStart(session, source) {
+  rcMs += runHook('sm-sessionstart.js', { session_id: session, cwd: rcHome, source: source }, 10000, rcHome).ms;
+}
+var rcMs = 0;
+var rcSteps = [];
+rcSteps.push(['rc-1 first prompt loads', rcPrompt('rc-1', 'how do I feed zebrafish'), true]);
+rcSteps.push(['rc-1 repeat deduped', rcPrompt('rc-1', 'zebrafish food'), false]);
+rcSteps.push(['rc-2 loads on its own', rcPrompt('rc-2', 'zebrafish food'), true]);
+rcSessionStart('rc-1', 'startup');
+rcSteps.push(['rc-1 after startup still deduped', rcPrompt('rc-1', 'zebrafish tank'), false]);
+rcSessionStart('rc-1', 'compact');
+rcSteps.push(['rc-1 after compact loads again', rcPrompt('rc-1', 'zebrafish tank'), true]);
+rcSteps.push(['rc-2 unaffected by rc-1 compact', rcPrompt('rc-2', 'zebrafish tank'), false]);
+
+// Cache file rules: _nosession expires after 2h, sessions after 24h, at most 50 kept
+var ruleCache = require(path.join(HOOKS_DIR, 'rule-cache'));
+var rcNow = Date.now();
+var rcData = { sessions: {
+  _nosession: { loaded: ['a'], ts: rcNow - 3 * 3600 * 1000 },
+  old: { loaded: ['a'], ts: rcNow - 3 * 3600 * 1000 },
+  stale: { loaded: ['a'], ts: rcNow - 25 * 3600 * 1000 }
+} };
+for (var rci = 0; rci < 55; rci++) rcData.sessions['bulk-' + rci] = { loaded: [], ts: rcNow - 60000 + rci };
+rcSteps.push(['_nosession expired after 2h', ruleCache.session(rcData, null).loaded.length === 0, true]);
+rcSteps.push(['session kept after 3h', ruleCache.session(rcData, 'old').loaded.length === 1, true]);
+var rcFile = path.join(sandboxHome({}), '.loaded-cache');
+ruleCache.write(rcFile, rcData);
+var rcKept = Object.keys(ruleCache.read(rcFile).sessions);
+rcSteps.push(['at most 50 sessions kept', rcKept.length === 50, true]);
+rcSteps.push(['stale and oldest evicted first', rcKept.indexOf('stale') === -1 && rcKept.indexOf('bulk-0') === -1 && rcKept.indexOf('old') !== -1, true]);
+var rcWrong = rcSteps.filter(function(s) { return s[1] !== s[2]; });
+tests.push({ group: 'UserPromptSubmit', name: 'Rule cache: per session, re-inject after compact', pass: rcWrong.length === 0, ms: rcMs,
+  prompt: '(sessions rc-1, rc-2 prompt "zebrafish"; rc-1 SessionStart startup, then compact)', keywords: 'zebra-care: zebrafish',
+  action: 'Dedupe per session_id; forget() on compact/resume/clear; prune by age and count', result: rcWrong.length === 0 ? rcSteps.length + ' checks passed' : 'Wrong: ' + rcWrong.map(function(s) { return s[0]; }).join(' | ') });
+
+// Project rules -- override by id, loader-config disable, enabled: false
+function ruleMd(id, extra, body) {
+  return '---\nid: ' + id + '\nkeywords: [zebrafish]\ndescription: ' + id + '\n' + (extra || '') + '---\n\n' + body + '\n';
+}
+var prFiles = {
+  '.claude/rules/loader-config.json': { min_score: 0, top_n: 10 },
+  '.claude/rules/UserPromptSubmit/zebra-care.md': ruleMd('zebra-care', '', 'GLOBAL-ZEBRA-BODY'),
+  '.claude/rules/UserPromptSubmit/zebra-tank.md': ruleMd('zebra-tank', '', 'GLOBAL-TANK-BODY'),
+  '.claude/rules/UserPromptSubmit/zebra-off.md': ruleMd('zebra-off', 'enabled: false\n', 'GLOBAL-OFF-BODY'),
+  '.claude/rules/Stop/zebra-stop.md': ruleMd('zebra-stop', '', 'GLOBAL-STOP-BODY'),
+  'proj/.claude/rules/UserPromptSubmit/zebra-care.md': ruleMd('zebra-care', '', 'PROJECT-ZEBRA-BODY'),
+  'proj/.claude/rules/Stop/zebra-stop.md': ruleMd('zebra-stop', '', 'PROJECT-STOP-BODY'),
+  'proj/.claude/rules/loader-config.json': { disable: ['zebra-tank'] },
+  'other/README.md': 'no project rules'
+};
+var prHome = sandboxHome(prFiles);
+var prIn = runHook('sm-userpromptsubmit.js', { session_id: 'pr-1', cwd: path.join(prHome, 'proj'), prompt: 'zebrafish questions' }, 10000, prHome);
+var prOut = runHook('sm-userpromptsubmit.js', { session_id: 'pr-2', cwd: path.join(prHome, 'other'), prompt: 'zebrafish questions' }, 10000, prHome);
+var ruleFiles = require(path.join(HOOKS_DIR, 'rule-files'));
+var prStop = ruleFiles.resolveRules('Stop', { cwd: path.join(prHome, 'proj'), home: prHome });
+var prUps = ruleFiles.resolveRules('UserPromptSubmit', { cwd: path.join(prHome, 'proj'), home: prHome });
+function prHas(r, body) { return r.stdout.indexOf(body) !== -1; }
+var prChecks = [
+  ['project body replaces global', prHas(prIn, 'PROJECT-ZEBRA-BODY') && !prHas(prIn, 'GLOBAL-ZEBRA-BODY')],
+  ['project disable drops zebra-tank', !prHas(prIn, 'GLOBAL-TANK-BODY')],
+  ['enabled: false never loads', !prHas(prIn, 'GLOBAL-OFF-BODY') && !prHas(prOut, 'GLOBAL-OFF-BODY')],
+  ['outside the project: global rules', prHas(prOut, 'GLOBAL-ZEBRA-BODY') && prHas(prOut, 'GLOBAL-TANK-BODY')],
+  ['Stop rule overridden', prStop.rules.length === 1 && prStop.rules[0].body === 'PROJECT-STOP-BODY' && prStop.overridden.length === 1],
+  ['disabled reasons reported', prUps.disabled.map(function(d) { return d.id + ':' + d.reason; }).sort().join(',') ===
+    'zebra-off:enabled: false,zebra-tank:disabled by project loader-config.json']
+];
+var prWrong = prChecks.filter(function(c) { return !c[1]; });
+tests.push({ group: 'UserPromptSubmit', name: 'Project rules: override by id, disable, enabled: false', pass: prWrong.length === 0, ms: prIn.ms + prOut.ms,
+  prompt: '"zebrafish questions" in proj/ (with .claude/rules) and other/', keywords: 'zebra-care (global + project), zebra-tank, zebra-off',
+  action: 'resolveRules: project wins on id, then enabled/disable filters', result: prWrong.length === 0 ? prChecks.length + ' checks passed' : 'Wrong: ' + prWrong.map(function(c) { return c[0]; }).join(' | ') });
+
+// when: conditions -- dormant vs active per project, nested multi-line lists
+var wcHome = sandboxHome({
+  'node-app/package.json': '{}',
+  'node-app/.git/HEAD': 'ref: refs/heads/feature/login\n',
+  'node-app/src/.keep': '',
+  'go-app/go.mod': 'module x\n',
+  'go-app/.git/HEAD': 'ref: refs/heads/main\n'
+});
+var conditions = require(path.join(HOOKS_DIR, 'rule-conditions'));
+var wcRules = [
+  '---\nid: node-files\nwhen:\n  files: [package.json]\n---\nx',
+  '---\nid: node-files-nested\nwhen:\n  files:\n    - Cargo.toml\n    - package.json\n---\nx',
+  '---\nid: feature-branch\nwhen:\n  branch: ^(feature|fix)/\n---\nx',
+  '---\nid: in-node-app\nwhen:\n  cwd: "**/node-app/**"\n---\nx',
+  '---\nid: on-windows\nwhen:\n  platform: [windows]\n---\nx',
+  '---\nid: ci-only\nwhen:\n  env:\n    - CI\n---\nx',
+  '---\nid: node-and-ci\nwhen:\n  files: [package.json]\n  env: ["!CI"]\n---\nx',
+  '---\nid: bad-regex\nwhen:\n  branch: "("\n---\nx',
+  '---\nid: unknown-key\nwhen:\n  weather: sunny\n---\nx',
+  '---\nid: always\n---\nx'
+].map(ruleFiles.parseFrontmatter);
+function wcActive(dir, platform, env) {
+  var ctx = conditions.context(path.join(wcHome, dir));
+  ctx.platform = platform;
+  ctx.env = env;
+  return conditions.partition(wcRules, ctx).active.map(function(r) { return r.id; }).join(',');
+}
+var wcChecks = [
+  ['nested list parsed', JSON.stringify(wcRules[1].when) === '{"files":["Cargo.toml","package.json"]}'],
+  ['node-app/src, linux, CI', wcActive('node-app/src', 'linux', { CI: '1' }) === 'node-files,node-files-nested,feature-branch,in-node-app,ci-only,always'],
+  ['go-app, win32, no CI', wcActive('go-app', 'win32', {}) === 'on-windows,always'],
+  ['node-app, linux, no CI', wcActive('node-app', 'linux', {}) === 'node-files,node-files-nested,feature-branch,node-and-ci,always']
+];
+var wcDormant = conditions.partition(wcRules, conditions.context(path.join(wcHome, 'go-app'))).dormant;
+var wcReasons = {};
+wcDormant.forEach(function(d) { wcReasons[d.rule.id] = d.reason; });
+wcChecks.push(['dormant reasons', wcReasons['node-files'] === 'files: package.json' && /^branch: /.test(wcReasons['bad-regex'] || '') &&
+  wcReasons['unknown-key'] === 'unknown condition "weather"' && !wcReasons.always]);
+var wcWrong = wcChecks.filter(function(c) { return !c[1]; });
+tests.push({ group: 'UserPromptSubmit', name: 'when: conditions keep rules dormant outside matching projects', pass: wcWrong.length === 0, ms: 0,
+  prompt: '(node-app on feature/login vs go-app on main; platform and env varied)', keywords: 'when: files, branch, cwd, platform, env',
+  action: 'partition() into active and dormant; bad regex and unknown keys fail closed', result: wcWrong.length === 0 ? wcChecks.length + ' checks passed' : 'Wrong: ' + wcWrong.map(function(c) { return c[0]; }).join(' | ') });
+
 // PostToolUse
 var po1 = runHook('sm-posttooluse.js', { tool_name: 'Skill', tool_input: { skill: 'wiki-api' } });
 var jsonlPath = path.join(HOME, '.claude', 'super-manager', 'logs', 'skill-usage.jsonl');
@@ -111,6 +410,158 @@ tests.push({ group: 'PostToolUse', name: 'Non-skill tools skipped', pass: po2.ex
   prompt: '(Claude used: Bash "ls")', keywords: 'n/a',
   action: 'Not a Skill/Task -- exit early', result: 'No logging. No overhead for regular tools.' });
 
+// PostToolUse output rules -- fed back after a call whose output or exit code matches
+var orHome = sandboxHome({
+  '.claude/rules/PostToolUse/mcp-auth-failure.md': fs.readFileSync(path.join(HOME, '.claude', 'rules', 'PostToolUse', 'mcp-auth-failure.md'), 'utf-8'),
+  '.claude/rules/PostToolUse/cmd-missing.md': '---\nid: cmd-missing\ntools: [Bash]\nexit_code: [127]\n---\nCMD-MISSING-BODY',
+  '.claude/rules/PostToolUse/no-display.md': '---\nid: no-display\noutput_pattern: cannot open display\nbody_file: UserPromptSubmit/zebra-gui.md\n---\nunused',
+  '.claude/rules/PostToolUse/gone-body.md': '---\nid: gone-body\noutput_pattern: GONE-TRIGGER\nbody_file: UserPromptSubmit/missing.md\n---\nunused',
+  '.claude/rules/UserPromptSubmit/zebra-gui.md': '---\nid: zebra-gui\nkeywords: [zebra]\n---\nZEBRA-GUI-BODY'
+});
+var OR_CACHE = path.join(orHome, '.claude', 'rules', '.loaded-cache');
+function orCall(sid, tool, response) {
+  var r = runHook('sm-posttooluse.js', { session_id: sid, cwd: orHome, tool_name: tool, tool_input: {}, tool_response: response }, 10000, orHome);
+  r.out = stopOutput(r);
+  return r;
+}
+function orText(text, isError) { return { isError: !!isError, content: [{ type: 'text', text: text }] }; }
+var orGood = orCall('or-1', 'mcp__jira__get_issue', orText('{"key":"PROJ-401","summary":"Login page"}'));
+var orCacheAfterGood = fs.existsSync(OR_CACHE);
+var orAuth = orCall('or-1', 'mcp__jira__get_issue', orText('HTTP 401 Unauthorized', true));
+var orAuthAgain = orCall('or-1', 'mcp__jira__get_issue', orText('HTTP 401 Unauthorized', true));
+var orAuthOther = orCall('or-2', 'mcp__jira__get_issue', orText('{"status": 403, "error": "forbidden"}', true));
+var orExit = orCall('or-1', 'Bash', { stdout: '', stderr: 'zebractl: command not found', exit_code: 127 });
+var orExit1 = orCall('or-3', 'Bash', { stdout: '', stderr: 'zebractl: command not found', exit_code: 1 });
+var orBodyFile = orCall('or-1', 'Bash', { stdout: 'Error: cannot open display :0', exit_code: 0 });
+var orGone = orCall('or-1', 'Bash', { stdout: 'GONE-TRIGGER', exit_code: 0 });
+var orCacheData = ruleCache.read(OR_CACHE);
+function orHas(r, s) { return typeof r.out.reason === 'string' && r.out.reason.indexOf(s) !== -1; }
+var orChecks = [
+  ['PROJ-401 in a good result: nothing', orGood.stdout === ''],
+  ['no cache write without an injection', !orCacheAfterGood],
+  ['401 failure: decision block with the rule', orAuth.out.decision === 'block' && orHas(orAuth, '--- RULE: mcp-auth-failure (') &&
+    orHas(orAuth, 'output="HTTP 401"') && orHas(orAuth, 'credential-manager') && orHas(orAuth, '--- END RULE ---')],
+  ['same session: fed back once', orAuthAgain.stdout === ''],
+  ['new session: fed back again', orHas(orAuthOther, 'mcp-auth-failure')],
+  ['exit_code 127 matches', orHas(orExit, 'CMD-MISSING-BODY') && orHas(orExit, 'exit_code=127')],
+  ['exit_code 1 does not', orExit1.stdout === ''],
+  ['body_file injects the other rule', orHas(orBodyFile, 'ZEBRA-GUI-BODY') && !orHas(orBodyFile, 'unused')],
+  ['missing body_file: nothing', orGone.stdout === ''],
+  ['cache per session', JSON.stringify(ruleCache.session(orCacheData, 'or-1').loaded.sort()) ===
+    '["PostToolUse:cmd-missing","PostToolUse:mcp-auth-failure","PostToolUse:no-display"]']
+];
+var orWrong = orChecks.filter(function(c) { return !c[1]; });
+tests.push({ group: 'PostToolUse', name: 'Output rules: output_pattern, exit_code, body_file, once per session', pass: orWrong.length === 0,
+  ms: orGood.ms + orAuth.ms + orAuthAgain.ms + orAuthOther.ms + orExit.ms + orExit1.ms + orBodyFile.ms + orGone.ms,
+  prompt: '(Jira MCP returns PROJ-401, then HTTP 401; Bash exits 127; X display error)', keywords: 'mcp-auth-failure, cmd-missing, no-display, gone-body',
+  action: 'matchResult() per rule; {decision: block} feeds the body back to Claude', result: orWrong.length === 0 ? orChecks.length + ' checks passed' : 'Wrong: ' + orWrong.map(function(c) { return c[0]; }).join(' | ') });
+
+// Suggestion fulfillment -- exact ids, MCP servers only by MCP calls (both PostToolUse trackers)
+var ffHome = sandboxHome({});
+var FF_STATE = path.join(ffHome, '.claude', 'super-manager', 'state', 'pending-suggestions', 'ff-1.json');
+var ffMs = 0;
+function ffFulfilled(hook, tool, input) {
+  fs.mkdirSync(path.dirname(FF_STATE), { recursive: true });
+  fs.writeFileSync(FF_STATE, JSON.stringify({
+    timestamp: new Date().toISOString(), session_id: 'ff-1', prompt_snippet: 'search the wiki',
+    suggestions: { skills: [{ id: 'wiki-lite' }], mcps: [{ name: 'wiki-lite' }], rules: [] }, fulfilled: []
+  }));
+  var r = runHook(hook, { session_id: 'ff-1', cwd: ffHome, tool_name: tool, tool_input: input, tool_response: {} }, 10000, ffHome);
+  ffMs += r.ms;
+  try { return (JSON.parse(fs.readFileSync(FF_STATE, 'utf-8')).fulfilled || []).join(','); } catch (e) { return 'unreadable'; }
+}
+var FF_CASES = [
+  ['mcpm server: wiki-lite', 'mcp__mcp-manager__mcpm', { operation: 'call', server: 'wiki-lite', tool: 'search' }, 'wiki-lite'],
+  ['native mcp__wiki-lite__search', 'mcp__wiki-lite__search', { query: 'x' }, 'wiki-lite'],
+  ['mcpm server: wiki', 'mcp__mcp-manager__mcpm', { operation: 'call', server: 'wiki', tool: 'search' }, ''],
+  ['native mcp__wiki__search', 'mcp__wiki__search', { query: 'x' }, ''],
+  ['Skill wiki', 'Skill', { skill: 'wiki' }, ''],
+  ['Skill plugin:wiki-lite', 'Skill', { skill: 'plugin:wiki-lite' }, 'wiki-lite']
+];
+var ffWrong = [];
+['sm-posttooluse.js', 'super-manager-check-enforcement.js'].forEach(function(hook) {
+  FF_CASES.forEach(function(c) {
+    var got = ffFulfilled(hook, c[1], c[2]);
+    if (got !== c[3]) ffWrong.push(hook + ' ' + c[0] + ' -> [' + got + ']');
+  });
+});
+tests.push({ group: 'PostToolUse', name: 'Suggestions fulfilled by exact skill / MCP server id', pass: ffWrong.length === 0, ms: ffMs,
+  prompt: '(wiki-lite suggested as skill and MCP; Claude calls wiki-lite or wiki)', keywords: 'n/a',
+  action: 'sm-posttooluse and super-manager-check-enforcement mark state.fulfilled', result: ffWrong.length === 0 ? FF_CASES.length * 2 + ' calls checked' : 'Wrong: ' + ffWrong.join(' | ') });
+
+// Tool-call telemetry -- PreToolUse start paired with PostToolUse, blocked calls, stale starts, rotation
+var TM_STARTS = '.claude/super-manager/state/tool-call-starts/';
+var TM_LOG = '.claude/super-manager/logs/tool-calls.jsonl';
+var tmFiles = {};
+tmFiles[TM_STARTS + 'stale-1.json'] = { started: 1 };
+tmFiles[TM_STARTS + 'fresh-1.json'] = { started: Date.now() };
+// just over MAX_LOG_BYTES: one old entry, then padding
+tmFiles[TM_LOG] = JSON.stringify({ ts: '2026-01-01T00:00:00.000Z', session_id: 'tm-old', tool: 'Read', input: '/a', ok: true, error: null, duration_ms: 5 }) +
+  '\n' + new Array(5 * 1024 * 1024 + 2).join('x') + '\n';
+var tmHome = sandboxHome(tmFiles);
+fs.utimesSync(path.join(tmHome, TM_STARTS + 'stale-1.json'), new Date(Date.now() - 2 * 3600000), new Date(Date.now() - 2 * 3600000));
+var telemetry = require(path.join(HOOKS_DIR, 'tool-telemetry'));
+var TM_KEY = 'Qm9vT7xLp2Zr' + 'W8kYd4NcHs6JvE3aUf5B';
+function tmHook(hook, id, tool, input, response) {
+  return runHook(hook, { session_id: 'tm-1', tool_use_id: id, cwd: tmHome, tool_name: tool, tool_input: input, tool_response: response }, 10000, tmHome);
+}
+var tmPre = tmHook('sm-pretooluse.js', 'tu-1', 'Bash', { command: 'ls -la' });
+var tmStarted = fs.existsSync(path.join(tmHome, TM_STARTS + 'tu-1.json'));
+var tmPost = tmHook('sm-posttooluse.js', 'tu-1', 'Bash', { command: 'ls -la' }, { stdout: 'x', stderr: '', exit_code: 0 });
+var tmBlocked = tmHook('sm-pretooluse.js', 'tu-2', 'Write', { file_path: path.join(tmHome, '.claude', 'hooks', 'x.js').replace(/\\/g, '/'), content: 'x' });
+var tmSecret = tmHook('sm-posttooluse.js', 'tu-3', 'Bash', { command: 'curl -H "X-Auth: ' + TM_KEY + '" https://api.example.com/v1' },
+  { stdout: '', stderr: 'curl: (22) 500', exit_code: 1 });
+var tmEntries = telemetry.readEntries({ home: tmHome });
+var tmById = {};
+tmEntries.forEach(function(e) { tmById[e.tool_use_id] = e; });
+var tmCli = child_process.spawnSync('node', [path.join(HOOKS_DIR, 'sm-telemetry.js'), 'sessions', '--json'], {
+  encoding: 'utf-8', timeout: 10000, env: Object.assign({}, process.env, { HOME: tmHome, USERPROFILE: tmHome })
+});
+var tmSessions = null;
+try { tmSessions = JSON.parse(tmCli.stdout); } catch (e) {}
+var tmChecks = [
+  ['start written, then paired', tmStarted && !fs.existsSync(path.join(tmHome, TM_STARTS + 'tu-1.json')) &&
+    tmById['tu-1'] && tmById['tu-1'].ok === true && typeof tmById['tu-1'].duration_ms === 'number'],
+  ['stale start pruned, fresh kept', !fs.existsSync(path.join(tmHome, TM_STARTS + 'stale-1.json')) && fs.existsSync(path.join(tmHome, TM_STARTS + 'fresh-1.json'))],
+  ['blocked call logged', tmBlocked.exit === 2 && tmById['tu-2'] && tmById['tu-2'].ok === false &&
+    tmById['tu-2'].error === 'blocked by config-guard' && typeof tmById['tu-2'].duration_ms === 'number'],
+  ['unpaired failure: no duration', tmById['tu-3'] && tmById['tu-3'].duration_ms === null && tmById['tu-3'].error === 'exit code 1'],
+  ['secret masked in input', tmById['tu-3'] && tmById['tu-3'].input === 'curl -H "X-Auth: ***" https://api.example.com/v1'],
+  ['log rotated at 5 MB', fs.existsSync(path.join(tmHome, TM_LOG.replace(/\.jsonl$/, '.1.jsonl'))) &&
+    fs.readFileSync(path.join(tmHome, TM_LOG), 'utf-8').trim().split('\n').length === 3],
+  ['rotated entries still read', tmEntries.length === 4 && tmEntries[0].session_id === 'tm-old'],
+  ['sessions --json, default 7d window', tmSessions && tmSessions.calls === 3 && tmSessions.rows.length === 1 &&
+    tmSessions.rows[0].session_id === 'tm-1' && tmSessions.rows[0].failed === 2]
+];
+var tmWrong = tmChecks.filter(function(c) { return !c[1]; });
+tests.push({ group: 'PostToolUse', name: 'Telemetry: paired durations, blocked calls, pruning, rotation, masking', pass: tmWrong.length === 0,
+  ms: tmPre.ms + tmPost.ms + tmBlocked.ms + tmSecret.ms,
+  prompt: '(Bash ls; Write to ~/.claude/hooks; curl with an X-Auth key)', keywords: 'n/a',
+  action: 'start() in PreToolUse, finish()/blocked() append to tool-calls.jsonl', result: tmWrong.length === 0 ? tmChecks.length + ' checks passed' : 'Wrong: ' + tmWrong.map(function(c) { return c[0]; }).join(' | ') });
+
+// sm-telemetry queries over fixed entries
+var smTelemetry = require(path.join(HOOKS_DIR, 'sm-telemetry'));
+var tqEntries = [
+  { ts: '2026-01-01T00:00:00.000Z', session_id: 's1', tool: 'Bash', input: 'cd /x && npm test', ok: false, error: 'exit code 1', duration_ms: 3000 },
+  { ts: '2026-01-01T00:01:00.000Z', session_id: 's1', tool: 'Bash', input: 'CI=1 npm test --watch', ok: false, error: 'exit code 2', duration_ms: 1000 },
+  { ts: '2026-01-01T00:02:00.000Z', session_id: 's1', tool: 'Bash', input: 'git status', ok: true, error: null, duration_ms: 200 },
+  { ts: '2026-01-01T00:03:00.000Z', session_id: 's2', tool: 'Read', input: '/a', ok: true, error: null, duration_ms: 10 },
+  { ts: '2026-01-01T00:04:00.000Z', session_id: 's2', tool: 'Read', input: '/b', ok: true, error: null, duration_ms: null }
+];
+var tqSlow = smTelemetry.slowest(tqEntries);
+var tqFail = smTelemetry.failing(tqEntries, 'Bash');
+var tqSess = smTelemetry.sessions(tqEntries);
+var tqChecks = [
+  ['slowest', JSON.stringify(tqSlow.map(function(r) { return [r.tool, r.calls, r.avg_ms, r.max_ms]; })) === '[["Bash",3,1400,3000],["Read",1,10,10]]'],
+  ['failing groups by command', tqFail.length === 1 && tqFail[0].key === 'npm test' && tqFail[0].failed === 2 && tqFail[0].last_error === 'exit code 2'],
+  ['sessions, latest first', JSON.stringify(tqSess.map(function(r) { return [r.session_id, r.calls, r.failed, r.total_ms]; })) === '[["s2",2,0,10],["s1",3,2,4200]]'],
+  ['commandKey', smTelemetry.commandKey('cd a && FOO=1 /usr/bin/git push origin') === 'git push' && smTelemetry.commandKey('') === '(empty)']
+];
+var tqWrong = tqChecks.filter(function(c) { return !c[1]; });
+tests.push({ group: 'PostToolUse', name: 'sm-telemetry: slowest, failing, sessions', pass: tqWrong.length === 0, ms: 0,
+  prompt: '(5 logged calls in 2 sessions)', keywords: 'n/a',
+  action: 'Aggregate tool-calls.jsonl entries', result: tqWrong.length === 0 ? tqChecks.length + ' checks passed' : 'Wrong: ' + tqWrong.map(function(c) { return c[0]; }).join(' | ') });
+
 // Stop
 var st1 = runHook('sm-stop.js', { last_assistant_message: 'Here is the code fix I applied to the authentication module.' });
 tests.push({ group: 'Stop', name: 'Good response passes through', pass: st1.exit === 0, ms: st1.ms,
@@ -118,9 +569,166 @@ tests.push({ group: 'Stop', name: 'Good response passes through', pass: st1.exit
   action: 'Test response against all patterns -- no match', result: 'Response sent to user unchanged.' });
 
 var st2 = runHook('sm-stop.js', { last_assistant_message: 'I found the bug. Want me to fix it for you?' });
-tests.push({ group: 'Stop', name: '"Want me to?" checked', pass: st2.exit === 0 || st2.exit === 1, ms: st2.ms,
-  prompt: '(Claude response: "Want me to fix it for you?")', keywords: 'pattern: /want me to .+\\?/',
-  action: 'Pattern match against Stop rules', result: st2.stdout ? 'Correction injected: ' + st2.stdout.slice(0, 60) : 'Checked. Pattern may or may not match depending on configured rules.' });
+var st2Out = stopOutput(st2);
+tests.push({ group: 'Stop', name: '"Want me to?" blocked', pass: st2Out.decision === 'block' && /fix it immediately/.test(st2Out.reason || ''), ms: st2.ms,
+  prompt: '(Claude response: "Want me to fix it for you?")', keywords: 'pattern: /want me to .+\\?/ (fix-without-asking, no-reconfirm)',
+  action: 'Pattern match against Stop rules', result: st2Out.decision === 'block' ? 'Correction injected: ' + st2Out.reason.slice(0, 60) : 'NOT blocked' });
+
+// Stop loop protection -- stop_hook_active, max_blocks per session, allow_loop
+var slHome = sandboxHome({
+  '.claude/rules/Stop/zebra-done.md': '---\nid: zebra-done\npattern: ZEBRA-DONE\n---\n\nZebra done body.\n',
+  '.claude/rules/Stop/zebra-cap.md': '---\nid: zebra-cap\npattern: ZEBRA-CAP\nmax_blocks: 2\n---\n\nZebra cap body.\n',
+  '.claude/rules/Stop/zebra-loop.md': '---\nid: zebra-loop\npattern: ZEBRA-LOOP\nallow_loop: true\n---\n\nZebra loop body.\n'
+});
+var slMs = 0;
+function slStop(session, message, active) {
+  var r = runHook('sm-stop.js', { session_id: session, cwd: slHome, last_assistant_message: message, stop_hook_active: active }, 10000, slHome);
+  slMs += r.ms;
+  return stopOutput(r).decision === 'block';
+}
+var slSteps = [
+  ['block', slStop('sl-a', 'ZEBRA-DONE', false), true],
+  ['same rule while stop_hook_active: suppressed', slStop('sl-a', 'ZEBRA-DONE', true), false],
+  ['allow_loop blocks', slStop('sl-a', 'ZEBRA-LOOP', false), true],
+  ['allow_loop blocks again while stop_hook_active', slStop('sl-a', 'ZEBRA-LOOP', true), true],
+  ['max_blocks 2: block 1', slStop('sl-a', 'ZEBRA-CAP', false), true],
+  ['max_blocks 2: block 2', slStop('sl-a', 'ZEBRA-CAP', false), true],
+  ['max_blocks 2: third stop allowed', slStop('sl-a', 'ZEBRA-CAP', false), false],
+  ['other session counts on its own', slStop('sl-b', 'ZEBRA-CAP', false), true]
+];
+var slLog = '';
+try { slLog = fs.readFileSync(path.join(slHome, '.claude', 'rules', 'stop-loader.log'), 'utf-8'); } catch (e) {}
+slSteps.push(['stop-loader.log: loop suppression', /SUPPRESSED zebra-done .* - loop: stop_hook_active/.test(slLog), true]);
+slSteps.push(['stop-loader.log: max_blocks suppression', /SUPPRESSED zebra-cap .* - max_blocks 2 reached \(2 blocks this session\)/.test(slLog), true]);
+var slWrong = slSteps.filter(function(s) { return s[1] !== s[2]; });
+tests.push({ group: 'Stop', name: 'Loop protection: stop_hook_active, max_blocks, allow_loop', pass: slWrong.length === 0, ms: slMs,
+  prompt: '(responses ZEBRA-DONE / ZEBRA-LOOP / ZEBRA-CAP in sessions sl-a, sl-b)', keywords: 'zebra-done, zebra-loop (allow_loop), zebra-cap (max_blocks: 2)',
+  action: 'Per-session block counters and stop_last in .loaded-cache', result: slWrong.length === 0 ? slSteps.length + ' checks passed' : 'Wrong: ' + slWrong.map(function(s) { return s[0]; }).join(' | ') });
+
+// Stop evidence -- satisfied_by against the current turn of a transcript
+// Transcript lines: ['prompt', text] | ['meta', text] | ['use', id, name, input, sidechain] | ['result', id, text, isError]
+function transcriptJsonl(items) {
+  return items.map(function(it) {
+    if (it[0] === 'prompt') return { type: 'user', message: { role: 'user', content: it[1] } };
+    if (it[0] === 'meta') return { type: 'user', isMeta: true, message: { role: 'user', content: it[1] } };
+    if (it[0] === 'use') return { type: 'assistant', isSidechain: !!it[4], message: { role: 'assistant', content: [{ type: 'tool_use', id: it[1], name: it[2], input: it[3] }] } };
+    return { type: 'user', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: it[1], content: [{ type: 'text', text: it[2] }], is_error: !!it[3] }] } };
+  }).map(function(e) { return JSON.stringify(e); }).join('\n') + '\n';
+}
+var evTranscripts = {
+  passed: [['prompt', 'fix the parser'], ['use', 't1', 'Bash', { command: 'npm test' }], ['result', 't1', '12 passing']],
+  failed: [['prompt', 'fix the parser'], ['use', 't1', 'Bash', { command: 'npm test' }], ['result', 't1', '3 failing', true]],
+  earlier: [['prompt', 'fix the parser'], ['use', 't1', 'Bash', { command: 'npm test' }], ['result', 't1', '12 passing'], ['prompt', 'now rename it'],
+    ['use', 't2', 'Edit', { file_path: '/p/a.js' }], ['result', 't2', 'ok']],
+  sidechain: [['prompt', 'fix the parser'], ['use', 't1', 'Bash', { command: 'npm test' }, true], ['result', 't1', '12 passing']],
+  meta: [['prompt', 'fix the parser'], ['use', 't1', 'Bash', { command: 'npm test' }], ['result', 't1', '12 passing'], ['meta', 'Caveat: local command output']],
+  readBack: [['prompt', 'edit it'], ['use', 'e1', 'Edit', { file_path: '/p/a.js' }], ['result', 'e1', 'ok'], ['use', 'r1', 'Read', { file_path: '/p/a.js' }], ['result', 'r1', 'code']],
+  readFirst: [['prompt', 'edit it'], ['use', 'r1', 'Read', { file_path: '/p/a.js' }], ['result', 'r1', 'code'], ['use', 'e1', 'Edit', { file_path: '/p/a.js' }], ['result', 'e1', 'ok']]
+};
+var evFiles = { '.claude/rules/Stop/zebra-tested.md': '---\nid: zebra-tested\npattern: ZEBRA-FINISHED\nsatisfied_by: [bash: npm test|pytest]\n---\n\nRun the tests first.\n' };
+Object.keys(evTranscripts).forEach(function(k) { evFiles['transcripts/' + k + '.jsonl'] = transcriptJsonl(evTranscripts[k]); });
+var evHome = sandboxHome(evFiles);
+var evMs = 0;
+function evStop(name) {
+  var r = runHook('sm-stop.js', { session_id: 'ev-' + name, cwd: evHome, last_assistant_message: 'ZEBRA-FINISHED',
+    transcript_path: path.join(evHome, 'transcripts', name + '.jsonl') }, 10000, evHome);
+  evMs += r.ms;
+  return stopOutput(r).decision === 'block';
+}
+var transcript = require(path.join(HOOKS_DIR, 'transcript'));
+function evTurn(name) { return transcript.readCurrentTurn(path.join(evHome, 'transcripts', name + '.jsonl')); }
+var evSteps = [
+  ['passing npm test this turn: allowed', evStop('passed'), false],
+  ['npm test with is_error: blocked', evStop('failed'), true],
+  ['npm test in an earlier turn: blocked', evStop('earlier'), true],
+  ['npm test in a sidechain: blocked', evStop('sidechain'), true],
+  ['meta message is not a new turn: allowed', evStop('meta'), false],
+  ['no transcript: blocked', evStop('missing'), true],
+  ['tool_use/tool_result paired', JSON.stringify(evTurn('failed').calls.map(function(c) { return [c.name, c.ok, c.output]; })), '[["Bash",false,"3 failing"]]'],
+  ['turn starts at last prompt', evTurn('earlier').calls.map(function(c) { return c.id; }).join(','), 't2'],
+  ['read_after_edit found', transcript.findEvidence(['read_after_edit'], evTurn('readBack')), 'read /p/a.js after editing it'],
+  ['read before edit is not evidence', transcript.findEvidence(['read_after_edit: a\\.js'], evTurn('readFirst')), null]
+];
+var evLog = '';
+try { evLog = fs.readFileSync(path.join(evHome, '.claude', 'rules', 'stop-loader.log'), 'utf-8'); } catch (e) {}
+evSteps.push(['SATISFIED logged with evidence', /SATISFIED zebra-tested .* evidence: bash "npm test" succeeded/.test(evLog), true]);
+var evWrong = evSteps.filter(function(s) { return s[1] !== s[2]; });
+tests.push({ group: 'Stop', name: 'satisfied_by: transcript evidence of the current turn', pass: evWrong.length === 0, ms: evMs,
+  prompt: '(response "ZEBRA-FINISHED" with JSONL transcripts: passed, failed, earlier turn, sidechain, meta)', keywords: 'zebra-tested: satisfied_by [bash: npm test|pytest]',
+  action: 'Skip the block only for a successful matching call since the last prompt', result: evWrong.length === 0 ? evSteps.length + ' checks passed' : 'Wrong: ' + evWrong.map(function(s) { return s[0]; }).join(' | ') });
+
+// Stop severity -- warn reminds without blocking, log is recorded only; merged reasons
+var svHome = sandboxHome({
+  '.claude/rules/Stop/zebra-warn.md': '---\nid: zebra-warn\npattern: ZEBRA-WARN\nseverity: warn\naction: Mention the zebra count\n---\n\nWarn body.\n',
+  '.claude/rules/Stop/zebra-log.md': '---\nid: zebra-log\npattern: ZEBRA-LOG\nseverity: log\n---\n\nLog body.\n',
+  '.claude/rules/Stop/zebra-block.md': '---\nid: zebra-block\npattern: ZEBRA-BLOCK\nseverity: blokc\n---\n\nBlock body.\n'
+});
+function svStop(message) {
+  var r = runHook('sm-stop.js', { session_id: 'sv', cwd: svHome, last_assistant_message: message }, 10000, svHome);
+  svMs += r.ms;
+  return stopOutput(r);
+}
+var svMs = 0;
+var svWarn = svStop('ZEBRA-WARN');
+var svLogOnly = svStop('ZEBRA-LOG');
+var svBoth = svStop('ZEBRA-WARN ZEBRA-BLOCK');
+var svLog = '';
+try { svLog = fs.readFileSync(path.join(svHome, '.claude', 'rules', 'stop-loader.log'), 'utf-8'); } catch (e) {}
+var stopHook = require(path.join(HOOKS_DIR, 'sm-stop'));
+function svMatch(id, priority, body) { return { id: id, body: body, rule: { priority: priority } }; }
+var svShared = 'Run the full test suite and paste the summary line before you say the work is done.';
+var svOrdered = stopHook.buildReason([svMatch('late', 50, 'Late rule body, long enough to count as a paragraph.'), svMatch('early', 1, 'Early rule body, long enough to count as a paragraph.')]);
+var svDeduped = stopHook.buildReason([svMatch('a', 10, '**Rule**\n\n' + svShared), svMatch('b', 20, '**Rule**\n\n' + svShared.toUpperCase()), svMatch('c', 30, svShared + '\n\nAnd check the logs for warnings as well.')]);
+var svCapped = stopHook.buildReason([svMatch('big', 1, new Array(5001).join('x')), svMatch('next', 2, 'Next rule body, long enough to count as a paragraph.')]);
+var svSmall = stopHook.buildReason([svMatch('one', 1, new Array(31).join('a ')), svMatch('two', 2, new Array(31).join('b '))], 70);
+var svChecks = [
+  ['warn: systemMessage, no block', !svWarn.decision && svWarn.systemMessage === '[Stop] zebra-warn: Mention the zebra count'],
+  ['log: no output', !svLogOnly.decision && !svLogOnly.systemMessage && /LOGGED zebra-log .* severity: log/.test(svLog)],
+  ['unknown severity blocks, warn rides along', svBoth.decision === 'block' && svBoth.reason === 'Block body.' && svBoth.systemMessage === '[Stop] zebra-warn: Mention the zebra count'],
+  ['priority order', svOrdered.included.join(',') === 'early,late' && svOrdered.reason.indexOf('Early') === 0],
+  ['repeated paragraphs collapsed', svDeduped.collapsed.join(',') === 'b' && svDeduped.reason.split(svShared).length === 2 && /check the logs/.test(svDeduped.reason)],
+  ['4000-char cap', svCapped.reason.indexOf(new Array(4001).join('x')) === 0 && svCapped.omitted.join(',') === 'next' && /1 more rule\(s\) omitted for length: next/.test(svCapped.reason)],
+  ['custom cap omits the rest', svSmall.included.join(',') === 'one' && svSmall.omitted.join(',') === 'two']
+];
+var svWrong = svChecks.filter(function(c) { return !c[1]; });
+tests.push({ group: 'Stop', name: 'Severity block|warn|log and merged reasons', pass: svWrong.length === 0, ms: svMs,
+  prompt: '(responses ZEBRA-WARN, ZEBRA-LOG, ZEBRA-WARN ZEBRA-BLOCK; buildReason() cases)', keywords: 'zebra-warn (warn), zebra-log (log), zebra-block (typo -> block)',
+  action: 'Bucket by severity; merge bodies by priority, collapse repeats, cap at 4000 chars', result: svWrong.length === 0 ? svChecks.length + ' checks passed' : 'Wrong: ' + svWrong.map(function(c) { return c[0]; }).join(' | ') });
+
+// Stop check: pending_todos -- the installed pending-todos rule against sandbox todo lists
+var tdRule = '';
+try { tdRule = fs.readFileSync(path.join(HOME, '.claude', 'rules', 'Stop', 'pending-todos.md'), 'utf-8'); } catch (e) {}
+var tdHome = sandboxHome({
+  '.claude/rules/Stop/pending-todos.md': tdRule,
+  '.claude/todos/td-1-agent-x.json': [
+    { content: 'Write the parser', status: 'in_progress', activeForm: 'Writing the parser' },
+    { content: 'Add docs', status: 'pending', activeForm: 'Adding docs' },
+    { content: 'Set up the repo', status: 'completed', activeForm: 'Setting up the repo' }
+  ],
+  '.claude/todos/td-2-agent-td-2.json': [{ content: 'Set up the repo', status: 'completed', activeForm: 'Setting up the repo' }]
+});
+var tdMs = 0;
+function tdStop(session) {
+  var r = runHook('sm-stop.js', { session_id: session, cwd: tdHome, last_assistant_message: 'Finished the first part.' }, 10000, tdHome);
+  tdMs += r.ms;
+  return stopOutput(r);
+}
+var tdFirst = tdStop('td-1');
+var tdSteps = [
+  ['open todos block', tdFirst.decision, 'block'],
+  ['reason names open items only', /- \[in_progress\] Write the parser\n- \[pending\] Add docs/.test(tdFirst.reason || '') && (tdFirst.reason || '').indexOf('Set up the repo') === -1, true],
+  ['block 2', tdStop('td-1').decision, 'block'],
+  ['block 3', tdStop('td-1').decision, 'block'],
+  ['max_blocks: 3 then allowed', tdStop('td-1').decision, undefined],
+  ['completed-only list passes', tdStop('td-2').decision, undefined],
+  ['no todo list passes', tdStop('td-3').decision, undefined]
+];
+var tdWrong = tdSteps.filter(function(s) { return s[1] !== s[2]; });
+tests.push({ group: 'Stop', name: 'check: pending_todos blocks on open todos', pass: tdRule !== '' && tdWrong.length === 0, ms: tdMs,
+  prompt: '(response "Finished the first part." with todo lists in ~/.claude/todos)', keywords: 'pending-todos: check: pending_todos, max_blocks: 3',
+  action: 'Block while the session list has pending/in_progress items', result: tdRule === '' ? 'pending-todos.md not installed' : tdWrong.length === 0 ? tdSteps.length + ' checks passed' : 'Wrong: ' + tdWrong.map(function(s) { return s[0]; }).join(' | ') });
+
+sandboxes.forEach(function(dir) { try { fs.rmSync(dir, { recursive: true, force: true }); } catch (e) {} });
 
 // ===== TOTALS =====
 var passed = tests.filter(function(t) { return t.pass; }).length;
@@ -225,14 +833,14 @@ h.push('<p>This is the core of super-manager. When you type a message, this hook
 h.push('<ul style="margin:12px 0 12px 24px;"><li><strong>Skills</strong> -- matched by keywords in skill-registry.json</li><li><strong>MCP servers</strong> -- matched by keywords in servers.yaml</li><li><strong>Rules</strong> -- matched by keywords in rule .md frontmatter</li></ul>');
 h.push('<p>Only rules that match your prompt get loaded into context. Everything else stays on disk. This is the "bike riding" principle -- you know how to ride a bike, but you don\'t think about it when you\'re sitting on a couch. If your prompt is about Confluence, the wiki rules load. If your prompt is about weather, nothing loads.</p>');
 
-h.push('<h3>Threshold Matching</h3>');
+h.push('<h3>Relevance Scoring</h3>');
 h.push('<p>Single keyword matching is too noisy. The word "write" appears in prompts about bash scripts, letters, emails, and documentation. If "write" alone triggered the bash-scripting rule, it would fire on everything.</p>');
-h.push('<p>So super-manager uses <strong>threshold matching</strong>: a rule only fires when <strong>2 or more</strong> of its keywords appear in your prompt. This is configurable per rule via <code>min_matches</code> in the rule\'s frontmatter. Rules with unique keywords (like <code>atlassian.net</code>) can set <code>min_matches: 1</code> because they\'re unambiguous on their own.</p>');
+h.push('<p>So super-manager uses <strong>relevance scoring</strong>: every keyword is weighted by how rare it is across all rules (BM25-style IDF). A word like "write" that appears in several rules is worth little; a word like "nmap" that only one rule uses is worth a lot. A rule fires when its score reaches <code>min_score</code> (default 3.0), and only the top 3 rules are injected. Rules can still require several hits via <code>min_matches</code> in their frontmatter.</p>');
 
 h.push('<div class="callout"><div class="callout-label orange">Example</div>');
 h.push('Rule <code>bash-scripting</code> has keywords: <span class="kw">bash</span> <span class="kw">script</span> <span class="kw">heredoc</span> <span class="kw">js</span> <span class="kw">node</span> <span class="kw">write</span><br>');
-h.push('Prompt: "write a bash script" -- hits <span class="kw">write</span> + <span class="kw">bash</span> + <span class="kw">script</span> = 3 hits >= 2 threshold. <span class="green">Rule fires.</span><br>');
-h.push('Prompt: "write a letter" -- hits <span class="kw">write</span> = 1 hit < 2 threshold. <span class="red">Rule skipped.</span></div>');
+h.push('Prompt: "write a bash script" -- hits <span class="kw">write</span> + <span class="kw">bash</span> + <span class="kw">script</span> = score 7.6 >= 3.0. <span class="green">Rule fires.</span><br>');
+h.push('Prompt: "write a letter" -- hits <span class="kw">write</span> only = score 1.7 < 3.0. <span class="red">Rule skipped.</span></div>');
 
 h.push('<p class="dim"><strong>Without this:</strong> Claude wouldn\'t know that a wiki-api skill exists when you mention Confluence. It would try WebFetch, hit a login page, fail, and waste your time.</p>');
 
@@ -246,8 +854,8 @@ h.push('<p class="dim"><strong>Without this:</strong> Claude would waste tool ca
 
 // PostToolUse
 h.push('<h2><span style="color:#da7756;">4.</span> PostToolUse</h2>');
-h.push('<p class="dim">Hook: <code>sm-posttooluse.js</code> -- runs after Skill or Task tools complete</p>');
-h.push('<p>When Claude uses a skill or task, this hook logs it to <code>skill-usage.jsonl</code> for analytics. It also marks the suggestion as "fulfilled" so the PreToolUse gate stops warning about it.</p>');
+h.push('<p class="dim">Hook: <code>sm-posttooluse.js</code> -- runs after each tool call</p>');
+h.push('<p>When Claude uses a skill or task, this hook logs it to <code>skill-usage.jsonl</code> for analytics. It also marks the suggestion as "fulfilled" so the PreToolUse gate stops warning about it -- MCP suggestions are fulfilled by an <code>mcpm</code> call to that server or a native <code>mcp__server__*</code> tool.</p>');
 h.push('<p>Over time, the analytics log reveals which skills are used vs just suggested. If a skill is suggested 50 times but used twice, its keywords need fixing. This data drives continuous improvement of the keyword system.</p>');
 h.push('<p class="dim"><strong>Without this:</strong> No way to know if the keyword matching is actually working. You\'d be guessing about whether skills are being discovered and used.</p>');
 
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * test-keyword-matcher.js - Match-mode cases for keyword-matcher.js
+ *
+ * Each case is [keyword, text, expected match or null, default mode]. Uses the
+ * installed hooks in ~/.claude/hooks, like test-rule-examples.js.
+ *
+ * Usage: node test-keyword-matcher.js [--verbose]
+ * Exits 1 when any case fails.
+ */
+var path = require('path');
+
+var HOME = process.env.HOME || process.env.USERPROFILE;
+var matcher = require(path.join(HOME, '.claude', 'hooks', 'keyword-matcher'));
+var verbose = process.argv.indexOf('--verbose') !== -1 || process.argv.indexOf('-v') !== -1;
+
+var CASES = [
+  // word (default): whole words only
+  ['js', 'a js file', 'js'],
+  ['js', 'edit the json file', null],
+  ['deploy', 'deploy it', 'deploy'],
+  ['deploy', 'deploying now', null],
+  ['c++', 'write c++ code', 'c++'],
+  ['c++', 'write c code', null],
+  ['.net', 'learn .net core', '.net'],
+  ['.net', 'the network is down', null],
+  // URLs: ignored unless the keyword looks like one
+  ['jira', 'see https://github.com/acme/jira-export', null],
+  ['atlassian.net', 'open https://acme.atlassian.net/browse/X-1', 'atlassian.net'],
+  // stem
+  ['node*', 'list the nodes', 'nodes'],
+  ['node*', 'node', 'node'],
+  ['node*', 'a nodejs app', null],
+  ['deploy*', 'deploying now', 'deploying'],
+  ['deploy*', 'the deployment failed', 'deployment'],
+  // phrase
+  ['"remote desktop"', 'open remote desktop now', 'remote desktop'],
+  ['"remote desktop"', 'remote the desktop', null],
+  // fuzzy: one edit, words of 5+ characters only
+  ['kubernetes~', 'kubernets pod', 'kubernets'],
+  ['jira~', 'jora ticket', null],
+  // substring (legacy)
+  ['*js*', 'edit the json file', 'js'],
+  ['deploy', 'deploying now', 'deploy', 'substring'],
+  ['!', 'hey!', '!'],
+  // match_mode default for un-annotated keywords
+  ['deploy', 'deploying now', 'deploying', 'stem'],
+  ['"remote desktop"', 'remote desktops', null, 'stem']
+];
+
+var results = CASES.map(function(c) {
+  var got = matcher.matchKeyword(c[0], c[1], c[3]);
+  return { keyword: c[0], text: c[1], mode: matcher.parseKeyword(c[0], c[3]).mode, expected: c[2], got: got, pass: got === c[2] };
+});
+
+// exclusions
+var exclusionCases = [
+  [{ exclude_keywords: ['repo'] }, 'push the repo', 'exclude_keywords: "repo"'],
+  [{ exclude_keywords: 'repo' }, 'push the repos', null],
+  [{ exclude_keywords: ['repo*'] }, 'push the repos', 'exclude_keywords: "repo*"'],
+  [{ exclude_pattern: 'wiki-(tools|export)' }, 'run wiki-export', 'exclude_pattern: "wiki-export"'],
+  [{ exclude_pattern: 'wiki-(tools|export)' }, 'edit the wiki', null]
+];
+exclusionCases.forEach(function(c) {
+  var got = matcher.exclusionReason(c[0], c[1]);
+  results.push({ keyword: JSON.stringify(c[0]), text: c[1], mode: 'exclusion', expected: c[2], got: got, pass: got === c[2] });
+});
+var badPattern = null;
+try { matcher.exclusionReason({ exclude_pattern: '(' }, 'anything'); } catch (e) { badPattern = e.name; }
+results.push({ keyword: '{"exclude_pattern":"("}', text: 'anything', mode: 'exclusion', expected: 'SyntaxError', got: badPattern, pass: badPattern === 'SyntaxError' });
+
+var failed = results.filter(function(r) { return !r.pass; });
+
+console.log('');
+console.log('  ' + (results.length - failed.length) + '/' + results.length + ' matcher cases passed');
+results.forEach(function(r) {
+  if (r.pass && !verbose) return;
+  console.log('  ' + (r.pass ? '[+]' : '[X]') + ' ' + r.keyword + ' (' + r.mode + ') in "' + r.text + '"');
+  console.log('        expected ' + JSON.stringify(r.expected) + ', got ' + JSON.stringify(r.got));
+});
+console.log('');
+
+process.exit(failed.length > 0 ? 1 : 0);
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * test-rule-examples.js - Run every rule's embedded examples through the real matchers
+ *
+ * Rules declare examples in frontmatter (multi-line lists -- inline [..] splits on commas):
+ *   should_match:
+ *     - scan my network for devices with nmap
+ *   should_not_match:
+ *     - write a letter to my boss
+ * UserPromptSubmit examples are prompts (must fire: qualified and within top_n),
+ * Stop examples are responses (must block). Uses the installed hooks in
+ * ~/.claude/hooks, so results match what the loaders do. when: conditions are
+ * ignored so examples run the same on every machine.
+ *
+ * Usage: node test-rule-examples.js [rule-id ...] [--cwd <project>] [--verbose]
+ * Exits 1 when any example fails.
+ */
+var path = require('path');
+
+var HOME = process.env.HOME || process.env.USERPROFILE;
+var HOOKS_DIR = path.join(HOME, '.claude', 'hooks');
+var RULES_DIR = path.join(HOME, '.claude', 'rules');
+
+var args = process.argv.slice(2);
+var only = [];
+var cwd = process.cwd();
+var verbose = false;
+for (var ai = 0; ai < args.length; ai++) {
+  if (args[ai] === '--cwd') cwd = args[++ai];
+  else if (args[ai] === '--verbose' || args[ai] === '-v') verbose = true;
+  else only.push(args[ai]);
+}
+
+var ruleFiles = require(path.join(HOOKS_DIR, 'rule-files'));
+var ups = require(path.join(HOOKS_DIR, 'sm-userpromptsubmit'));
+var stop = require(path.join(HOOKS_DIR, 'sm-stop'));
+
+function unquote(s) {
+  s = String(s).trim();
+  if (s.length > 1 && /^["'].*["']$/.test(s)) return s.slice(1, -1);
+  return s;
+}
+
+function examplesOf(rule, key) {
+  var v = rule[key];
+  if (!v) return [];
+  return (Array.isArray(v) ? v : [v]).map(unquote).filter(Boolean);
+}
+
+function hasExamples(rule) {
+  return examplesOf(rule, 'should_match').length > 0 || examplesOf(rule, 'should_not_match').length > 0;
+}
+
+// UserPromptSubmit: would the loader inject this rule for this prompt?
+// (cache and context budget aside -- those depend on session state)
+function checkPrompt(rule, rules, prompt, cfg) {
+  var excluded = null;
+  var candidates = ups.rankRules(rules, prompt.toLowerCase(), cfg, {
+    onExcluded: function(c) { if (c.rule.id === rule.id) excluded = c.excluded; }
+  });
+  if (excluded) return { fired: false, why: 'excluded (' + excluded + ')' };
+  var c = candidates.find(function(x) { return x.rule.id === rule.id; });
+  if (!c) return { fired: false, why: 'no keyword or pattern hit' };
+  var detail = 'match=' + c.hits.join('+') + ' score=' + c.score + '/' + c.minScore;
+  if (!c.qualified) return { fired: false, why: detail + ' kw=' + c.kwHits + '/' + c.minMatches + ' (below threshold)' };
+  if (c.rank > cfg.top_n) return { fired: false, why: detail + ' rank=' + c.rank + ' (outside top ' + cfg.top_n + ')' };
+  return { fired: true, why: detail + ' rank=' + c.rank };
+}
+
+function checkResponse(rule, response) {
+  var hit = stop.matchStopRule(rule, response);
+  if (hit && hit.error) return { fired: !!hit.trigger, why: hit.error };
+  if (!hit) return { fired: false, why: 'no pattern or keyword hit' };
+  return { fired: true, why: hit.detail };
+}
+
+var results = [];
+var noExamples = [];
+
+function runEvent(event) {
+  var rules = ruleFiles.resolveRules(event, { cwd: cwd }).rules.filter(function(r) { return r.keywords || r.pattern; });
+  var cfg = ups.loadLoaderConfig(RULES_DIR);
+  rules.forEach(function(rule) {
+    if (only.length > 0 && only.indexOf(rule.id) === -1) return;
+    if (!hasExamples(rule)) { noExamples.push(event + '/' + rule.id); return; }
+    [['should_match', true], ['should_not_match', false]].forEach(function(kind) {
+      examplesOf(rule, kind[0]).forEach(function(text) {
+        var r = event === 'Stop' ? checkResponse(rule, text) : checkPrompt(rule, rules, text, cfg);
+        results.push({ event: event, id: rule.id, file: rule.file, kind: kind[0], text: text, pass: r.fired === kind[1], why: r.why });
+      });
+    });
+  });
+}
+
+runEvent('UserPromptSubmit');
+runEvent('Stop');
+
+var failed = results.filter(function(r) { return !r.pass; });
+var ruleCount = results.map(function(r) { return r.event + '/' + r.id; }).filter(function(id, i, arr) { return arr.indexOf(id) === i; }).length;
+
+console.log('');
+console.log('  ' + (results.length - failed.length) + '/' + results.length + ' examples passed (' + ruleCount + ' rules, ' + noExamples.length + ' without examples)');
+results.forEach(function(r) {
+  if (r.pass && !verbose) return;
+  console.log('  ' + (r.pass ? '[+]' : '[X]') + ' ' + r.event + ': ' + r.id + ' ' + r.kind + ' "' + r.text.slice(0, 60) + '"');
+  console.log('        ' + r.why + (r.pass ? '' : '  (' + r.file + ')'));
+});
+if (verbose && noExamples.length > 0) console.log('  No examples: ' + noExamples.join(', '));
+console.log('');
+
+process.exit(failed.length > 0 ? 1 : 0);
@@ -0,0 +1,142 @@
+"""
+Tests for commands/mine_recipes.py (Blueprint recipe miner).
+
+Covers:
+- Session segmentation (session_id, idle gaps) and page runs
+- Recurring sequences become recipes with {{placeholders}} for varying values
+- Entries logged before args were recorded (action_summary only)
+- Recipe and rule files: rewritten when generated, hand-edited files left alone
+"""
+import json
+import os
+import sys
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from commands.mine_recipes import (
+    load_actions,
+    mine,
+    page_runs,
+    rule_markdown,
+    run,
+    segment_sessions,
+)
+
+PAGE = "#/app/epp/workload-protection"
+
+
+def _action(session, minute, tool, args, url_hash="", summary=None):
+    entry = {
+        "timestamp": "2026-10-01T10:%02d:00.000Z" % minute,
+        "session_id": session,
+        "tool": tool,
+        "action_summary": summary or tool,
+        "url_hash": url_hash,
+        "server": "blueprint",
+    }
+    if args is not None:
+        entry["args"] = args
+    return entry
+
+
+def _visit(session, host, start=0):
+    return [
+        _action(session, start, "browser_tabs", {"action": "select", "index": 0}, PAGE),
+        _action(session, start + 1, "browser_evaluate",
+                {"expression": "document.querySelector('#search').value='%s'; go(2)" % host}),
+        _action(session, start + 2, "browser_interact", {"action": "click", "element": "Export"}),
+    ]
+
+
+def _write_log(tmp_path, entries):
+    path = tmp_path / "v1-action-log.jsonl"
+    path.write_text("\n".join(json.dumps(e) for e in entries) + "\nnot json\n", encoding="utf-8")
+    return str(path)
+
+
+class TestSegmentation:
+
+    def test_sessions_split_on_id_and_gap(self, tmp_path):
+        entries = _visit("a", "h1") + _visit("b", "h2") + _visit("a", "h3", start=50)
+        actions = load_actions(_write_log(tmp_path, entries))
+        assert len(actions) == 9
+        assert len(segment_sessions(actions)) == 3
+
+    def test_page_runs_fill_missing_hashes(self, tmp_path):
+        entries = [
+            _action("a", 0, "browser_snapshot", {}),
+            _action("a", 1, "browser_tabs", {"action": "select", "index": 0}, PAGE),
+            _action("a", 2, "browser_snapshot", {}),
+            _action("a", 3, "browser_evaluate", {"expression": "1"}, "#/app/zero"),
+        ]
+        runs = page_runs(load_actions(_write_log(tmp_path, entries)))
+        assert [(page, len(items)) for page, items in runs] == [(PAGE, 3), ("#/app/zero", 1)]
+
+
+class TestMining:
+
+    def test_recurring_sequence_with_placeholders(self, tmp_path):
+        entries = _visit("a", "host-a") + _visit("b", "host-b") + _visit("c", "host-c")
+        recipes = mine(load_actions(_write_log(tmp_path, entries)))
+        assert list(recipes) == [PAGE]
+        recipe = recipes[PAGE][0]
+        assert recipe["support"] == 3
+        assert [s["tool"] for s in recipe["steps"]] == ["browser_tabs", "browser_evaluate", "browser_interact"]
+        assert recipe["steps"][0]["arguments"] == {"action": "select", "index": 0}
+        # '#search' and 2 are the same every time; the host differs
+        assert recipe["steps"][1]["arguments"]["expression"] == \
+            "document.querySelector('#search').value='{{arg2}}'; go(2)"
+        assert recipe["params"] == {"arg2": ["host-a", "host-b", "host-c"]}
+
+    def test_single_session_is_not_a_recipe(self, tmp_path):
+        assert mine(load_actions(_write_log(tmp_path, _visit("a", "h")))) == {}
+
+    def test_summary_only_entries(self, tmp_path):
+        entries = []
+        for session in ("a", "b"):
+            entries += [
+                _action(session, 0, "browser_tabs", None, PAGE, summary="tabs: select index=0"),
+                _action(session, 1, "browser_interact", None, summary="interact: click text=Save " + session),
+            ]
+        recipe = mine(load_actions(_write_log(tmp_path, entries)))[PAGE][0]
+        assert recipe["steps"][1]["arguments"] == {"action": "click", "text": "{{text}}"}
+
+
+class TestOutput:
+
+    def test_writes_recipes_and_rule_then_unchanged(self, tmp_path):
+        log_path = _write_log(tmp_path, _visit("a", "h1") + _visit("b", "h2"))
+        recipes_dir = str(tmp_path / "recipes")
+        rules_dir = str(tmp_path / "rules")
+        kwargs = dict(rule=True, log_path=log_path, recipes_dir=recipes_dir, rules_dir=rules_dir)
+
+        first = run(**kwargs)
+        assert [r["status"] for r in first["results"]] == ["written", "written"]
+        rule_file = os.path.join(rules_dir, "PostToolUse", "recipe-epp-workload-protection.md")
+        content = open(rule_file, encoding="utf-8").read()
+        assert "output_pattern: #/app/epp/workload-protection(?![\\w/-])" in content
+        assert "mcp_server: blueprint" in content
+
+        second = run(**kwargs)
+        assert [r["status"] for r in second["results"]] == ["unchanged", "unchanged"]
+
+    def test_hand_edited_rule_is_kept(self, tmp_path):
+        log_path = _write_log(tmp_path, _visit("a", "h1") + _visit("b", "h2"))
+        rules_dir = tmp_path / "rules"
+        (rules_dir / "PostToolUse").mkdir(parents=True)
+        rule_file = rules_dir / "PostToolUse" / "recipe-epp-workload-protection.md"
+        rule_file.write_text("---\nid: recipe-epp-workload-protection\n---\n\nmine\n", encoding="utf-8")
+
+        result = run(rule=True, log_path=log_path, recipes_dir=str(tmp_path / "recipes"), rules_dir=str(rules_dir))
+        assert result["results"][-1]["status"] == "skipped (hand-edited)"
+        assert rule_file.read_text(encoding="utf-8").endswith("mine\n")
+
+    def test_dry_run_writes_nothing(self, tmp_path):
+        log_path = _write_log(tmp_path, _visit("a", "h1") + _visit("b", "h2"))
+        result = run(dry_run=True, log_path=log_path, recipes_dir=str(tmp_path / "recipes"), rules_dir=str(tmp_path / "rules"))
+        assert result["results"][0]["status"] == "would write"
+        assert not os.path.exists(str(tmp_path / "recipes"))
+
+    def test_rule_pattern_escapes_regex_characters(self):
+        meta, _ = rule_markdown("#/app/a.b", [], "/r")
+        assert meta["output_pattern"] == "#/app/a\\.b(?![\\w/-])"